@@ -0,0 +1,370 @@
+// 순수 모듈 동작 검사 - 서버와 브라우저가 함께 쓰는 shared/ 모듈과 서버 도우미
+// 사용법: node check_shared.js (차단 목록 같은 파일은 임시 폴더에서 검사)
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+
+// 요청 하나를 미들웨어에 통과시키고 응답 상태 (통과하면 'next')
+function runMiddleware(middleware, req) {
+  let result = 'next';
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { result = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  middleware(req, res, () => {});
+  return { status: result, res };
+}
+
+const checks = [
+  ['diffText: 줄 번호와 바뀐 단어', async ({ diffText }) => {
+    const { lines, added, removed } = diffText('하나\n둘\n셋\n', '하나\n둘 반\n셋\n넷\n');
+    assert.deepEqual([added, removed], [2, 1]);
+    assert.deepEqual(
+      lines.map(({ type, text, oldNumber, newNumber }) => [type, text, oldNumber, newNumber]),
+      [
+        ['equal', '하나', 1, 1],
+        ['delete', '둘', 2, undefined],
+        ['insert', '둘 반', undefined, 2],
+        ['equal', '셋', 3, 3],
+        ['insert', '넷', undefined, 4]
+      ]
+    );
+    assert.deepEqual(lines[2].words.filter(word => word.type === 'insert').map(word => word.text), [' ', '반']);
+    assert.deepEqual(diffText('', ''), { lines: [], added: 0, removed: 0 });
+    assert.equal(diffText('가\r\n나', '가\n나').added, 0);
+  }],
+
+  ['merge3: 겹치지 않는 수정 합치기', async ({ merge3 }) => {
+    const base = '1\n2\n3\n4\n5\n';
+    assert.deepEqual(merge3(base, '1\n둘\n3\n4\n5\n', '1\n2\n3\n4\n다섯\n'), { content: '1\n둘\n3\n4\n다섯\n', conflicts: 0 });
+    // 같은 수정은 충돌이 아님
+    assert.deepEqual(merge3(base, '1\n둘\n3\n4\n5\n', '1\n둘\n3\n4\n5\n'), { content: '1\n둘\n3\n4\n5\n', conflicts: 0 });
+    // 한쪽만 고쳤으면 그쪽을 따름
+    assert.deepEqual(merge3(base, base, '0\n1\n2\n3\n4\n5\n'), { content: '0\n1\n2\n3\n4\n5\n', conflicts: 0 });
+  }],
+
+  ['merge3: 같은 줄을 다르게 고치면 충돌 표시', async ({ merge3 }) => {
+    const { content, conflicts } = merge3('가\n나\n다', '가\n나1\n다', '가\n나2\n다', { mineLabel: '내 편집', theirsLabel: '현재 판' });
+    assert.equal(conflicts, 1);
+    assert.equal(content, '가\n<<<<<<< 내 편집\n나1\n=======\n나2\n>>>>>>> 현재 판\n다');
+  }],
+
+  ['protectionLevel: 문서와 이름공간 중 엄격한 쪽', async ({ protectionLevel, namespaceOf }) => {
+    assert.equal(protectionLevel('아무 문서'), 'anyone');
+    assert.equal(protectionLevel('대문'), 'user');
+    assert.equal(protectionLevel('틀:목록'), 'user');
+    assert.equal(protectionLevel('파일:a.png'), 'user');
+    assert.equal(protectionLevel('분류:동물'), 'anyone');
+    assert.equal(protectionLevel('대문', { pages: { '대문': 'anyone' } }), 'anyone');
+    assert.equal(protectionLevel('틀:목록', { pages: { '틀:목록': 'admin' } }), 'admin');
+    assert.equal(protectionLevel('틀:목록', { pages: { '틀:목록': 'anyone' } }), 'user');
+    assert.equal(protectionLevel('분류:동물', { namespaces: { '분류': 'admin' } }), 'admin');
+    assert.equal(protectionLevel('constructor'), 'anyone');
+    assert.equal(namespaceOf('틀:목록'), '틀');
+    assert.equal(namespaceOf('없는이름공간:문서'), null);
+  }],
+
+  ['canEdit / canModerate / canManageComment', async ({ canEdit, canModerate, canManageComment }) => {
+    const user = { id: 1, username: '철수', role: 'user' };
+    const moderator = { id: 2, username: '영희', role: 'moderator' };
+    const admin = { id: 3, username: '관리', role: 'admin' };
+
+    assert.deepEqual([null, user, moderator, admin].map(who => canEdit(who, 'anyone')), [true, true, true, true]);
+    assert.deepEqual([null, user, moderator, admin].map(who => canEdit(who, 'user')), [false, true, true, true]);
+    assert.deepEqual([null, user, moderator, admin].map(who => canEdit(who, 'admin')), [false, false, false, true]);
+    assert.deepEqual([null, user, moderator, admin].map(canModerate), [false, false, true, true]);
+
+    assert.equal(canManageComment(user, { author: '철수', authorId: 1 }), true);
+    assert.equal(canManageComment(user, { author: '영희', authorId: 2 }), false);
+    assert.equal(canManageComment(null, { author: '익명-1a2b3c4d', authorId: null }), false);
+    assert.equal(canManageComment(moderator, { author: '익명-1a2b3c4d', authorId: null }), true);
+    // 이름만 같은 예전 댓글(자유 입력 작성자)은 그 이름으로 가입해도 가져갈 수 없음
+    assert.equal(canManageComment(user, { author: '철수' }), false);
+    assert.equal(canManageComment(user, { author: '철수', authorId: null }), false);
+    assert.equal(canManageComment(admin, { author: '철수' }), true);
+  }],
+
+  ['findBlockedTerm: 새로 들어간 항목만', async ({ findBlockedTerm, blocklistFile }) => {
+    fs.writeFileSync(blocklistFile, '# 주석\nspam.example\n/카지노\\s*사이트/\n/[잘못된/\n');
+    assert.equal(findBlockedTerm('여기 SPAM.example.com 링크'), 'spam.example');
+    assert.equal(findBlockedTerm('카지노   사이트 홍보'), '/카지노\\s*사이트/');
+    assert.equal(findBlockedTerm('평범한 글'), null);
+    assert.equal(findBlockedTerm('주석'), null);
+    // 이미 있던 항목은 다시 세지 않음
+    assert.equal(findBlockedTerm('spam.example 그대로, 한 줄 추가', 'spam.example 그대로'), null);
+
+    // 파일이 바뀌면 다시 읽음
+    fs.writeFileSync(blocklistFile, '새단어\n');
+    fs.utimesSync(blocklistFile, new Date(), new Date(Date.now() + 1000));
+    assert.equal(findBlockedTerm('spam.example'), null);
+    assert.equal(findBlockedTerm('새단어'), '새단어');
+  }],
+
+  ['createRateLimiter: IP와 사용자별 제한', async ({ createRateLimiter }) => {
+    const limit = createRateLimiter(2, '너무 잦습니다.', 60000);
+    const anonymous = { ip: '10.0.0.1', user: null };
+    assert.equal(runMiddleware(limit, anonymous).status, 'next');
+    assert.equal(runMiddleware(limit, anonymous).status, 'next');
+    const { status, res } = runMiddleware(limit, anonymous);
+    assert.equal(status, 429);
+    assert.equal(res.body.message, '너무 잦습니다.');
+    assert.ok(res.body.retryAfter > 0 && res.body.retryAfter <= 60);
+    assert.equal(res.headers['Retry-After'], String(res.body.retryAfter));
+
+    // 로그인한 사용자는 IP를 바꿔도 같은 사용자로 셈
+    const user = { username: '철수', role: 'user' };
+    assert.equal(runMiddleware(limit, { ip: '10.0.0.2', user }).status, 'next');
+    assert.equal(runMiddleware(limit, { ip: '10.0.0.3', user }).status, 'next');
+    assert.equal(runMiddleware(limit, { ip: '10.0.0.4', user }).status, 429);
+
+    // 운영자는 제한하지 않고, 0이면 제한 없음
+    const moderator = { username: '영희', role: 'moderator' };
+    assert.equal(runMiddleware(limit, { ip: '10.0.0.1', user: moderator }).status, 'next');
+    const unlimited = createRateLimiter(0, '너무 잦습니다.');
+    for (let i = 0; i < 5; i++) assert.equal(runMiddleware(unlimited, anonymous).status, 'next');
+  }],
+
+  ['commentTrapReason: 숨은 입력과 서명한 폼 토큰', async ({ issueCommentToken, commentTrapReason }) => {
+    const now = Date.now();
+    const token = issueCommentToken(now - 5000);
+    assert.equal(commentTrapReason({ website: '', token }, now), null);
+    assert.equal(commentTrapReason({ website: 'http://spam', token }, now), 'honeypot');
+    // 토큰 하나로 댓글 하나
+    assert.equal(commentTrapReason({ token }, now), 'invalid-token');
+    // 너무 빨리 보낸 토큰은 쓰지 않은 것으로 남아 기다렸다가 다시 보낼 수 있음
+    const early = issueCommentToken(now - 1000);
+    assert.equal(commentTrapReason({ token: early }, now), 'too-fast');
+    assert.equal(commentTrapReason({ token: early }, now + 3000), null);
+    assert.equal(commentTrapReason({ token: issueCommentToken(now - 2 * 24 * 60 * 60 * 1000) }, now), 'invalid-token');
+    assert.equal(commentTrapReason({}, now), 'invalid-token');
+    // 발급 시각을 바꾸면 서명이 맞지 않음
+    const [, nonce, signature] = issueCommentToken(now - 5000).split('.');
+    assert.equal(commentTrapReason({ token: `${now - 60000}.${nonce}.${signature}` }, now), 'invalid-token');
+    assert.equal(commentTrapReason({ token: 'abc.def.ghi' }, now), 'invalid-token');
+    // 같은 순간에 받은 토큰도 따로 씀
+    const [first, second] = [issueCommentToken(now - 5000), issueCommentToken(now - 5000)];
+    assert.notEqual(first, second);
+    assert.equal(commentTrapReason({ token: first }, now), null);
+    assert.equal(commentTrapReason({ token: second }, now), null);
+  }],
+
+  ['decomposeHangul / initialConsonants: 자모 분해', async ({ decomposeHangul, initialConsonants, isInitialsQuery }) => {
+    assert.equal(decomposeHangul('닭'), 'ㄷㅏㄹㄱ');
+    assert.equal(decomposeHangul('과자'), 'ㄱㅗㅏㅈㅏ');
+    assert.equal(decomposeHangul('ㄺ A1'), 'ㄹㄱ A1');
+    assert.equal(decomposeHangul(''), '');
+    assert.equal(initialConsonants('할일 목록'), 'ㅎㅇ ㅁㄹ');
+    assert.equal(initialConsonants('Wiki 문서'), 'Wiki ㅁㅅ');
+    assert.equal(isInitialsQuery('ㅎㅇㅁㄹ'), true);
+    assert.equal(isInitialsQuery('ㅎㅏ'), false);
+    assert.equal(isInitialsQuery('할일'), false);
+  }],
+
+  ['findInitialsMatches: 초성 검색 (띄어쓰기 무시)', async ({ findInitialsMatches, findHighlights }) => {
+    assert.deepEqual(findInitialsMatches('할일 목록', 'ㅎㅇㅁㄹ'), [{ start: 0, length: 5 }]);
+    assert.deepEqual(findInitialsMatches('오늘 할일 목록', 'ㅁㄹ'), [{ start: 6, length: 2 }]);
+    assert.deepEqual(findInitialsMatches('할일 목록', 'ㄱㄴ'), []);
+    // 제목 추천처럼 initials를 켠 경우에만 초성으로 찾음
+    assert.deepEqual(findHighlights('할일 목록', ['ㅎㅇ'], { initials: true }), [{ start: 0, length: 2 }]);
+    assert.deepEqual(findHighlights('할일 목록', ['ㅎㅇ']), []);
+  }],
+
+  ['findComposingMatches: 입력 중인 마지막 글자', async ({ findComposingMatches }) => {
+    assert.deepEqual(findComposingMatches('할일 목록', '할이'), [{ start: 0, length: 2 }]);
+    // 받침이 다음 글자의 초성으로 넘어가는 중
+    assert.deepEqual(findComposingMatches('가나다', '간'), [{ start: 0, length: 1 }]);
+    assert.deepEqual(findComposingMatches('회의록', '회으'), [{ start: 0, length: 2 }]);
+    assert.deepEqual(findComposingMatches('할일 목록', '할아'), []);
+    assert.deepEqual(findComposingMatches('abc abc', 'bc'), [{ start: 1, length: 2 }, { start: 5, length: 2 }]);
+    assert.deepEqual(findComposingMatches('', '할'), []);
+  }],
+
+  ['parseQuery: 필드, 문구, 제외, OR, 날짜', async ({ parseQuery }) => {
+    assert.deepEqual(parseQuery('title:회의 "주간 보고" -초안 tag:a OR tag:B modified:>2025-08-01'), [
+      [{ field: 'title', value: '회의', negate: false }],
+      [{ field: 'text', value: '주간 보고', negate: false }],
+      [{ field: 'text', value: '초안', negate: true }],
+      [{ field: 'tag', value: 'a', negate: false }, { field: 'tag', value: 'b', negate: false }],
+      [{ field: 'modified', range: { from: new Date(2025, 7, 2).getTime(), to: Infinity }, negate: false }]
+    ]);
+    assert.deepEqual(parseQuery('created:<=2025-01-31'), [
+      [{ field: 'created', range: { from: -Infinity, to: new Date(2025, 1, 1).getTime() }, negate: false }]
+    ]);
+    // 필드가 아닌 콜론, 앞에 온 OR, 잘못된 날짜
+    assert.deepEqual(parseQuery('http://example.com'), [[{ field: 'text', value: 'http://example.com', negate: false }]]);
+    assert.deepEqual(parseQuery('OR 회의'), [[{ field: 'text', value: '회의', negate: false }]]);
+    assert.deepEqual(parseQuery('modified:어제'), []);
+    assert.deepEqual(parseQuery(''), []);
+  }],
+
+  ['searchResultsPage: 검색어 문법으로 거르기와 순위', async ({ searchResultsPage }) => {
+    const pages = [
+      { title: '회의록 2025', content: '주간 보고 초안', metadata: { tags: ['업무'], categories: ['문서'] }, lastModified: '2025-08-10T12:00:00' },
+      { title: '틀:회의', content: '회의 틀', metadata: {}, lastModified: '2025-07-01T12:00:00' },
+      { title: '점심 메뉴', content: '주간 식단 보고', metadata: { tags: ['생활'] }, lastModified: '2025-08-02T12:00:00' },
+      { title: '일정', content: '다음 회의 일정', metadata: {}, lastModified: '2025-06-01T12:00:00' }
+    ];
+    const titles = query => searchResultsPage(pages, query).results.map(result => result.title).sort();
+
+    assert.deepEqual(titles('title:회의'), ['틀:회의', '회의록 2025']);
+    assert.deepEqual(titles('tag:업무'), ['회의록 2025']);
+    assert.deepEqual(titles('category:문서'), ['회의록 2025']);
+    assert.deepEqual(titles('ns:틀'), ['틀:회의']);
+    assert.deepEqual(titles('modified:>2025-08-01'), ['점심 메뉴', '회의록 2025']);
+    assert.deepEqual(titles('"주간 보고"'), ['회의록 2025']);
+    assert.deepEqual(titles('주간 -초안'), ['점심 메뉴']);
+    assert.deepEqual(titles('tag:업무 OR tag:생활'), ['점심 메뉴', '회의록 2025']);
+    assert.deepEqual(titles('tag:업무 회의 -ns:틀'), ['회의록 2025']);
+
+    // 제목 일치가 본문만 맞은 문서보다 앞
+    const { results, total } = searchResultsPage(pages, '회의');
+    assert.equal(total, 3);
+    assert.equal(results[results.length - 1].title, '일정');
+    assert.deepEqual(results[results.length - 1].matchedIn, ['content']);
+    assert.deepEqual(results.find(result => result.title === '회의록 2025').titleHighlights, [{ start: 0, length: 2 }]);
+  }],
+
+  ['editDistance: 글자 단위 거리와 일찍 멈추기', async ({ editDistance }) => {
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('', 'abc'), 3);
+    assert.equal(editDistance('', ''), 0);
+    assert.equal(editDistance('목록', '묵록'), 1);
+    // 한도를 넘으면 정확한 값 대신 한도 + 1
+    assert.equal(editDistance('kitten', 'sitting', 1), 2);
+    assert.equal(editDistance('abcdef', 'ab', 1), 2);
+  }],
+
+  ['findSimilarTitles: 한글 자모 단위 오타와 길이에 따른 한도', async ({ findSimilarTitles }) => {
+    const titles = ['할일 목록', '할일 묵록', '회의록', '대문', 'abcd', 'ac'];
+    // 받침/모음 하나 차이는 자모 하나 차이, 제목 자체는 빼고, 공백은 무시
+    assert.deepEqual(findSimilarTitles(titles, '할일 목록'), [{ title: '할일 묵록', distance: 1 }]);
+    assert.deepEqual(findSimilarTitles(titles, '할일목록'), [{ title: '할일 목록', distance: 0 }, { title: '할일 묵록', distance: 1 }]);
+    assert.deepEqual(findSimilarTitles(titles, '대뭄'), [{ title: '대문', distance: 1 }]);
+    // 짧은 검색어는 오타 하나까지만 ('ab'에서 'abcd'는 둘)
+    assert.deepEqual(findSimilarTitles(titles, 'ab'), [{ title: 'ac', distance: 1 }]);
+    assert.deepEqual(findSimilarTitles(titles, '할일목록', { limit: 1 }), [{ title: '할일 목록', distance: 0 }]);
+  }],
+
+  ['findSimilarTitles: 빈 입력', async ({ findSimilarTitles }) => {
+    assert.deepEqual(findSimilarTitles(['대문'], ''), []);
+    assert.deepEqual(findSimilarTitles(['대문'], '   '), []);
+    assert.deepEqual(findSimilarTitles(['대문'], undefined), []);
+    assert.deepEqual(findSimilarTitles([], '대문'), []);
+  }],
+
+  ['HtmlSanitizer: 위험한 URL, 이벤트 속성, 스크립트 제거', async ({ HtmlSanitizer }) => {
+    const sanitizer = new HtmlSanitizer();
+    const clean = html => sanitizer.sanitize(html);
+
+    assert.equal(clean('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(clean('<a href="java\tscript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(clean('<a href=" JAVASCRIPT:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(clean('<a href="data:text/html,<script>alert(1)</script>">x</a>'), '<a>x</a>');
+    assert.equal(clean('<a href="/대문">x</a>'), '<a href="/대문">x</a>');
+    assert.equal(clean('<a href="https://example.com">x</a>'), '<a href="https://example.com">x</a>');
+
+    // data: 이미지는 img src에서만 (로컬 모드 업로드)
+    const png = 'data:image/png;base64,iVBORw0KGgo=';
+    assert.equal(clean(`<img src="${png}">`), `<img src="${png}">`);
+    assert.equal(clean('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '<img>');
+    assert.equal(clean(`<a href="${png}">x</a>`), '<a>x</a>');
+    assert.equal(clean('<img srcset="a.png 1x, javascript:alert(1) 2x">'), '<img>');
+
+    assert.equal(clean('<img src="a.png" onerror="alert(1)">'), '<img src="a.png">');
+    assert.equal(clean('<span onclick="alert(1)" class="x">y</span>'), '<span class="x">y</span>');
+    assert.equal(clean('<p>가<script>alert(1)</script>나</p>'), '<p>가나</p>');
+    assert.equal(clean('<p><iframe src="https://example.com"></iframe>다</p>'), '<p>다</p>');
+    // 모르는 태그는 풀고 내용은 남김
+    assert.equal(clean('<font color="red">빨강</font>'), '빨강');
+  }],
+
+  ['HtmlSanitizer: target에 rel 강제, id는 렌더러가 만든 앵커만', async ({ HtmlSanitizer }) => {
+    const sanitizer = new HtmlSanitizer();
+    const clean = html => sanitizer.sanitize(html);
+
+    assert.equal(
+      clean('<a href="https://example.com" target="_blank">x</a>'),
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+    assert.equal(
+      clean('<a href="https://example.com" target="_blank" rel="opener">x</a>'),
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+    assert.equal(clean('<a href="/x" rel="nofollow">x</a>'), '<a href="/x" rel="nofollow">x</a>');
+
+    // 제목 앵커와 각주는 id 유지
+    assert.equal(clean('<h2 id="section-intro">소개</h2>'), '<h2 id="section-intro">소개</h2>');
+    assert.equal(
+      clean('<span id="backref-1" class="footnote-ref" data-footnote="footnote-1">1</span>'),
+      '<span id="backref-1" class="footnote-ref" data-footnote="footnote-1">1</span>'
+    );
+    assert.equal(clean('<li id="footnote-1" class="footnote">각주</li>'), '<li id="footnote-1" class="footnote">각주</li>');
+
+    // 그 밖의 id는 앱의 요소나 전역을 가릴 수 있어 제거 (DOM clobbering)
+    assert.equal(clean('<img id="footnote-1" src="a.png">'), '<img src="a.png">');
+    assert.equal(clean('<a id="section-x" href="/x">x</a>'), '<a href="/x">x</a>');
+    assert.equal(clean('<div id="app">x</div>'), '<div>x</div>');
+    assert.equal(clean('<h2 id="storage">x</h2>'), '<h2>x</h2>');
+    assert.equal(clean('<span id="backref-1 x">x</span>'), '<span>x</span>');
+  }]
+];
+
+async function loadModules(dataDir) {
+  // 모듈을 불러오기 전에 정해야 하는 경로
+  const blocklistFile = path.join(dataDir, 'blocklist.txt');
+  process.env.SPAM_BLOCKLIST_FILE = blocklistFile;
+
+  return {
+    blocklistFile,
+    ...await import('./shared/diff.js'),
+    ...await import('./shared/protection.js'),
+    ...await import('./server/spam.js'),
+    ...await import('./shared/hangul.js'),
+    ...await import('./shared/search.js'),
+    ...await import('./shared/fuzzy.js'),
+    HtmlSanitizer: loadBrowserScript('js/sanitizer.js', 'HtmlSanitizer')
+  };
+}
+
+// 브라우저 전용 스크립트(window 전역)를 jsdom 창에서 실행하고 내보낸 전역을 꺼냄
+function loadBrowserScript(file, name) {
+  const { window } = new JSDOM('', { runScripts: 'outside-only' });
+  window.eval(fs.readFileSync(new URL(file, import.meta.url), 'utf8'));
+  return window[name];
+}
+
+async function checkShared() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiki-shared-check-'));
+  const modules = await loadModules(dataDir);
+  console.log('🔍 순수 모듈 동작 검사');
+
+  let failed = 0;
+  try {
+    for (const [label, check] of checks) {
+      try {
+        await check(modules);
+        console.log(`✅ ${label}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${label}`);
+        console.error(error);
+      }
+    }
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(failed === 0 ? '🎉 모든 검사 통과' : `💥 ${failed}개 검사 실패`);
+  return failed;
+}
+
+checkShared()
+  .then(failed => process.exit(failed === 0 ? 0 : 1))
+  .catch(error => {
+    console.error('💥 검사 실행 실패:', error);
+    process.exit(1);
+  });
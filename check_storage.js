@@ -0,0 +1,402 @@
+// 저장소 백엔드 적합성 검사 - 파일/DB 백엔드가 server/storage.js의 인터페이스대로 같은 결과를 내는지 확인
+// 사용법:
+//   node check_storage.js                        임시 폴더에서 파일 저장소 검사
+//   DATABASE_URL=... node check_storage.js --db  DB 저장소 검사 ('__검사__'로 시작하는 문서/이미지를 만들고 지움)
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const PREFIX = '__검사__';
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const GIF = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const time = value => new Date(value).getTime();
+const bytesOf = dataUrl => Buffer.from(dataUrl.split(',')[1], 'base64');
+
+async function assertPageExists(promise) {
+  await assert.rejects(promise, error => error.code === 'PAGE_EXISTS');
+}
+
+const checks = [
+  ['새 페이지 저장과 조회', async (storage) => {
+    const title = `${PREFIX}문서`;
+    const saved = await storage.savePage(title, { content: '첫 판', metadata: { tags: ['검사'] }, author: '검사자', summary: '생성' });
+    assert.deepEqual(
+      { title: saved.title, content: saved.content, metadata: saved.metadata, revision: saved.revision },
+      { title, content: '첫 판', metadata: { tags: ['검사'] }, revision: 1 }
+    );
+
+    const page = await storage.getPage(title);
+    assert.equal(page.content, '첫 판');
+    assert.deepEqual(page.metadata, { tags: ['검사'] });
+    assert.equal(page.revision, 1);
+    assert.deepEqual(page.comments, []);
+    assert.equal(time(page.lastModified), time(saved.lastModified));
+
+    assert.ok((await storage.getAllPageTitles()).includes(title));
+    const listed = (await storage.getAllPages()).find(p => p.title === title);
+    assert.equal(listed.content, '첫 판');
+    assert.deepEqual(listed.metadata, { tags: ['검사'] });
+  }],
+
+  ['리비전 기록', async (storage) => {
+    const title = `${PREFIX}문서`;
+    const saved = await storage.savePage(title, { content: '두 번째 판', metadata: {}, author: '검사자', summary: '수정' });
+    assert.equal(saved.revision, 2);
+
+    const list = await storage.getRevisions(title);
+    assert.deepEqual(list.map(r => r.rev), [2, 1]);
+    assert.equal(list[0].content, undefined);
+    assert.deepEqual(
+      { author: list[0].author, summary: list[0].summary, size: list[0].size, sizeDelta: list[0].sizeDelta },
+      { author: '검사자', summary: '수정', size: '두 번째 판'.length, sizeDelta: '두 번째 판'.length - '첫 판'.length }
+    );
+
+    assert.equal((await storage.getRevision(title, 1)).content, '첫 판');
+    assert.equal(await storage.getRevision(title, 99), null);
+  }],
+
+  ['저장 시점의 판 확인 (expectedRevision)', async (storage) => {
+    const title = `${PREFIX}동시 저장`;
+    await storage.savePage(title, { content: '처음', metadata: {}, expectedRevision: 0 });
+    await assert.rejects(
+      storage.savePage(title, { content: '새 문서인 줄 앎', metadata: {}, expectedRevision: 0 }),
+      error => error.code === 'EDIT_CONFLICT'
+    );
+
+    // 같은 판에서 시작한 두 저장을 동시에 보내면 하나만 성공
+    const results = await Promise.allSettled([
+      storage.savePage(title, { content: '첫째', metadata: {}, expectedRevision: 1 }),
+      storage.savePage(title, { content: '둘째', metadata: {}, expectedRevision: 1 })
+    ]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'EDIT_CONFLICT');
+    assert.deepEqual((await storage.getRevisions(title)).map(r => r.rev), [2, 1]);
+  }],
+
+  ['없는 페이지는 null', async (storage) => {
+    const title = `${PREFIX}없는 문서`;
+    assert.equal(await storage.getPage(title), null);
+    assert.equal(await storage.getRevisions(title), null);
+    assert.equal(await storage.getRevision(title, 1), null);
+    assert.equal(await storage.movePage(title, `${PREFIX}다른 문서`), null);
+    assert.equal(await storage.deletePage(title), null);
+    assert.equal(await storage.addComment(title, { author: '검사자', content: '댓글' }), null);
+  }],
+
+  ['댓글 추가/수정/삭제 (최신순)', async (storage) => {
+    const title = `${PREFIX}문서`;
+    const first = await storage.addComment(title, { author: '검사자', content: '첫 댓글' });
+    await delay(10);
+    const second = await storage.addComment(title, { author: '검사자', content: '둘째 댓글' });
+    assert.equal(first.pageTitle, title);
+    assert.equal(first.content, '첫 댓글');
+    assert.deepEqual({ history: first.history, hiddenBy: first.hiddenBy, hiddenAt: first.hiddenAt }, { history: [], hiddenBy: null, hiddenAt: null });
+    assert.equal(first.authorId, null);
+
+    const page = await storage.getPage(title);
+    assert.deepEqual(page.comments.map(c => c.content), ['둘째 댓글', '첫 댓글']);
+    assert.ok(page.comments.every(c => c.pageTitle === title));
+
+    const updated = await storage.updateComment(first.id, { content: '고친 댓글', editedBy: '검사자' });
+    assert.equal(updated.content, '고친 댓글');
+    assert.equal(updated.pageTitle, title);
+    await storage.updateComment(first.id, { content: '다시 고친 댓글', editedBy: '운영자' });
+    await storage.updateComment(first.id, { content: '고친 댓글', editedBy: '검사자' });
+    const trail = (await storage.getComment(first.id)).history;
+    assert.deepEqual(trail.map(v => [v.content, v.replacedBy]), [['첫 댓글', '검사자'], ['고친 댓글', '운영자'], ['다시 고친 댓글', '검사자']]);
+    assert.ok(trail.every(v => !Number.isNaN(time(v.replacedAt))));
+
+    const hidden = await storage.setCommentHidden(first.id, { hidden: true, hiddenBy: '운영자' });
+    assert.equal(hidden.hiddenBy, '운영자');
+    assert.ok(hidden.hiddenAt);
+    assert.equal((await storage.getPage(title)).comments.find(c => c.id === first.id).hiddenBy, '운영자');
+    const shown = await storage.setCommentHidden(first.id, { hidden: false, hiddenBy: '운영자' });
+    assert.deepEqual({ hiddenBy: shown.hiddenBy, hiddenAt: shown.hiddenAt }, { hiddenBy: null, hiddenAt: null });
+    assert.equal(shown.content, '고친 댓글');
+    assert.equal((await storage.getComment(first.id)).content, '고친 댓글');
+    assert.equal((await storage.getComment(first.id)).pageTitle, title);
+
+    const deleted = await storage.deleteComment(second.id);
+    assert.equal(deleted.id, second.id);
+    assert.deepEqual((await storage.getPage(title)).comments.map(c => c.content), ['고친 댓글']);
+
+    assert.equal(await storage.updateComment(second.id, { content: '없음' }), null);
+    assert.equal(await storage.deleteComment(second.id), null);
+    assert.equal(await storage.getComment(second.id), null);
+    assert.equal(await storage.setCommentHidden(second.id, { hidden: true, hiddenBy: '운영자' }), null);
+  }],
+
+  ['페이지 이동', async (storage) => {
+    const from = `${PREFIX}문서`;
+    const to = `${PREFIX}옮긴 문서`;
+    const moved = await storage.movePage(from, to, { author: '검사자' });
+    assert.equal(moved.title, to);
+    assert.equal(moved.revision, 3);
+
+    assert.equal(await storage.getPage(from), null);
+    const page = await storage.getPage(to);
+    assert.equal(page.content, '두 번째 판');
+    assert.deepEqual(page.comments.map(c => c.pageTitle), [to]);
+    assert.equal((await storage.getRevisions(to))[0].summary, `"${from}"에서 "${to}"(으)로 문서 이동`);
+
+    await storage.savePage(from, { content: '같은 제목', metadata: {} });
+    await assertPageExists(storage.movePage(to, from));
+    await storage.purgeFromTrash((await storage.deletePage(from)).id);
+  }],
+
+  ['휴지통 삭제/복원/영구 삭제', async (storage) => {
+    const title = `${PREFIX}옮긴 문서`;
+    const entry = await storage.deletePage(title, { deletedBy: '검사자', reason: '검사' });
+    assert.equal(entry.title, title);
+    assert.equal(await storage.getPage(title), null);
+
+    const listed = (await storage.getTrash()).find(t => t.id === entry.id);
+    assert.deepEqual(
+      { deletedBy: listed.deletedBy, reason: listed.reason, size: listed.size, commentCount: listed.commentCount, revisionCount: listed.revisionCount },
+      { deletedBy: '검사자', reason: '검사', size: '두 번째 판'.length, commentCount: 1, revisionCount: 3 }
+    );
+    assert.equal(listed.content, undefined);
+
+    assert.equal((await storage.restoreFromTrash(entry.id)).title, title);
+    const page = await storage.getPage(title);
+    assert.equal(page.content, '두 번째 판');
+    assert.equal(page.revision, 3);
+    assert.deepEqual(page.comments.map(c => c.content), ['고친 댓글']);
+    assert.equal(page.comments[0].history.length, 3);
+    assert.equal(await storage.restoreFromTrash(entry.id), null);
+
+    const again = await storage.deletePage(title);
+    await storage.savePage(title, { content: '새 문서', metadata: {} });
+    await assertPageExists(storage.restoreFromTrash(again.id));
+
+    assert.equal((await storage.purgeFromTrash(again.id)).id, again.id);
+    assert.equal(await storage.purgeFromTrash(again.id), null);
+    assert.ok(!(await storage.getTrash()).some(t => t.id === again.id));
+    await storage.purgeFromTrash((await storage.deletePage(title)).id);
+
+    // 한꺼번에 지운 문서도 휴지통 id와 댓글 id가 겹치지 않음
+    const titles = [1, 2, 3].map(n => `${PREFIX}일괄 삭제 ${n}`);
+    for (const t of titles) {
+      await storage.savePage(t, { content: t, metadata: {} });
+      await storage.addComment(t, { author: '검사자', content: t });
+    }
+    const entries = await Promise.all(titles.map(t => storage.deletePage(t)));
+    assert.equal(new Set(entries.map(e => e.id)).size, titles.length);
+    await storage.restoreFromTrash(entries[1].id);
+    assert.equal((await storage.getPage(titles[1])).content, titles[1]);
+    const added = await storage.addComment(titles[1], { author: '검사자', content: '새 댓글' });
+    assert.ok(!(await storage.getPage(titles[1])).comments.some(c => c.id === added.id && c.content !== '새 댓글'));
+    await storage.deletePage(titles[1]);
+    for (const t of (await storage.getTrash()).filter(t => titles.includes(t.title))) {
+      await storage.purgeFromTrash(t.id);
+    }
+  }],
+
+  ['이미지 저장/덮어쓰기/삭제 (최신순)', async (storage) => {
+    const name = `${PREFIX}그림.png`;
+    const other = `${PREFIX}다른 그림.gif`;
+    const saved = await storage.saveImage({ name, bytes: bytesOf(PNG), mimeType: 'image/png', width: 1, height: 1 });
+    assert.deepEqual(
+      { name: saved.name, size: saved.size, mimeType: saved.mimeType, width: saved.width, height: saved.height },
+      { name, size: 70, mimeType: 'image/png', width: 1, height: 1 }
+    );
+
+    const image = await storage.getImage(name);
+    assert.deepEqual({ size: image.size, mimeType: image.mimeType, width: image.width }, { size: 70, mimeType: 'image/png', width: 1 });
+    assert.deepEqual(await storage.getImageBytes(name), bytesOf(PNG));
+
+    await delay(10);
+    await storage.saveImage({ name: other, bytes: bytesOf(GIF), mimeType: 'image/gif', uploadedBy: '검사자' });
+    assert.equal((await storage.getImage(other)).width, null);
+    assert.equal((await storage.getImage(other)).uploadedBy, '검사자');
+    assert.equal((await storage.getImage(name)).uploadedBy, null);
+    assert.equal((await storage.setImageSize(other, { width: 1, height: 1 })).width, 1);
+    assert.equal((await storage.getImage(other)).height, 1);
+    assert.equal(await storage.setImageSize(`${PREFIX}없는 그림`, { width: 1, height: 1 }), null);
+    const names = (await storage.getAllImages()).map(i => i.name).filter(n => n.startsWith(PREFIX));
+    assert.deepEqual(names, [other, name]);
+
+    await delay(10);
+    await storage.saveImage({ name, bytes: bytesOf(GIF), mimeType: 'image/gif' });
+    const replaced = (await storage.getAllImages()).filter(i => i.name === name);
+    assert.equal(replaced.length, 1);
+    assert.deepEqual(
+      { size: replaced[0].size, mimeType: replaced[0].mimeType, width: replaced[0].width },
+      { size: 14, mimeType: 'image/gif', width: null }
+    );
+    assert.deepEqual(await storage.getImageBytes(name), bytesOf(GIF));
+
+    assert.equal((await storage.deleteImage(name)).name, name);
+    assert.equal(await storage.getImage(name), null);
+    assert.equal(await storage.getImageBytes(name), null);
+    assert.equal(await storage.deleteImage(name), null);
+    await storage.deleteImage(other);
+  }],
+
+  ['문서/이름공간 보호', async (storage) => {
+    const title = `${PREFIX}보호 문서`;
+    const namespace = `${PREFIX}이름공간`;
+    const saved = await storage.setProtection({ kind: 'page', name: title, level: 'user', updatedBy: '검사자' });
+    assert.deepEqual({ kind: saved.kind, name: saved.name, level: saved.level, updatedBy: saved.updatedBy },
+      { kind: 'page', name: title, level: 'user', updatedBy: '검사자' });
+    await storage.setProtection({ kind: 'page', name: title, level: 'admin', updatedBy: '검사자' });
+    await storage.setProtection({ kind: 'namespace', name: namespace, level: 'anyone', updatedBy: '검사자' });
+
+    let stored = await storage.getProtections();
+    assert.equal(stored.pages[title], 'admin');
+    assert.equal(stored.namespaces[namespace], 'anyone');
+    assert.equal(stored.namespaces[title], undefined);
+
+    assert.equal(await storage.setProtection({ kind: 'page', name: title, level: null, updatedBy: '검사자' }), null);
+    await storage.setProtection({ kind: 'namespace', name: namespace, level: null, updatedBy: '검사자' });
+    stored = await storage.getProtections();
+    assert.equal(Object.hasOwn(stored.pages, title), false);
+    assert.equal(Object.hasOwn(stored.namespaces, namespace), false);
+  }],
+
+  ['사용자와 세션', async (storage) => {
+    const username = `${PREFIX}사용자`;
+    const user = await storage.createUser({ username, passwordHash: 'ab', salt: 'cd' });
+    assert.deepEqual({ username: user.username, passwordHash: user.passwordHash, salt: user.salt }, { username, passwordHash: 'ab', salt: 'cd' });
+    assert.equal((await storage.getUser(username)).passwordHash, 'ab');
+    assert.equal(await storage.getUser(`${PREFIX}없는 사용자`), null);
+    assert.equal(await storage.getUser('constructor'), null);
+    await assert.rejects(storage.createUser({ username, passwordHash: 'ef', salt: 'gh' }), error => error.code === 'USER_EXISTS');
+
+    const expiresAt = Date.now() + 60000;
+    const session = await storage.createSession({ tokenHash: `${PREFIX}토큰`, username, expiresAt });
+    assert.equal(session.username, username);
+    assert.equal(time(session.expiresAt), expiresAt);
+    assert.equal((await storage.getSession(`${PREFIX}토큰`)).username, username);
+    assert.equal((await storage.getSession(`${PREFIX}토큰`)).userId, user.id);
+    assert.equal((await storage.getSession(`${PREFIX}토큰`)).role, 'user');
+    assert.equal((await storage.setUserRole(username, 'moderator')).role, 'moderator');
+    assert.equal((await storage.getUser(username)).role, 'moderator');
+    assert.equal((await storage.getSession(`${PREFIX}토큰`)).role, 'moderator');
+    assert.equal(await storage.setUserRole(`${PREFIX}없는 사용자`, 'admin'), null);
+    assert.equal(await storage.createSession({ tokenHash: `${PREFIX}토큰2`, username: `${PREFIX}없는 사용자`, expiresAt }), null);
+
+    assert.equal((await storage.deleteSession(`${PREFIX}토큰`)).username, username);
+    assert.equal(await storage.getSession(`${PREFIX}토큰`), null);
+    assert.equal(await storage.deleteSession(`${PREFIX}토큰`), null);
+
+    // 로그인해 쓴 댓글에는 작성자 id가 남고, 사용자를 지우면 비워짐 (같은 이름으로 다시 가입해도 가져갈 수 없음)
+    const title = `${PREFIX}사용자 댓글`;
+    await storage.savePage(title, { content: '내용', metadata: {}, author: username });
+    const comment = await storage.addComment(title, { author: username, authorId: user.id, content: '로그인 댓글' });
+    assert.equal(comment.authorId, user.id);
+    assert.equal((await storage.getComment(comment.id)).authorId, user.id);
+
+    await storage.createSession({ tokenHash: `${PREFIX}토큰3`, username, expiresAt });
+    assert.equal((await storage.deleteUser(username)).username, username);
+    assert.equal(await storage.getUser(username), null);
+    assert.equal(await storage.getSession(`${PREFIX}토큰3`), null);
+    assert.equal(await storage.deleteUser(username), null);
+    assert.equal((await storage.getComment(comment.id)).authorId, null);
+    await storage.deletePage(title);
+  }],
+
+  ['검색 색인: 분해, 저장/삭제 반영, 순위', async (storage) => {
+    const { createSearchIndex, withSearchIndex, textGrams } = await import('./server/searchIndex.js');
+    assert.deepEqual([...textGrams('위키 AB')].sort(), ['a', 'ab', 'b', '위', '위키', '키'].sort());
+    assert.deepEqual([...textGrams('')], []);
+
+    const searchIndex = createSearchIndex(storage);
+    await searchIndex.ready;
+    const indexed = withSearchIndex(storage, searchIndex);
+    const titles = async (index, query) => (await index.search(query, { pageSize: 100 })).results
+      .map(result => result.title)
+      .filter(title => title.startsWith(PREFIX));
+
+    const fruit = `${PREFIX}색인 과일`;
+    const banana = `${PREFIX}바나나`;
+    await indexed.savePage(fruit, { content: '빨간 사과와 바나나', author: '검사자', summary: '' });
+    await indexed.savePage(banana, { content: '노란 과일', author: '검사자', summary: '' });
+
+    assert.deepEqual(await titles(searchIndex, '사과'), [fruit]);
+    // 제목이 맞은 문서가 본문만 맞은 문서보다 앞
+    assert.deepEqual(await titles(searchIndex, '바나나'), [banana, fruit]);
+    assert.deepEqual(await titles(searchIndex, '과일'), [fruit, banana]);
+
+    // 저장하면 예전 내용은 빠지고 새 내용이 들어감
+    await indexed.savePage(fruit, { content: '포도', author: '검사자', summary: '' });
+    assert.deepEqual(await titles(searchIndex, '사과'), []);
+    assert.deepEqual(await titles(searchIndex, '포도'), [fruit]);
+
+    await indexed.deletePage(banana, { deletedBy: '검사자' });
+    assert.deepEqual(await titles(searchIndex, '바나나'), []);
+    assert.deepEqual(await titles(searchIndex, '노란'), []);
+
+    // 저장된 색인을 다시 읽어도 같은 결과
+    const reloaded = createSearchIndex(storage);
+    await reloaded.ready;
+    assert.deepEqual(await titles(reloaded, '포도'), [fruit]);
+    assert.deepEqual(await titles(reloaded, '노란'), []);
+
+    await indexed.deletePage(fruit, { deletedBy: '검사자' });
+  }]
+];
+
+// 실패한 검사가 남긴 '__검사__' 데이터 정리
+async function cleanup(storage) {
+  for (const title of await storage.getAllPageTitles()) {
+    if (title.startsWith(PREFIX)) await storage.deletePage(title);
+  }
+  for (const entry of await storage.getTrash()) {
+    if (entry.title.startsWith(PREFIX)) await storage.purgeFromTrash(entry.id);
+  }
+  for (const image of await storage.getAllImages()) {
+    if (image.name.startsWith(PREFIX)) await storage.deleteImage(image.name);
+  }
+  await storage.deleteUser(`${PREFIX}사용자`);
+}
+
+async function loadStorage(useDatabase) {
+  if (useDatabase) {
+    const { db } = await import('./server/db.js');
+    if (!db) throw new Error('DATABASE_URL is not set');
+    const { createDbStorage } = await import('./server/dbStorage.js');
+    return { name: 'DB', storage: createDbStorage(db) };
+  }
+
+  // 파일 저장소는 실제 data 폴더 대신 임시 폴더에서 검사
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiki-storage-check-'));
+  process.env.WIKI_DATA_DIR = dataDir;
+  const { createFileStorage } = await import('./server/fileStorage.js');
+  return { name: `파일 (${dataDir})`, storage: createFileStorage(), dataDir };
+}
+
+async function checkStorage() {
+  const { name, storage, dataDir } = await loadStorage(process.argv.includes('--db'));
+  console.log(`🔍 저장소 적합성 검사: ${name}`);
+
+  let failed = 0;
+  try {
+    for (const [label, check] of checks) {
+      try {
+        await check(storage);
+        console.log(`✅ ${label}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${label}`);
+        console.error(error);
+      }
+    }
+  } finally {
+    await cleanup(storage);
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(failed === 0 ? '🎉 모든 검사 통과' : `💥 ${failed}개 검사 실패`);
+  return failed;
+}
+
+checkStorage()
+  .then(failed => process.exit(failed === 0 ? 0 : 1))
+  .catch(error => {
+    console.error('💥 검사 실행 실패:', error);
+    process.exit(1);
+  });
@@ -4,7 +4,7 @@
 class WikiApp {
     constructor() {
         this.storage = new WikiStorage();
-        this.renderer = new WikiRenderer();
+        this.renderer = new WikiRenderer(this.storage);
         this.search = null;
         
         // Make app instance globally available for renderer
@@ -14,6 +14,28 @@ class WikiApp {
         this.isEditMode = false;
         this.hasUnsavedChanges = false;
         
+        // Redirect chains longer than this are not followed
+        this.maxRedirects = 5;
+        this.showingRedirectSource = false;
+        this.initialLoadOptions = {};
+        
+        // Search results page: { query, sort, page, category, tag } while it is shown
+        this.searchState = null;
+        this.initialSearch = null;
+        this.searchPageSize = 20;
+        
+        // Logged-in user from the server: { user, author, allowAnonymousEdits, accountsAvailable }
+        this.account = { user: null, author: '익명', allowAnonymousEdits: true, accountsAvailable: false };
+        // Stored protection levels ({ pages, namespaces }); WikiProtection adds the defaults
+        this.protections = { pages: {}, namespaces: {} };
+        // Signed comment-form token (a promise), fetched when the visitor starts typing (time trap against bots)
+        this.commentToken = null;
+        
+        // Version the editor content is based on (sent with saves to detect conflicts)
+        this.editBase = { title: null, revision: 0 };
+        this.isSaving = false;
+        this.pendingConflict = null;
+        
         // WebSocket connection for real-time updates
         this.websocket = null;
         this.initWebSocket();
@@ -37,6 +59,7 @@ class WikiApp {
             pageTitle: document.getElementById('page-title'),
             pageContent: document.getElementById('page-content'),
             lastModified: document.getElementById('last-modified'),
+            redirectNotice: document.getElementById('redirect-notice'),
             
             // Edit mode
             pageEdit: document.getElementById('page-edit'),
@@ -103,6 +126,7 @@ class WikiApp {
             // Page footer elements
             pageTags: document.getElementById('page-tags'),
             backlinksSection: document.getElementById('backlinks-section'),
+            fileUsagesSection: document.getElementById('file-usages-section'),
             outgoingLinksSection: document.getElementById('outgoing-links-section'),
             popularTags: document.getElementById('popular-tags'),
             
@@ -110,6 +134,88 @@ class WikiApp {
             searchInput: document.getElementById('search-input'),
             searchResults: document.getElementById('search-results'),
             
+            // Search results page
+            searchPage: document.getElementById('search-page'),
+            searchPageForm: document.getElementById('search-page-form'),
+            searchPageInput: document.getElementById('search-page-input'),
+            searchPageSort: document.getElementById('search-page-sort'),
+            searchFacets: document.getElementById('search-facets'),
+            searchPageSummary: document.getElementById('search-page-summary'),
+            searchPageResults: document.getElementById('search-page-results'),
+            searchPagination: document.getElementById('search-pagination'),
+            
+            // Page history
+            pageHistoryBtn: document.getElementById('page-history-btn'),
+            pageHistoryModal: document.getElementById('page-history-modal'),
+            pageHistoryTitle: document.getElementById('page-history-title'),
+            pageHistoryList: document.getElementById('page-history-list'),
+            pageHistoryPreview: document.getElementById('page-history-preview'),
+            closePageHistory: document.getElementById('close-page-history'),
+            compareRevisionsBtn: document.getElementById('compare-revisions'),
+            revisionDiffModal: document.getElementById('revision-diff-modal'),
+            revisionDiffTitle: document.getElementById('revision-diff-title'),
+            revisionDiffContent: document.getElementById('revision-diff-content'),
+            closeRevisionDiff: document.getElementById('close-revision-diff'),
+            editSummary: document.getElementById('edit-summary'),
+            
+            // Edit conflicts
+            editConflictWarning: document.getElementById('edit-conflict-warning'),
+            editConflictModal: document.getElementById('edit-conflict-modal'),
+            editConflictMessage: document.getElementById('edit-conflict-message'),
+            editConflictDiff: document.getElementById('edit-conflict-diff'),
+            conflictKeepMine: document.getElementById('conflict-keep-mine'),
+            conflictTakeTheirs: document.getElementById('conflict-take-theirs'),
+            conflictMerge: document.getElementById('conflict-merge'),
+            conflictCancel: document.getElementById('conflict-cancel'),
+            
+            // Page move
+            movePageBtn: document.getElementById('move-page-btn'),
+            movePageModal: document.getElementById('move-page-modal'),
+            
+            // Page protection
+            protectionBadge: document.getElementById('protection-badge'),
+            protectionLabel: document.getElementById('protection-label'),
+            protectPageBtn: document.getElementById('protect-page-btn'),
+            protectModal: document.getElementById('protect-modal'),
+            protectHeading: document.getElementById('protect-heading'),
+            protectPageLevel: document.getElementById('protect-page-level'),
+            protectNamespaceField: document.getElementById('protect-namespace-field'),
+            protectNamespaceLabel: document.getElementById('protect-namespace-label'),
+            protectNamespaceLevel: document.getElementById('protect-namespace-level'),
+            confirmProtect: document.getElementById('confirm-protect'),
+            cancelProtect: document.getElementById('cancel-protect'),
+
+            // Account
+            accountBtn: document.getElementById('account-btn'),
+            accountLabel: document.getElementById('account-label'),
+            accountModal: document.getElementById('account-modal'),
+            accountUsername: document.getElementById('account-username'),
+            accountPassword: document.getElementById('account-password'),
+            accountError: document.getElementById('account-error'),
+            accountLogin: document.getElementById('account-login'),
+            accountRegister: document.getElementById('account-register'),
+            cancelAccount: document.getElementById('cancel-account'),
+            movePageHeading: document.getElementById('move-page-heading'),
+            movePageTitle: document.getElementById('move-page-title'),
+            moveLeaveRedirect: document.getElementById('move-leave-redirect'),
+            moveRewriteLinks: document.getElementById('move-rewrite-links'),
+            confirmMovePage: document.getElementById('confirm-move-page'),
+            cancelMovePage: document.getElementById('cancel-move-page'),
+            
+            // Deletion and trash
+            deletePageBtn: document.getElementById('delete-page-btn'),
+            trashBtn: document.getElementById('trash-btn'),
+            trashModal: document.getElementById('trash-modal'),
+            trashList: document.getElementById('trash-list'),
+            closeTrash: document.getElementById('close-trash'),
+            
+            // Image report
+            imageReportBtn: document.getElementById('image-report-btn'),
+            imageReportModal: document.getElementById('image-report-modal'),
+            imageReportContent: document.getElementById('image-report-content'),
+            refreshImageReport: document.getElementById('refresh-image-report'),
+            closeImageReport: document.getElementById('close-image-report'),
+            
             // Favorites
             favoriteBtn: document.getElementById('favorite-btn'),
             favoritesList: document.getElementById('favorites-list'),
@@ -121,7 +227,8 @@ class WikiApp {
             commentsSection: document.getElementById('comments-section'),
             commentsList: document.getElementById('comments-list'),
             commentInput: document.getElementById('comment-input'),
-            commentAuthor: document.getElementById('comment-author'),
+            commentWebsite: document.getElementById('comment-website'),
+            commentIdentity: document.getElementById('comment-identity'),
             addCommentBtn: document.getElementById('add-comment-btn'),
             
             // Loading
@@ -174,13 +281,42 @@ class WikiApp {
     handleRealtimeUpdate(data) {
         switch (data.type) {
             case 'pageUpdated':
+                this.storage.pageCache.delete(data.page.title);
+                
+                // 편집 중인 문서를 다른 사람이 저장한 경우 바로 경고
+                if (this.isEditMode && !this.isSaving && data.page.title === this.editBase.title &&
+                    data.page.revision !== this.editBase.revision) {
+                    this.showEditConflictWarning(data.page);
+                }
+                
                 // 현재 보고 있는 페이지가 업데이트된 경우
                 if (data.page.title === this.currentPage && !this.isEditMode) {
-                    this.loadPage(this.currentPage, false); // 페이지 다시 로드
+                    // 페이지 다시 로드 (넘겨주기 문서 자체를 보고 있었다면 그대로 유지)
+                    this.loadPage(this.currentPage, false, { followRedirect: !this.showingRedirectSource });
                 }
                 this.updateNavigation(); // 네비게이션 업데이트
                 break;
                 
+            case 'pageDeleted':
+                // 보고 있던 페이지가 삭제된 경우 대문으로 이동
+                this.storage.pageCache.delete(data.title);
+                if (data.title === this.currentPage && !this.isEditMode) {
+                    this.showNotification(`"${data.title}" 문서가 삭제되었습니다.`, 'warning');
+                    this.loadPage('대문');
+                }
+                this.updateNavigation();
+                break;
+                
+            case 'pageMoved':
+                // 보고 있던 페이지가 이동된 경우 새 제목으로 따라감
+                this.storage.renameLocalReferences(data.from, data.to);
+                if (data.from === this.currentPage && !this.isEditMode) {
+                    this.showNotification(`"${data.from}" 문서가 "${data.to}"(으)로 이동되었습니다.`, 'warning');
+                    this.loadPage(data.to);
+                }
+                this.updateNavigation();
+                break;
+                
             case 'commentAdded':
                 // 현재 페이지에 댓글이 추가된 경우
                 if (data.pageTitle === this.currentPage) {
@@ -193,6 +329,11 @@ class WikiApp {
                 // 댓글이 수정/삭제된 경우
                 this.updateComments();
                 break;
+
+            case 'protectionChanged':
+                // 보호 수준이 바뀌면 잠금 표시를 다시 그림
+                this.refreshProtections();
+                break;
         }
     }
 
@@ -210,11 +351,24 @@ class WikiApp {
             this.setupAutoSave();
             this.setupTagsAndLinksEvents();
             this.setupFavoritesEvents();
+            this.setupHistoryEvents();
+            this.setupConflictEvents();
+            this.setupMoveEvents();
+            this.setupTrashEvents();
+            this.setupImageReportEvents();
+            this.setupSearchPageEvents();
+            this.setupAccountEvents();
+            this.setupProtectionEvents();
             this.setupCommentsEvents();
+            this.refreshAccount();
             
             // Load page after everything is set up
             setTimeout(async () => {
-                await this.loadPage(this.currentPage);
+                if (this.initialSearch) {
+                    await this.showSearchPage(this.initialSearch.query, this.initialSearch, false);
+                } else {
+                    await this.loadPage(this.currentPage, true, this.initialLoadOptions);
+                }
                 await this.updateNavigation();
                 this.updatePopularTags();
                 this.updateFavoritesList();
@@ -347,13 +501,31 @@ class WikiApp {
 
         // Handle internal links
         document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('internal-link')) {
+            const link = e.target.closest('.internal-link');
+            if (link) {
                 e.preventDefault();
-                const pageName = e.target.dataset.page;
+                const pageName = link.dataset.page;
                 this.navigateToPage(pageName);
             }
         });
         
+        // "Page not found" view: create the page under the requested title anyway
+        document.addEventListener('click', (e) => {
+            const createButton = e.target.closest('.create-missing-page-btn');
+            if (createButton) {
+                this.createPageAndEdit(createButton.dataset.page);
+            }
+        });
+        
+        // "Redirected from" link opens the redirect page itself
+        document.addEventListener('click', (e) => {
+            const sourceLink = e.target.closest('.redirect-source-link');
+            if (sourceLink) {
+                e.preventDefault();
+                this.loadPage(sourceLink.dataset.page, true, { followRedirect: false });
+            }
+        });
+        
         // Handle category links
         document.addEventListener('click', (e) => {
             const categoryElement = e.target.closest('.category-link');
@@ -364,6 +536,23 @@ class WikiApp {
             }
         });
 
+        // Handle tags (page content, footer and sidebar)
+        document.addEventListener('click', (e) => {
+            const tagElement = e.target.closest('.wiki-tag[data-tag]');
+            if (tagElement) {
+                e.preventDefault();
+                this.showTaggedPages(tagElement.dataset.tag);
+            }
+        });
+
+        // YouTube thumbnails: replace with the player on click
+        document.addEventListener('click', (e) => {
+            const thumbnail = e.target.closest('.youtube-thumbnail[data-youtube-id]');
+            if (thumbnail) {
+                this.playYouTubeVideo(thumbnail);
+            }
+        });
+
         // Handle navigation events from search
         document.addEventListener('navigate-to-page', (e) => {
             this.navigateToPage(e.detail.pageName);
@@ -408,6 +597,265 @@ class WikiApp {
         window.app = this;
     }
 
+    /**
+     * Setup search results page events
+     */
+    setupSearchPageEvents() {
+        if (!this.elements.searchPage) return;
+
+        this.elements.searchPageForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.showSearchPage(this.elements.searchPageInput.value, {
+                sort: this.elements.searchPageSort.value,
+                category: this.searchState?.category,
+                tag: this.searchState?.tag
+            });
+        });
+
+        this.elements.searchPageSort.addEventListener('change', () => {
+            if (!this.searchState) return;
+            this.showSearchPage(this.searchState.query, {
+                ...this.searchState,
+                sort: this.elements.searchPageSort.value,
+                page: 1
+            });
+        });
+
+        this.elements.searchPage.addEventListener('click', (e) => {
+            const resultLink = e.target.closest('.search-page-result-title');
+            if (resultLink) {
+                e.preventDefault();
+                this.navigateToPage(resultLink.dataset.page);
+                return;
+            }
+
+            // Clicking a facet filters by it; clicking the active one clears it
+            const facet = e.target.closest('[data-search-facet]');
+            if (facet && this.searchState) {
+                const field = facet.dataset.searchFacet;
+                const value = this.searchState[field] === facet.dataset.value ? '' : facet.dataset.value;
+                this.showSearchPage(this.searchState.query, { ...this.searchState, [field]: value, page: 1 });
+                return;
+            }
+
+            const pageButton = e.target.closest('[data-search-page]');
+            if (pageButton && this.searchState) {
+                this.showSearchPage(this.searchState.query, {
+                    ...this.searchState,
+                    page: parseInt(pageButton.dataset.searchPage, 10)
+                });
+                this.elements.searchPage.scrollIntoView({ block: 'start' });
+            }
+        });
+    }
+
+    /**
+     * Read the results page state from a /search query string
+     * @param {string} queryString - e.g. "?q=회의&sort=modified&page=2&tag=프로젝트"
+     * @returns {Object} { query, sort, page, category, tag }
+     */
+    parseSearchPageUrl(queryString) {
+        const params = new URLSearchParams(queryString);
+        const sort = params.get('sort');
+        return {
+            query: (params.get('q') || '').trim(),
+            sort: window.WikiTextSearch.SORT_OPTIONS.includes(sort) ? sort : 'relevance',
+            page: Math.max(parseInt(params.get('page'), 10) || 1, 1),
+            category: params.get('category') || '',
+            tag: params.get('tag') || ''
+        };
+    }
+
+    /**
+     * URL of the results page (defaults are left out)
+     * @param {Object} state - { query, sort, page, category, tag }
+     * @returns {string} e.g. "/search?q=회의&page=2"
+     */
+    searchPageUrl(state) {
+        const params = new URLSearchParams({ q: state.query });
+        if (state.sort && state.sort !== 'relevance') params.set('sort', state.sort);
+        if (state.page > 1) params.set('page', state.page);
+        if (state.category) params.set('category', state.category);
+        if (state.tag) params.set('tag', state.tag);
+        return `/search?${params}`;
+    }
+
+    /**
+     * Query sent to the search: the typed query plus the facet filters as category:/tag: clauses
+     * @param {Object} state - { query, category, tag }
+     * @returns {string} Search query
+     */
+    buildSearchPageQuery(state) {
+        const filters = [['category', state.category], ['tag', state.tag]]
+            .filter(([, value]) => value)
+            .map(([field, value]) => `${field}:"${value.replace(/"/g, '')}"`);
+        return [state.query, ...filters].join(' ');
+    }
+
+    /**
+     * Show the full search results page
+     * @param {string} query - Search query
+     * @param {Object} [options] - { sort: 'relevance' | 'modified' | 'created', page, category, tag }
+     * @param {boolean} [pushState] - Whether to push browser state
+     */
+    async showSearchPage(query, options = {}, pushState = true) {
+        if (this.hasUnsavedChanges && !this.confirmLeavePage()) {
+            return;
+        }
+
+        const state = {
+            query: (query || '').trim(),
+            sort: options.sort || 'relevance',
+            page: options.page || 1,
+            category: options.category || '',
+            tag: options.tag || ''
+        };
+        this.searchState = state;
+
+        if (this.isEditMode) {
+            this.setEditMode(false);
+        }
+        this.hasUnsavedChanges = false;
+        this.updateSaveButton();
+        this.elements.pageView.style.display = 'none';
+        this.elements.searchPage.style.display = 'block';
+        this.elements.searchPageInput.value = state.query;
+        this.elements.searchPageSort.value = state.sort;
+
+        if (pushState) {
+            history.pushState({ search: state }, '', this.searchPageUrl(state));
+        }
+
+        if (!state.query) {
+            this.renderSearchPage(state, null, []);
+            return;
+        }
+
+        this.elements.searchPageSummary.textContent = '검색 중...';
+        try {
+            const result = await this.storage.searchResultsPage(this.buildSearchPageQuery(state), {
+                sort: state.sort,
+                page: state.page,
+                pageSize: this.searchPageSize
+            });
+            const similar = result.total === 0 && !state.category && !state.tag
+                ? await this.search.getSimilarTitles(state.query)
+                : [];
+
+            // Ignore responses for a search the user has already left
+            if (this.searchState !== state) return;
+            this.renderSearchPage(state, result, similar);
+        } catch (error) {
+            console.error('Error loading search results:', error);
+            this.elements.searchPageSummary.textContent = '검색 중 오류가 발생했습니다.';
+        }
+    }
+
+    /**
+     * Leave the search results page (shows the page view again)
+     */
+    hideSearchPage() {
+        if (!this.searchState) return;
+
+        this.searchState = null;
+        this.elements.searchPage.style.display = 'none';
+        if (!this.isEditMode) {
+            this.elements.pageView.style.display = 'block';
+        }
+    }
+
+    /**
+     * Render results, facets and pager of the search results page
+     * @param {Object} state - { query, sort, page, category, tag }
+     * @param {Object|null} result - From storage.searchResultsPage (null when there is no query)
+     * @param {Array} similar - Close titles offered when nothing matches
+     */
+    renderSearchPage(state, result, similar) {
+        const { searchFacets, searchPageSummary, searchPageResults, searchPagination } = this.elements;
+
+        if (!result) {
+            searchPageSummary.textContent = '검색어를 입력하세요.';
+            searchFacets.innerHTML = '';
+            searchPageResults.innerHTML = '';
+            searchPagination.innerHTML = '';
+            return;
+        }
+
+        const activeFilters = [['category', '분류'], ['tag', '태그']]
+            .filter(([field]) => state[field])
+            .map(([field, label]) => `
+                <button class="search-filter-chip" data-search-facet="${field}" data-value="${this.escapeHtml(state[field])}" title="필터 해제">
+                    ${label}: ${this.escapeHtml(state[field])} ✕
+                </button>
+            `).join('');
+        searchPageSummary.innerHTML = `
+            "${this.escapeHtml(state.query)}" 검색 결과 ${result.total}개
+            ${activeFilters}
+        `;
+
+        searchFacets.innerHTML = [['category', '분류', result.facets.categories], ['tag', '태그', result.facets.tags]]
+            .filter(([, , values]) => values.length > 0)
+            .map(([field, label, values]) => `
+                <div class="search-facet-group">
+                    <h3>${label}</h3>
+                    <ul>
+                        ${values.map(({ name, count }) => `
+                            <li>
+                                <button class="search-facet${state[field] === name ? ' active' : ''}" data-search-facet="${field}" data-value="${this.escapeHtml(name)}">
+                                    <span class="search-facet-name">${this.escapeHtml(name)}</span>
+                                    <span class="search-facet-count">${count}</span>
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('');
+
+        if (result.results.length === 0) {
+            searchPageResults.innerHTML = similar.length > 0
+                ? `<li class="search-page-empty">혹시 ${similar.map(({ title }) =>
+                    `<a href="#" class="internal-link" data-page="${this.escapeHtml(title)}">${this.escapeHtml(title)}</a>`).join(', ')}?</li>`
+                : '<li class="search-page-empty">일치하는 문서가 없습니다.</li>';
+        } else {
+            searchPageResults.innerHTML = result.results.map(item => {
+                const modified = item.lastModified ? new Date(item.lastModified).toLocaleDateString('ko-KR') : '';
+                const categories = item.categories.length > 0 ? ` · 분류: ${item.categories.map(c => this.escapeHtml(c)).join(', ')}` : '';
+                return `
+                    <li class="search-page-result">
+                        <a href="/${this.pageNameToPunycode(item.title)}" class="search-page-result-title" data-page="${this.escapeHtml(item.title)}">${this.search.highlightRanges(item.title, item.titleHighlights)}</a>
+                        ${item.snippet ? `<div class="search-page-result-snippet">${this.search.highlightRanges(item.snippet, item.snippetHighlights)}</div>` : ''}
+                        <div class="search-page-result-meta">수정 ${modified}${categories}</div>
+                    </li>
+                `;
+            }).join('');
+        }
+
+        searchPagination.innerHTML = this.renderSearchPagination(result.page, result.pageCount);
+    }
+
+    /**
+     * Pager buttons: previous/next and the pages around the current one
+     * @param {number} page - Current page (1-based)
+     * @param {number} pageCount - Number of pages
+     * @returns {string} HTML
+     */
+    renderSearchPagination(page, pageCount) {
+        if (pageCount <= 1) return '';
+
+        const first = Math.max(1, page - 2);
+        const last = Math.min(pageCount, page + 2);
+        const numbers = [];
+        for (let n = first; n <= last; n++) {
+            numbers.push(`<button class="btn btn-secondary${n === page ? ' active' : ''}" data-search-page="${n}"${n === page ? ' disabled' : ''}>${n}</button>`);
+        }
+
+        return `
+            <button class="btn btn-secondary" data-search-page="${page - 1}"${page <= 1 ? ' disabled' : ''}>이전</button>
+            ${numbers.join('')}
+            <button class="btn btn-secondary" data-search-page="${page + 1}"${page >= pageCount ? ' disabled' : ''}>다음</button>
+        `;
+    }
+
     /**
      * Setup URL routing
      */
@@ -418,8 +866,11 @@ class WikiApp {
         
         let targetPage = null;
         
-        // Check if we have a path-based route (excluding root)
-        if (pathname && pathname !== '/' && pathname !== '/index.html') {
+        // /search?q=... opens the search results page (loaded by init)
+        if (pathname === '/search') {
+            this.initialSearch = this.parseSearchPageUrl(window.location.search);
+        } else if (pathname && pathname !== '/' && pathname !== '/index.html') {
+            // Path-based route (excluding root)
             const encodedPageName = pathname.substring(1); // Remove leading /
             try {
                 targetPage = this.punycodeToPageName(encodedPageName);
@@ -433,18 +884,31 @@ class WikiApp {
             targetPage = decodeURIComponent(hash);
         }
         
-        // Navigate to the target page if it differs from current
-        if (targetPage && targetPage !== this.currentPage) {
+        // ?redirect=no opens a redirect page without following it (loaded by init)
+        const noRedirect = new URLSearchParams(window.location.search).get('redirect') === 'no';
+        if (targetPage && noRedirect) {
+            this.currentPage = targetPage;
+            this.initialLoadOptions = { followRedirect: false };
+        } else if (targetPage && targetPage !== this.currentPage) {
+            // Navigate to the target page if it differs from current
             this.navigateToPage(targetPage);
         }
 
         // Handle back/forward buttons
         window.addEventListener('popstate', (e) => {
+            if (e.state?.search) {
+                this.showSearchPage(e.state.search.query, e.state.search, false);
+                return;
+            }
             const pageName = e.state?.page || '대문';
-            this.loadPage(pageName, false); // Don't push state again
+            this.loadPage(pageName, false, { followRedirect: !e.state?.noRedirect }); // Don't push state again
         });
 
         // Push initial state with punycode URL
+        if (this.initialSearch) {
+            history.replaceState({ search: this.initialSearch }, '', this.searchPageUrl(this.initialSearch));
+            return;
+        }
         const encodedCurrentPage = this.pageNameToPunycode(this.currentPage);
         history.replaceState({ page: this.currentPage }, '', `/${encodedCurrentPage}`);
     }
@@ -506,8 +970,11 @@ class WikiApp {
      * Load a page
      * @param {string} pageName - Name of page to load
      * @param {boolean} pushState - Whether to push browser state
+     * @param {Object} options - { followRedirect: false } shows a redirect page itself
      */
-    async loadPage(pageName, pushState = true) {
+    async loadPage(pageName, pushState = true, options = {}) {
+        const followRedirect = options.followRedirect !== false;
+
         this.showLoading();
         
         try {
@@ -516,18 +983,41 @@ class WikiApp {
                 this.hideLoading();
                 return;
             }
+            this.hideSearchPage();
 
-            const page = await this.storage.getPage(pageName);
+            let page = await this.storage.getPage(pageName);
             
             if (!page) {
-                console.log(`Page "${pageName}" not found, creating new page`);
-                // Page doesn't exist, create it
-                this.createPageAndEdit(pageName);
+                // A typo in a link should not spawn a junk page: offer close titles first
+                const similar = window.WikiFuzzy.findSimilarTitles(await this.storage.getAllPageTitles(), pageName);
+                if (similar.length > 0) {
+                    console.log(`Page "${pageName}" not found, suggesting similar titles`);
+                    this.showMissingPage(pageName, similar, pushState);
+                } else {
+                    console.log(`Page "${pageName}" not found, creating new page`);
+                    this.createPageAndEdit(pageName);
+                }
                 this.hideLoading();
                 return;
             }
 
+            // Follow #넘겨주기 to the target page
+            let redirectedFrom = null;
+            if (followRedirect) {
+                const resolved = await this.resolveRedirect(page);
+                if (resolved.loop) {
+                    this.showNotification('넘겨주기가 순환하고 있어 더 이상 따라가지 않았습니다.', 'warning');
+                }
+                if (resolved.page !== page) {
+                    redirectedFrom = pageName;
+                    page = resolved.page;
+                    pageName = page.title;
+                }
+            }
+            this.updateRedirectNotice(redirectedFrom);
+
             this.currentPage = pageName;
+            this.showingRedirectSource = !followRedirect;
             
             // Show the page content
             this.elements.pageTitle.textContent = page.title;
@@ -543,10 +1033,12 @@ class WikiApp {
                 : await this.renderer.render(page.content);
             
             this.updateLastModified(page.lastModified);
+            this.updateProtectionBadge(pageName);
             
             // Update edit form
             this.elements.pageTitleInput.value = page.title;
             this.elements.pageEditor.value = page.content;
+            this.setEditBase(page);
             await this.updatePreview();
             
             // Update navigation
@@ -564,7 +1056,11 @@ class WikiApp {
             // Update URL with punycode encoding
             if (pushState) {
                 const encodedPageName = this.pageNameToPunycode(pageName);
-                history.pushState({ page: pageName }, '', `/${encodedPageName}`);
+                if (followRedirect) {
+                    history.pushState({ page: pageName }, '', `/${encodedPageName}`);
+                } else {
+                    history.pushState({ page: pageName, noRedirect: true }, '', `/${encodedPageName}?redirect=no`);
+                }
             }
             
             // Update recent pages
@@ -601,6 +1097,51 @@ class WikiApp {
         }
     }
 
+    /**
+     * Follow a chain of redirect pages, stopping at missing targets and loops
+     * @param {Object} page - Starting page
+     * @returns {Promise<{page: Object, loop: boolean}>} Final page reached
+     */
+    async resolveRedirect(page) {
+        const visited = new Set([page.title]);
+        let current = page;
+
+        for (let hop = 0; hop < this.maxRedirects; hop++) {
+            const target = window.WikiSyntax.parseRedirect(current.content);
+            if (!target) break;
+            if (visited.has(target)) {
+                return { page: current, loop: true };
+            }
+
+            const next = await this.storage.getPage(target);
+            if (!next) break;
+
+            visited.add(target);
+            current = next;
+        }
+
+        return { page: current, loop: false };
+    }
+
+    /**
+     * Show or hide the "redirected from" notice above the page content
+     * @param {string|null} fromTitle - Title of the redirect page that was followed
+     */
+    updateRedirectNotice(fromTitle) {
+        const notice = this.elements.redirectNotice;
+        if (!notice) return;
+
+        if (!fromTitle) {
+            notice.style.display = 'none';
+            notice.innerHTML = '';
+            return;
+        }
+
+        const encodedUrl = this.pageNameToPunycode(fromTitle);
+        notice.innerHTML = `<a href="/${encodedUrl}?redirect=no" class="redirect-source-link" data-page="${this.escapeHtml(fromTitle)}">${this.escapeHtml(fromTitle)}</a>에서 넘어옴`;
+        notice.style.display = 'block';
+    }
+
     /**
      * Navigate to a page
      * @param {string} pageName - Name of page to navigate to
@@ -609,22 +1150,72 @@ class WikiApp {
         this.loadPage(pageName);
     }
 
+    /**
+     * Show a "page not found" view offering similar existing titles
+     * and a button to create the page anyway
+     * @param {string} pageName - Title that does not exist
+     * @param {Array} similar - Close titles ({ title, distance }) from WikiFuzzy.findSimilarTitles
+     * @param {boolean} pushState - Whether to push browser state
+     */
+    showMissingPage(pageName, similar, pushState = true) {
+        this.currentPage = pageName;
+        this.updateRedirectNotice(null);
+        this.elements.pageTitle.textContent = pageName;
+        this.elements.pageContent.innerHTML = `
+            <div class="missing-page">
+                <p>"${this.escapeHtml(pageName)}" 문서가 없습니다. 혹시 이 문서를 찾으셨나요?</p>
+                <ul class="did-you-mean-list">
+                    ${similar.map(({ title }) => `<li><a href="#" class="internal-link" data-page="${this.escapeHtml(title)}">${this.escapeHtml(title)}</a></li>`).join('')}
+                </ul>
+                <button class="btn btn-secondary create-missing-page-btn" data-page="${this.escapeHtml(pageName)}">
+                    "${this.escapeHtml(pageName)}" 문서 새로 만들기
+                </button>
+            </div>
+        `;
+        this.updateLastModified(null);
+        this.updateProtectionBadge(pageName);
+        
+        // Editing from here creates the page under the requested title
+        this.elements.pageTitleInput.value = pageName;
+        this.elements.pageEditor.value = '';
+        this.setEditBase({ title: pageName, revision: 0 });
+        if (this.isEditMode) {
+            this.setEditMode(false);
+        }
+        
+        // Backlinks show which pages link to the missing title
+        this.updatePageFooter({ title: pageName, content: '' });
+        this.updateFavoriteButton(pageName);
+        this.updateComments();
+        
+        if (pushState) {
+            history.pushState({ page: pageName }, '', `/${this.pageNameToPunycode(pageName)}`);
+        }
+        
+        this.hasUnsavedChanges = false;
+        this.updateSaveButton();
+    }
+
     /**
      * Create a new page and start editing
      * @param {string} pageName - Name of new page
      */
     async createPageAndEdit(pageName) {
         try {
+            this.hideSearchPage();
             this.currentPage = pageName;
             
             // Initialize empty page
+            this.updateRedirectNotice(null);
             this.elements.pageTitle.textContent = pageName;
             this.elements.pageContent.innerHTML = '<p><em>이 페이지는 비어있습니다. 편집 버튼을 클릭하여 내용을 추가하세요.</em></p>';
             this.updateLastModified(null);
+            this.updateProtectionBadge(pageName);
             
             // Initialize edit form
             this.elements.pageTitleInput.value = pageName;
             this.elements.pageEditor.value = '';
+            this.setEditBase({ title: pageName, revision: 0 });
             this.updatePreview();
             
             // Enter edit mode
@@ -653,6 +1244,9 @@ class WikiApp {
      * Toggle edit mode
      */
     toggleEditMode() {
+        // The results page has no page of its own to edit
+        if (this.searchState) return;
+
         if (this.isEditMode) {
             this.cancelEdit();
         } else {
@@ -702,7 +1296,7 @@ class WikiApp {
      */
     async savePage() {
         const title = this.elements.pageTitleInput.value.trim();
-        const content = this.elements.pageEditor.value;
+        let content = this.elements.pageEditor.value;
         
         if (!title) {
             alert('페이지 제목을 입력해주세요.');
@@ -714,11 +1308,37 @@ class WikiApp {
             // Extract metadata (tags, categories, etc.)
             const metadata = this.extractMetadata(content);
             
-            const result = await this.storage.savePage(title, content, metadata);
+            const summary = this.elements.editSummary ? this.elements.editSummary.value.trim() : '';
+            
+            // 제목을 바꿔 저장하면 새 문서를 만드는 것으로 보고 기존 문서가 없어야 함
+            const baseRevision = title === this.editBase.title ? this.editBase.revision : 0;
+            
+            this.isSaving = true;
+            let result;
+            try {
+                result = await this.storage.savePage(title, content, metadata, { summary, baseRevision });
+            } finally {
+                this.isSaving = false;
+            }
+            
+            if (result && result.status === 'conflict') {
+                this.showEditConflict(title, content, result.current, result.merge);
+                return;
+            }
             
             if (result && result.status === 'saved') {
+                this.setEditBase({ title, revision: result.page.revision });
                 this.currentPage = title;
                 
+                // 다른 사람의 편집과 자동 병합된 경우 병합 결과를 보여줌
+                if (result.merged) {
+                    content = result.page.content;
+                    this.elements.pageEditor.value = content;
+                }
+                if (this.elements.editSummary) {
+                    this.elements.editSummary.value = '';
+                }
+                
                 // Update view
                 this.elements.pageTitle.textContent = title;
                 
@@ -727,7 +1347,7 @@ class WikiApp {
                     const page = await this.storage.getPage(title);
                     this.elements.pageContent.innerHTML = this.renderCategoryPage(page);
                 } else {
-                    this.elements.pageContent.innerHTML = this.renderer.render(content);
+                    this.elements.pageContent.innerHTML = await this.renderer.render(content);
                 }
                 
                 const page = result.page;
@@ -744,10 +1364,22 @@ class WikiApp {
                 this.hasUnsavedChanges = false;
                 this.updateSaveButton();
                 
-                this.showNotification('페이지가 저장되었습니다!', 'success');
+                this.showNotification(
+                    result.merged ? '다른 사용자의 편집과 자동으로 병합하여 저장했습니다.' : '페이지가 저장되었습니다!',
+                    'success'
+                );
             }
         } catch (error) {
             console.error('Error saving page:', error);
+            if (error.status === 401) {
+                this.showNotification(error.message, 'warning');
+                this.showAccountModal();
+                return;
+            }
+            if (error.status) {
+                this.showNotification(error.message, 'warning');
+                return;
+            }
             let errorMessage = '페이지 저장에 실패했습니다. ';
             if (error.message) {
                 errorMessage += `오류: ${error.message}`;
@@ -762,24 +1394,7 @@ class WikiApp {
      * Extract metadata from page content
      */
     extractMetadata(content) {
-        const metadata = {};
-        
-        // Extract tags
-        const tagMatches = content.match(/#[\w가-힣]+/g);
-        if (tagMatches) {
-            metadata.tags = tagMatches.map(tag => tag.substring(1));
-        }
-        
-        // Extract categories
-        const categoryMatches = content.match(/\[\[분류:([^\]]+)\]\]/g);
-        if (categoryMatches) {
-            metadata.categories = categoryMatches.map(match => {
-                const categoryMatch = match.match(/\[\[분류:([^\]]+)\]\]/);
-                return categoryMatch ? categoryMatch[1] : '';
-            }).filter(cat => cat);
-        }
-        
-        return metadata;
+        return window.WikiSyntax.extractMetadata(content);
     }
 
     /**
@@ -795,6 +1410,7 @@ class WikiApp {
             if (page) {
                 this.elements.pageTitleInput.value = page.title;
                 this.elements.pageEditor.value = page.content;
+                this.setEditBase(page);
                 this.updatePreview();
             }
         }).catch(error => {
@@ -866,7 +1482,7 @@ class WikiApp {
                 return `
                     <li>
                         <a href="/${encodedTitle}" 
-                           data-page="${title}" 
+                           data-page="${this.escapeHtml(title)}" 
                            class="page-link ${isActive ? 'active' : ''}">
                             ${this.escapeHtml(title)}
                         </a>
@@ -1186,6 +1802,18 @@ class WikiApp {
         this.elements.closeImages.addEventListener('click', () => {
             this.elements.imageManagementModal.style.display = 'none';
         });
+
+        // Image card buttons: copy the embed syntax or delete the image
+        this.elements.imageGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-image-action]');
+            if (!button) return;
+            const name = button.dataset.imageName;
+            if (button.dataset.imageAction === 'copy') {
+                navigator.clipboard.writeText(`![${name}]`);
+            } else {
+                this.deleteImage(name);
+            }
+        });
         
         // Modal close events
 
@@ -1507,7 +2135,14 @@ class WikiApp {
         } catch (error) {
             this.hideUploadProgress();
             console.error('Upload error:', error);
-            this.showNotification('이미지 업로드에 실패했습니다.', 'error');
+            if (error.status === 401) {
+                this.showNotification(error.message, 'warning');
+                this.showAccountModal();
+            } else if (error.status) {
+                this.showNotification(error.message, 'warning');
+            } else {
+                this.showNotification('이미지 업로드에 실패했습니다.', 'error');
+            }
         }
         
         // Reset file input
@@ -1536,10 +2171,10 @@ class WikiApp {
      * @param {string} dataUrl - Base64 data URL of the image
      */
     async createImageFilePage(imageName, originalFile, dataUrl) {
-        const pageTitle = `파일:${imageName}`;
+        const pageTitle = window.WikiSyntax.imageFilePageTitle(imageName);
         
         // Check if page already exists
-        if (this.storage.getPage(pageTitle)) {
+        if (await this.storage.getPage(pageTitle)) {
             return; // Don't overwrite existing file page
         }
         
@@ -1577,8 +2212,7 @@ class WikiApp {
 * \`![${imageName}]\` - 기본 이미지
 * \`![${imageName}|캡션 텍스트]\` - 캡션과 함께 표시
 
-== 이 파일을 사용하는 페이지 ==
-이 이미지가 사용된 페이지들이 여기에 표시됩니다.
+이 파일을 사용하는 페이지는 문서 아래에 자동으로 표시됩니다.
 
 == 분류 ==
 [[분류:미분류]]
@@ -1588,7 +2222,9 @@ class WikiApp {
 #파일 #이미지 #업로드`;
 
         // Save the file page - use savePage method directly
-        await this.storage.savePage(pageTitle, { content: filePageContent });
+        await this.storage.savePage(pageTitle, filePageContent, this.extractMetadata(filePageContent), {
+            summary: '파일 업로드'
+        });
         
         // Update navigation to reflect new page
         this.updateNavigation();
@@ -1650,11 +2286,10 @@ class WikiApp {
     /**
      * Show image management modal
      */
-    showImageManagement() {
-        const images = this.storage.getAllImages();
-        const imageNames = Object.keys(images);
+    async showImageManagement() {
+        const images = await this.storage.getAllImages();
         
-        if (imageNames.length === 0) {
+        if (images.length === 0) {
             this.elements.imageGrid.innerHTML = `
                 <div class="empty-images">
                     <i data-feather="image"></i>
@@ -1663,18 +2298,18 @@ class WikiApp {
                 </div>
             `;
         } else {
-            const imageCards = imageNames.map(name => {
-                const image = images[name];
+            const imageCards = images.map(image => {
+                const name = image.name;
                 const sizeKB = Math.round(image.size / 1024);
                 return `
                     <div class="image-card">
-                        <img src="${image.data}" alt="${name}" class="image-preview">
+                        <img src="${this.escapeHtml(this.storage.getImageUrl(image, 320))}" alt="${this.escapeHtml(name)}" class="image-preview" loading="lazy">
                         <div class="image-info">
                             <div class="image-name">${this.escapeHtml(name)}</div>
                             <div class="image-size">${sizeKB}KB</div>
                             <div class="image-actions">
-                                <button class="image-action-btn" onclick="navigator.clipboard.writeText('![${name}]')">복사</button>
-                                <button class="image-action-btn danger" onclick="app.deleteImage('${name}')">삭제</button>
+                                <button class="image-action-btn" data-image-action="copy" data-image-name="${this.escapeHtml(name)}">복사</button>
+                                <button class="image-action-btn danger" data-image-action="delete" data-image-name="${this.escapeHtml(name)}">삭제</button>
                             </div>
                         </div>
                     </div>
@@ -1690,19 +2325,33 @@ class WikiApp {
     }
     
     /**
-     * Delete an image
+     * Delete an image, warning about pages that still embed it
      * @param {string} name - Image name to delete
      */
-    deleteImage(name) {
-        if (!confirm(`정말로 이미지 "${name}"을 삭제하시겠습니까?`)) {
+    async deleteImage(name) {
+        let usages = [];
+        try {
+            usages = await this.storage.getImageUsages(name);
+        } catch (error) {
+            console.error('Error finding image usages:', error);
+        }
+        
+        let message = `정말로 이미지 "${name}"을 삭제하시겠습니까?`;
+        if (usages.length > 0) {
+            const shown = usages.slice(0, 10).map(title => `- ${title}`).join('\n');
+            const more = usages.length > 10 ? `\n외 ${usages.length - 10}개` : '';
+            message = `이미지 "${name}"을 사용하는 문서가 ${usages.length}개 있습니다:\n${shown}${more}\n\n삭제하면 이 문서들에서 이미지가 깨집니다. ${message}`;
+        }
+        if (!confirm(message)) {
             return;
         }
         
-        if (this.storage.deleteImage(name)) {
+        try {
+            await this.storage.deleteImage(name, { force: true });
             this.showNotification('이미지가 삭제되었습니다.', 'success');
-            this.showImageManagement(); // Refresh the modal
-        } else {
-            this.showNotification('이미지 삭제에 실패했습니다.', 'error');
+            await this.showImageManagement(); // Refresh the modal
+        } catch (error) {
+            this.showNotification(error.status ? error.message : '이미지 삭제에 실패했습니다.', 'error');
         }
     }
     
@@ -1712,9 +2361,12 @@ class WikiApp {
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -1728,6 +2380,18 @@ class WikiApp {
             });
         }
 
+        // "더 보기" under the backlinks and outgoing links
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.show-more-links[data-show-more]');
+            if (!button) return;
+            if (button.dataset.showMore === 'backlinks') {
+                this.showBacklinks(button.dataset.page);
+            } else {
+                button.parentNode.querySelectorAll('li[hidden]').forEach(item => { item.hidden = false; });
+                button.remove();
+            }
+        });
+
         // Backlinks modal events
         if (this.elements.closeBacklinks) {
             this.elements.closeBacklinks.addEventListener('click', () => {
@@ -1735,10 +2399,10 @@ class WikiApp {
             });
         }
 
-        // Modal backdrop clicks
+        // Modal backdrop clicks (page links in the lists also close the modal)
         if (this.elements.taggedPagesModal) {
             this.elements.taggedPagesModal.addEventListener('click', (e) => {
-                if (e.target === this.elements.taggedPagesModal) {
+                if (e.target === this.elements.taggedPagesModal || e.target.classList.contains('internal-link')) {
                     this.hideTaggedPagesModal();
                 }
             });
@@ -1746,7 +2410,7 @@ class WikiApp {
 
         if (this.elements.backlinksModal) {
             this.elements.backlinksModal.addEventListener('click', (e) => {
-                if (e.target === this.elements.backlinksModal) {
+                if (e.target === this.elements.backlinksModal || e.target.classList.contains('internal-link')) {
                     this.hideBacklinksModal();
                 }
             });
@@ -1767,7 +2431,10 @@ class WikiApp {
         this.updateBacklinks(page.title);
         
         // Update outgoing links
-        this.updateOutgoingLinks(page.title);
+        this.updateOutgoingLinks(page.title, page.content);
+        
+        // File pages list the pages using the image
+        this.updateFileUsages(page.title);
     }
 
     /**
@@ -1789,7 +2456,7 @@ class WikiApp {
             <h4>태그</h4>
             <div class="tags-list">
                 ${tags.map(tag => 
-                    `<span class="wiki-tag" data-tag="${tag}" onclick="app.showTaggedPages('${tag}')">#${tag}</span>`
+                    `<span class="wiki-tag" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</span>`
                 ).join('')}
             </div>
         `;
@@ -1799,10 +2466,10 @@ class WikiApp {
      * Update backlinks display
      * @param {string} pageTitle - Current page title
      */
-    updateBacklinks(pageTitle) {
+    async updateBacklinks(pageTitle) {
         if (!this.elements.backlinksSection) return;
         
-        const backlinks = this.storage.getBacklinks(pageTitle);
+        const backlinks = await this.storage.getBacklinks(pageTitle);
         
         // 백링크가 배열이 아닌 경우 빈 배열로 처리
         const backlinkList = Array.isArray(backlinks) ? backlinks : [];
@@ -1820,11 +2487,11 @@ class WikiApp {
                 <h4><i data-feather="arrow-left"></i> 백링크 <span class="link-count">(${backlinkList.length})</span></h4>
                 <ul class="backlinks-list">
                     ${displayLinks.map(link => 
-                        `<li><a href="#" onclick="app.navigateToPage('${link.title || link}')">${link.title || link}</a></li>`
+                        `<li><a href="#" class="internal-link" data-page="${this.escapeHtml(link.title || link)}">${this.escapeHtml(link.title || link)}</a>${link.redirect ? ' <span class="text-muted">(넘겨주기)</span>' : ''}</li>`
                     ).join('')}
                 </ul>
                 ${remainingCount > 0 ? 
-                    `<button class="show-more-links" onclick="app.showBacklinks('${pageTitle}')">
+                    `<button class="show-more-links" data-show-more="backlinks" data-page="${this.escapeHtml(pageTitle)}">
                         ${remainingCount}개 더 보기
                     </button>` : ''
                 }
@@ -1835,14 +2502,64 @@ class WikiApp {
         feather.replace();
     }
 
+    /**
+     * Show the pages embedding the image on a 파일: page (hidden on other pages)
+     * @param {string} pageTitle - Current page title
+     */
+    async updateFileUsages(pageTitle) {
+        const section = this.elements.fileUsagesSection;
+        if (!section) return;
+        
+        const imageName = window.WikiSyntax.imageNameFromFilePage(pageTitle);
+        if (!imageName) {
+            section.style.display = 'none';
+            section.innerHTML = '';
+            return;
+        }
+        
+        let usages;
+        try {
+            usages = await this.storage.getImageUsages(imageName);
+        } catch (error) {
+            console.error('Error loading file usages:', error);
+            usages = null;
+        }
+        
+        // Another page may have been opened meanwhile
+        if (this.currentPage !== pageTitle) return;
+        
+        let body;
+        if (usages === null) {
+            body = '<p class="text-muted">사용 문서 목록을 불러오지 못했습니다.</p>';
+        } else if (usages.length === 0) {
+            body = '<p class="text-muted">이 파일을 사용하는 페이지가 없습니다.</p>';
+        } else {
+            body = `<ul class="file-usages-list">
+                ${usages.map(title => 
+                    `<li><a href="#" class="internal-link" data-page="${this.escapeHtml(title)}">${this.escapeHtml(title)}</a></li>`
+                ).join('')}
+            </ul>`;
+        }
+        
+        section.innerHTML = `
+            <h4><i data-feather="image"></i> 이 파일을 사용하는 페이지 <span class="link-count">(${usages ? usages.length : 0})</span></h4>
+            ${body}
+        `;
+        section.style.display = '';
+        
+        // Re-initialize feather icons for this section
+        feather.replace();
+    }
+
     /**
      * Update outgoing links display
      * @param {string} pageTitle - Current page title
+     * @param {string} content - Current page content
      */
-    updateOutgoingLinks(pageTitle) {
+    updateOutgoingLinks(pageTitle, content = '') {
         if (!this.elements.outgoingLinksSection) return;
         
-        const outgoingLinks = this.storage.getOutgoingLinks(pageTitle);
+        const outgoingLinks = this.storage.getOutgoingLinks(content);
         
         if (outgoingLinks.length === 0) {
             this.elements.outgoingLinksSection.innerHTML = `
@@ -1850,18 +2567,18 @@ class WikiApp {
                 <p class="text-muted">이 페이지에서 링크하는 페이지가 없습니다.</p>
             `;
         } else {
-            const displayLinks = outgoingLinks.slice(0, 5);
             const remainingCount = outgoingLinks.length - 5;
             
+            // Links after the first five stay hidden until "더 보기"
             this.elements.outgoingLinksSection.innerHTML = `
                 <h4><i data-feather="arrow-right"></i> 나가는 링크 <span class="link-count">(${outgoingLinks.length})</span></h4>
                 <ul class="outgoing-links-list">
-                    ${displayLinks.map(linkTitle => 
-                        `<li><a href="#" onclick="app.navigateToPage('${linkTitle}')">${linkTitle}</a></li>`
+                    ${outgoingLinks.map((linkTitle, index) => 
+                        `<li${index >= 5 ? ' hidden' : ''}><a href="#" class="internal-link" data-page="${this.escapeHtml(linkTitle)}">${this.escapeHtml(linkTitle)}</a></li>`
                     ).join('')}
                 </ul>
                 ${remainingCount > 0 ? 
-                    `<button class="show-more-links" onclick="app.showOutgoingLinks('${pageTitle}')">
+                    `<button class="show-more-links" data-show-more="outgoing">
                         ${remainingCount}개 더 보기
                     </button>` : ''
                 }
@@ -1890,7 +2607,7 @@ class WikiApp {
         }
         
             this.elements.popularTags.innerHTML = topTags.map(({ tag, count }) => 
-                `<span class="wiki-tag" data-count="${count}" onclick="app.showTaggedPages('${tag}')">#${tag}</span>`
+                `<span class="wiki-tag" data-tag="${this.escapeHtml(tag)}" data-count="${count}">#${this.escapeHtml(tag)}</span>`
             ).join('');
         } catch (error) {
             console.error('Error updating popular tags:', error);
@@ -1918,8 +2635,8 @@ class WikiApp {
                 
                 return `
                     <div class="tagged-page-item">
-                        <h4><a href="#" onclick="app.navigateToPage('${title}'); app.hideTaggedPagesModal();">${title}</a></h4>
-                        <div class="page-excerpt">${excerpt}</div>
+                        <h4><a href="#" class="internal-link" data-page="${this.escapeHtml(title)}">${this.escapeHtml(title)}</a></h4>
+                        <div class="page-excerpt">${this.escapeHtml(excerpt)}</div>
                         <div class="page-meta-info">
                             <span>수정: ${modifiedDate}</span>
                             <span>버전: ${page.version || 1}</span>
@@ -1945,24 +2662,24 @@ class WikiApp {
      * Show backlinks modal
      * @param {string} pageTitle - Page title to show backlinks for
      */
-    showBacklinks(pageTitle) {
+    async showBacklinks(pageTitle) {
         if (!this.elements.backlinksModal) return;
         
-        const backlinks = this.storage.getBacklinks(pageTitle);
+        const backlinks = await this.storage.getBacklinks(pageTitle);
         
         this.elements.backlinksTitle.textContent = `"${pageTitle}" 백링크 (${backlinks.length})`;
         
         if (backlinks.length === 0) {
             this.elements.backlinksContent.innerHTML = '<p class="text-muted">이 페이지를 링크하는 페이지가 없습니다.</p>';
         } else {
-            this.elements.backlinksContent.innerHTML = backlinks.map(({ title, page }) => {
+            this.elements.backlinksContent.innerHTML = backlinks.map(({ title, page, redirect }) => {
                 const excerpt = page.content.substring(0, 150) + (page.content.length > 150 ? '...' : '');
-                const modifiedDate = new Date(page.modified).toLocaleDateString('ko-KR');
+                const modifiedDate = new Date(page.lastModified).toLocaleDateString('ko-KR');
                 
                 return `
                     <div class="backlink-item">
-                        <h4><a href="#" onclick="app.navigateToPage('${title}'); app.hideBacklinksModal();">${title}</a></h4>
-                        <div class="page-excerpt">${excerpt}</div>
+                        <h4><a href="#" class="internal-link" data-page="${this.escapeHtml(title)}">${this.escapeHtml(title)}</a>${redirect ? ' <span class="text-muted">(넘겨주기)</span>' : ''}</h4>
+                        <div class="page-excerpt">${this.escapeHtml(excerpt)}</div>
                         <div class="page-meta-info">
                             <span>수정: ${modifiedDate}</span>
                             <span>버전: ${page.version || 1}</span>
@@ -2061,9 +2778,9 @@ class WikiApp {
             const encodedTitle = this.pageNameToPunycode(title);
             return `
                 <li>
-                    <a href="/${encodedTitle}" data-page="${title}" class="page-link ${isActive ? 'active' : ''}" onclick="app.navigateToPage('${title}')">
+                    <a href="/${encodedTitle}" data-page="${this.escapeHtml(title)}" class="page-link internal-link ${isActive ? 'active' : ''}">
                         <i data-feather="star" style="width: 14px; height: 14px; fill: var(--accent-color);"></i>
-                        ${title}
+                        ${this.escapeHtml(title)}
                     </a>
                 </li>
             `;
@@ -2085,6 +2802,7 @@ class WikiApp {
             this.elements.pageTitle.textContent = pageName;
             this.elements.pageContent.innerHTML = this.renderer.render(content);
             this.updateLastModified(null);
+            this.updateProtectionBadge(pageName);
             
             // Initialize edit form with template content
             this.elements.pageTitleInput.value = pageName;
@@ -2124,65 +2842,1190 @@ class WikiApp {
     }
 
     /**
-     * Setup comments event listeners
+     * Setup page history event listeners
      */
-    setupCommentsEvents() {
-        if (this.elements.addCommentBtn) {
-            this.elements.addCommentBtn.addEventListener('click', () => {
-                this.addComment();
+    setupHistoryEvents() {
+        if (this.elements.pageHistoryBtn) {
+            this.elements.pageHistoryBtn.addEventListener('click', () => {
+                this.showPageHistory(this.currentPage);
+            });
+        }
+
+        if (this.elements.closePageHistory) {
+            this.elements.closePageHistory.addEventListener('click', () => {
+                this.hidePageHistoryModal();
+            });
+        }
+
+        if (this.elements.pageHistoryModal) {
+            this.elements.pageHistoryModal.addEventListener('click', (e) => {
+                if (e.target === this.elements.pageHistoryModal) {
+                    this.hidePageHistoryModal();
+                }
+            });
+        }
+
+        if (this.elements.pageHistoryList) {
+            this.elements.pageHistoryList.addEventListener('click', (e) => {
+                const viewButton = e.target.closest('.revision-view-btn');
+                if (viewButton) {
+                    this.showRevision(this.historyPageTitle, parseInt(viewButton.dataset.rev));
+                }
+
+                const diffButton = e.target.closest('.revision-diff-btn');
+                if (diffButton) {
+                    const rev = parseInt(diffButton.dataset.rev);
+                    this.showRevisionDiff(this.historyPageTitle, rev - 1, rev);
+                }
+
+                const revertButton = e.target.closest('.revision-revert-btn');
+                if (revertButton) {
+                    this.revertToRevision(this.historyPageTitle, parseInt(revertButton.dataset.rev));
+                }
+            });
+        }
+
+        if (this.elements.compareRevisionsBtn) {
+            this.elements.compareRevisionsBtn.addEventListener('click', () => {
+                const from = this.elements.pageHistoryList.querySelector('input[name="diff-from"]:checked');
+                const to = this.elements.pageHistoryList.querySelector('input[name="diff-to"]:checked');
+                if (!from || !to) {
+                    this.showNotification('비교할 두 판을 선택해주세요.', 'warning');
+                    return;
+                }
+
+                const revs = [parseInt(from.value), parseInt(to.value)].sort((a, b) => a - b);
+                this.showRevisionDiff(this.historyPageTitle, revs[0], revs[1]);
+            });
+        }
+
+        if (this.elements.closeRevisionDiff) {
+            this.elements.closeRevisionDiff.addEventListener('click', () => {
+                this.elements.revisionDiffModal.style.display = 'none';
+            });
+        }
+
+        if (this.elements.revisionDiffModal) {
+            this.elements.revisionDiffModal.addEventListener('click', (e) => {
+                if (e.target === this.elements.revisionDiffModal) {
+                    this.elements.revisionDiffModal.style.display = 'none';
+                }
+            });
+        }
+    }
+
+    /**
+     * Show revision history modal for a page
+     * @param {string} pageTitle - Page title to show history for
+     */
+    async showPageHistory(pageTitle) {
+        if (!this.elements.pageHistoryModal) return;
+
+        this.historyPageTitle = pageTitle;
+        this.elements.pageHistoryTitle.textContent = `"${pageTitle}" 문서 역사`;
+        this.elements.pageHistoryList.innerHTML = '<div class="loading-text">역사를 불러오는 중...</div>';
+        this.elements.pageHistoryPreview.style.display = 'none';
+        this.elements.pageHistoryPreview.innerHTML = '';
+        this.elements.pageHistoryModal.style.display = 'flex';
+
+        const history = await this.storage.getPageHistory(pageTitle);
+
+        if (history.length === 0) {
+            this.elements.pageHistoryList.innerHTML = '<p class="text-muted">저장된 역사가 없습니다.</p>';
+            return;
+        }
+
+        const latestRev = history[0].rev;
+
+        this.elements.pageHistoryList.innerHTML = history.map((revision, index) => {
+            const delta = revision.sizeDelta || 0;
+            const deltaClass = delta > 0 ? 'size-added' : delta < 0 ? 'size-removed' : '';
+            const deltaText = delta > 0 ? `+${delta}` : `${delta}`;
+
+            return `
+                <div class="history-item">
+                    <div class="history-meta">
+                        <span>
+                            <input type="radio" name="diff-from" value="${revision.rev}" title="비교 기준" ${index === 1 ? 'checked' : ''}>
+                            <input type="radio" name="diff-to" value="${revision.rev}" title="비교 대상" ${index === 0 ? 'checked' : ''}>
+                            <strong>r${revision.rev}</strong>
+                            ${new Date(revision.createdAt).toLocaleString('ko-KR')}
+                            <span class="revision-delta ${deltaClass}">(${deltaText})</span>
+                        </span>
+                        <span>${this.escapeHtml(revision.author || '익명')}</span>
+                    </div>
+                    <div class="revision-row">
+                        <span class="revision-summary">${revision.summary ? this.escapeHtml(revision.summary) : '<em class="text-muted">요약 없음</em>'}</span>
+                        <div class="image-actions">
+                            <button class="image-action-btn revision-view-btn" data-rev="${revision.rev}">보기</button>
+                            <button class="image-action-btn revision-diff-btn" data-rev="${revision.rev}">비교</button>
+                            ${revision.rev !== latestRev ? `<button class="image-action-btn revision-revert-btn" data-rev="${revision.rev}">되돌리기</button>` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the content of a single revision below the history list
+     * @param {string} pageTitle - Page title
+     * @param {number} rev - Revision number
+     */
+    async showRevision(pageTitle, rev) {
+        const revision = await this.storage.getPageRevision(pageTitle, rev);
+        const preview = this.elements.pageHistoryPreview;
+
+        if (!revision) {
+            this.showNotification(`r${rev} 판을 불러올 수 없습니다.`, 'error');
+            return;
+        }
+
+        preview.innerHTML = `
+            <h4>r${revision.rev} 판 (${new Date(revision.createdAt).toLocaleString('ko-KR')})</h4>
+            <div class="preview-content">${await this.renderer.render(revision.content)}</div>
+        `;
+        preview.style.display = 'block';
+        preview.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Show an inline diff between two revisions
+     * @param {string} pageTitle - Page title
+     * @param {number} from - Older revision number (0 for an empty page)
+     * @param {number} to - Newer revision number
+     */
+    async showRevisionDiff(pageTitle, from, to) {
+        const diff = await this.storage.getPageDiff(pageTitle, from, to);
+
+        if (!diff) {
+            this.showNotification('판을 비교할 수 없습니다.', 'error');
+            return;
+        }
+
+        this.elements.revisionDiffTitle.textContent = `"${pageTitle}" ${diff.from ? `r${diff.from.rev}` : '빈 문서'} → r${diff.to.rev}`;
+        this.elements.revisionDiffContent.innerHTML = this.renderDiffTable(diff, '두 판의 내용이 같습니다.');
+        this.elements.revisionDiffModal.style.display = 'flex';
+    }
+
+    /**
+     * Render a line diff as a table with added/removed line counts
+     * @param {Object} diff - Result of WikiDiff.diffText
+     * @param {string} emptyMessage - Shown when both sides are identical
+     * @returns {string} Rendered HTML
+     */
+    renderDiffTable(diff, emptyMessage) {
+        const renderWords = (line) => {
+            if (!line.words) return this.escapeHtml(line.text);
+            return line.words.map(word => {
+                const text = this.escapeHtml(word.text);
+                return word.type === 'equal' ? text : `<span class="diff-word-${word.type}">${text}</span>`;
+            }).join('');
+        };
+
+        const rows = diff.lines.map(line => {
+            const marker = line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' ';
+            return `
+                <tr class="diff-line diff-${line.type}">
+                    <td class="diff-line-number">${line.oldNumber || ''}</td>
+                    <td class="diff-line-number">${line.newNumber || ''}</td>
+                    <td class="diff-marker">${marker}</td>
+                    <td class="diff-text">${renderWords(line)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="diff-stats">
+                <span class="size-added">+${diff.added}줄</span>
+                <span class="size-removed">-${diff.removed}줄</span>
+            </div>
+            ${diff.added === 0 && diff.removed === 0
+                ? `<p class="text-muted">${emptyMessage}</p>`
+                : `<table class="diff-table">${rows}</table>`}
+        `;
+    }
+
+    /**
+     * Revert a page to an older revision
+     * @param {string} pageTitle - Page title
+     * @param {number} rev - Revision number to restore
+     */
+    async revertToRevision(pageTitle, rev) {
+        if (!confirm(`"${pageTitle}" 문서를 r${rev} 판으로 되돌리시겠습니까?`)) {
+            return;
+        }
+
+        try {
+            await this.storage.revertPage(pageTitle, rev);
+            this.showNotification(`r${rev} 판으로 되돌렸습니다.`, 'success');
+            await this.showPageHistory(pageTitle);
+
+            if (pageTitle === this.currentPage && !this.isEditMode) {
+                await this.loadPage(pageTitle, false);
+            }
+        } catch (error) {
+            console.error('Error reverting page:', error);
+            this.showNotification('되돌리기에 실패했습니다.', 'error');
+        }
+    }
+
+    /**
+     * Hide page history modal
+     */
+    hidePageHistoryModal() {
+        if (this.elements.pageHistoryModal) {
+            this.elements.pageHistoryModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Remember which version the editor content is based on
+     * @param {Object} page - Page object with title and revision
+     */
+    setEditBase(page) {
+        this.editBase = { title: page.title, revision: page.revision ?? 0 };
+        if (this.elements.editConflictWarning) {
+            this.elements.editConflictWarning.style.display = 'none';
+        }
+    }
+
+    /**
+     * Warn in the editor that someone else saved the page being edited
+     * @param {Object} page - Page from the pageUpdated broadcast
+     */
+    showEditConflictWarning(page) {
+        if (!this.elements.editConflictWarning) return;
+
+        this.elements.editConflictWarning.textContent =
+            `편집하는 동안 다른 사용자가 이 문서를 저장했습니다 (r${page.revision}). 저장할 때 충돌을 해결해야 합니다.`;
+        this.elements.editConflictWarning.style.display = 'block';
+    }
+
+    /**
+     * Setup edit conflict modal event listeners
+     */
+    setupConflictEvents() {
+        if (this.elements.conflictKeepMine) {
+            this.elements.conflictKeepMine.addEventListener('click', () => {
+                this.resolveEditConflict('mine');
+            });
+        }
+
+        if (this.elements.conflictTakeTheirs) {
+            this.elements.conflictTakeTheirs.addEventListener('click', () => {
+                this.resolveEditConflict('theirs');
+            });
+        }
+
+        if (this.elements.conflictMerge) {
+            this.elements.conflictMerge.addEventListener('click', () => {
+                this.resolveEditConflict('merge');
+            });
+        }
+
+        if (this.elements.conflictCancel) {
+            this.elements.conflictCancel.addEventListener('click', () => {
+                this.hideEditConflict();
+            });
+        }
+    }
+
+    /**
+     * Show the conflict screen after a stale save was rejected
+     * @param {string} title - Page title being saved
+     * @param {string} content - The user's edited content
+     * @param {Object} current - Current version on the server ({ content, revision, author, lastModified })
+     * @param {Object} [merge] - Three-way merge with conflict markers for the overlapping parts ({ content, conflicts })
+     */
+    showEditConflict(title, content, current, merge = null) {
+        if (!this.elements.editConflictModal) return;
+
+        this.pendingConflict = { title, content, current, merge };
+        this.elements.editConflictMessage.textContent = current
+            ? `편집하는 동안 ${current.author || '다른 사용자'}님이 "${title}" 문서를 저장했습니다 (r${current.revision}, ${new Date(current.lastModified).toLocaleString('ko-KR')}).` +
+              (merge ? ` 같은 부분을 고친 곳이 ${merge.conflicts}군데 있어 자동으로 병합하지 못했습니다.` : '') +
+              ' 아래는 현재 버전과 내 편집의 차이입니다.'
+            : `편집하는 동안 "${title}" 문서가 삭제되었습니다.`;
+        this.elements.editConflictDiff.innerHTML = this.renderDiffTable(
+            window.WikiDiff.diffText(current ? current.content : '', content),
+            '현재 버전과 내 편집의 내용이 같습니다.'
+        );
+        this.elements.editConflictModal.style.display = 'flex';
+    }
+
+    /**
+     * Hide the conflict screen (the editor keeps the user's content)
+     */
+    hideEditConflict() {
+        if (this.elements.editConflictModal) {
+            this.elements.editConflictModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Resolve an edit conflict
+     * @param {string} choice - 'mine' saves over the current version, 'theirs' takes the current
+     *     version into the editor, 'merge' puts the merge result into the editor, with conflict
+     *     markers around the overlapping parts (or around both whole versions without a common base)
+     */
+    async resolveEditConflict(choice) {
+        const conflict = this.pendingConflict;
+        if (!conflict) return;
+
+        const current = conflict.current;
+        this.pendingConflict = null;
+        this.hideEditConflict();
+
+        // 이후 저장은 방금 확인한 현재 버전을 기준으로 함
+        this.elements.pageTitleInput.value = conflict.title;
+        this.setEditBase({ title: conflict.title, revision: current ? current.revision : 0 });
+
+        if (choice === 'mine') {
+            this.elements.pageEditor.value = conflict.content;
+            await this.savePage();
+            return;
+        }
+
+        if (choice === 'theirs') {
+            this.elements.pageEditor.value = current ? current.content : '';
+            this.showNotification('현재 버전을 불러왔습니다. 내 편집은 버려졌습니다.', 'warning');
+        } else if (conflict.merge) {
+            this.elements.pageEditor.value = conflict.merge.content;
+            this.showNotification('겹치지 않는 부분은 병합했습니다. 충돌 표시를 정리한 뒤 저장하세요.', 'warning');
+        } else {
+            this.elements.pageEditor.value = [
+                '<<<<<<< 내 편집',
+                conflict.content,
+                '=======',
+                current ? current.content : '',
+                `>>>>>>> 현재 버전 (r${current ? current.revision : 0})`
+            ].join('\n');
+            this.showNotification('두 버전을 편집기에 넣었습니다. 충돌 표시를 정리한 뒤 저장하세요.', 'warning');
+        }
+
+        this.hasUnsavedChanges = true;
+        this.updateSaveButton();
+        await this.updatePreview();
+        this.elements.pageEditor.focus();
+    }
+
+    /**
+     * Setup page move event listeners
+     */
+    setupMoveEvents() {
+        if (this.elements.movePageBtn) {
+            this.elements.movePageBtn.addEventListener('click', () => {
+                this.showMovePageModal();
+            });
+        }
+
+        if (this.elements.confirmMovePage) {
+            this.elements.confirmMovePage.addEventListener('click', () => {
+                this.moveCurrentPage();
+            });
+        }
+
+        if (this.elements.cancelMovePage) {
+            this.elements.cancelMovePage.addEventListener('click', () => {
+                this.elements.movePageModal.style.display = 'none';
+            });
+        }
+
+        if (this.elements.movePageTitle) {
+            this.elements.movePageTitle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.moveCurrentPage();
+                } else if (e.key === 'Escape') {
+                    this.elements.movePageModal.style.display = 'none';
+                }
+            });
+        }
+
+        if (this.elements.movePageModal) {
+            this.elements.movePageModal.addEventListener('click', (e) => {
+                if (e.target === this.elements.movePageModal) {
+                    this.elements.movePageModal.style.display = 'none';
+                }
+            });
+        }
+    }
+
+    /**
+     * Show move page modal for the current page
+     */
+    showMovePageModal() {
+        if (!this.elements.movePageModal) return;
+
+        this.elements.movePageHeading.textContent = `"${this.currentPage}" 문서 이동`;
+        this.elements.movePageTitle.value = this.currentPage;
+        this.elements.moveLeaveRedirect.checked = true;
+        this.elements.moveRewriteLinks.checked = false;
+        this.elements.movePageModal.style.display = 'flex';
+        this.elements.movePageTitle.select();
+    }
+
+    /**
+     * Move (rename) the current page
+     */
+    async moveCurrentPage() {
+        const oldTitle = this.currentPage;
+        const newTitle = this.elements.movePageTitle.value.trim();
+
+        if (!newTitle || newTitle === oldTitle) {
+            this.showNotification('새 제목을 입력하세요.', 'warning');
+            return;
+        }
+
+        try {
+            const result = await this.storage.movePage(oldTitle, newTitle, {
+                leaveRedirect: this.elements.moveLeaveRedirect.checked,
+                rewriteLinks: this.elements.moveRewriteLinks.checked
+            });
+
+            if (result.status === 'exists') {
+                this.showNotification(`"${newTitle}" 문서가 이미 있습니다.`, 'error');
+                return;
+            }
+            if (result.status !== 'moved') {
+                this.showNotification('이동할 문서를 찾을 수 없습니다.', 'error');
+                return;
+            }
+
+            this.elements.movePageModal.style.display = 'none';
+            const rewritten = result.rewrittenPages.length;
+            this.showNotification(
+                rewritten > 0
+                    ? `"${newTitle}"(으)로 이동했습니다. 문서 ${rewritten}개의 링크를 수정했습니다.`
+                    : `"${newTitle}"(으)로 이동했습니다.`,
+                'success'
+            );
+            await this.loadPage(newTitle);
+            await this.updateNavigation();
+        } catch (error) {
+            console.error('Error moving page:', error);
+            this.showNotification(error.status ? error.message : '문서 이동에 실패했습니다.', 'error');
+        }
+    }
+
+    /**
+     * Setup page deletion and trash event listeners
+     */
+    setupTrashEvents() {
+        if (this.elements.deletePageBtn) {
+            this.elements.deletePageBtn.addEventListener('click', () => {
+                this.deleteCurrentPage();
+            });
+        }
+
+        if (this.elements.trashBtn) {
+            this.elements.trashBtn.addEventListener('click', () => {
+                this.showTrash();
+            });
+        }
+
+        if (this.elements.closeTrash) {
+            this.elements.closeTrash.addEventListener('click', () => {
+                this.elements.trashModal.style.display = 'none';
+            });
+        }
+
+        if (this.elements.trashModal) {
+            this.elements.trashModal.addEventListener('click', (e) => {
+                if (e.target === this.elements.trashModal) {
+                    this.elements.trashModal.style.display = 'none';
+                }
+            });
+        }
+
+        if (this.elements.trashList) {
+            this.elements.trashList.addEventListener('click', (e) => {
+                const restoreButton = e.target.closest('.trash-restore-btn');
+                if (restoreButton) {
+                    this.restoreFromTrash(Number(restoreButton.dataset.id));
+                }
+
+                const purgeButton = e.target.closest('.trash-purge-btn');
+                if (purgeButton) {
+                    this.purgeFromTrash(Number(purgeButton.dataset.id), purgeButton.dataset.title);
+                }
+            });
+        }
+    }
+
+    /**
+     * Move the current page to the trash
+     */
+    async deleteCurrentPage() {
+        const title = this.currentPage;
+        const reason = prompt(`"${title}" 문서를 휴지통으로 옮깁니다. 삭제 사유를 입력하세요 (선택사항):`, '');
+        if (reason === null) {
+            return;
+        }
+
+        const deleted = await this.storage.deletePage(title, { reason: reason.trim() });
+        if (!deleted) {
+            this.showNotification('문서 삭제에 실패했습니다.', 'error');
+            return;
+        }
+
+        // 삭제된 문서는 최근 목록에서 제거
+        const recent = this.storage.getRecentPages().filter(t => t !== title);
+        localStorage.setItem(this.storage.recentKey, JSON.stringify(recent));
+
+        this.showNotification(`"${title}" 문서가 휴지통으로 이동되었습니다.`, 'success');
+        await this.loadPage('대문');
+        await this.updateNavigation();
+    }
+
+    /**
+     * Show trash modal
+     */
+    async showTrash() {
+        if (!this.elements.trashModal) return;
+
+        this.elements.trashList.innerHTML = '<div class="loading-text">휴지통을 불러오는 중...</div>';
+        this.elements.trashModal.style.display = 'flex';
+        this.closeSettingsMenu();
+
+        const trash = await this.storage.getTrash();
+
+        if (trash.length === 0) {
+            this.elements.trashList.innerHTML = '<p class="text-muted">휴지통이 비어 있습니다.</p>';
+            return;
+        }
+
+        this.elements.trashList.innerHTML = trash.map(entry => `
+            <div class="history-item">
+                <div class="history-meta">
+                    <span><strong>${this.escapeHtml(entry.title)}</strong></span>
+                    <span>${new Date(entry.deletedAt).toLocaleString('ko-KR')} · ${this.escapeHtml(entry.deletedBy)}</span>
+                </div>
+                <div class="revision-row">
+                    <span class="revision-summary">
+                        ${entry.reason ? this.escapeHtml(entry.reason) : '<em class="text-muted">사유 없음</em>'}
+                        <span class="text-muted">(${entry.size}자 · 댓글 ${entry.commentCount}개 · ${entry.revisionCount}판)</span>
+                    </span>
+                    <div class="image-actions">
+                        <button class="image-action-btn trash-restore-btn" data-id="${entry.id}">복원</button>
+                        <button class="image-action-btn danger trash-purge-btn" data-id="${entry.id}" data-title="${this.escapeHtml(entry.title)}">영구 삭제</button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Restore a page from the trash
+     * @param {number} id - Trash entry ID
+     */
+    async restoreFromTrash(id) {
+        try {
+            const result = await this.storage.restoreFromTrash(id);
+
+            if (result.status === 'exists') {
+                this.showNotification('같은 제목의 문서가 이미 있어 복원할 수 없습니다. 먼저 기존 문서를 옮기거나 삭제하세요.', 'error');
+                return;
+            }
+            if (result.status !== 'restored') {
+                this.showNotification('휴지통 항목을 찾을 수 없습니다.', 'error');
+                await this.showTrash();
+                return;
+            }
+
+            this.showNotification(`"${result.title}" 문서가 복원되었습니다.`, 'success');
+            await this.showTrash();
+            await this.updateNavigation();
+        } catch (error) {
+            console.error('Error restoring page:', error);
+            this.showNotification('문서 복원에 실패했습니다.', 'error');
+        }
+    }
+
+    /**
+     * Permanently delete a trash entry
+     * @param {number} id - Trash entry ID
+     * @param {string} title - Page title (for the confirmation message)
+     */
+    async purgeFromTrash(id, title) {
+        if (!confirm(`"${title}" 문서를 영구 삭제하시겠습니까? 이 작업은 되돌릴 수 없습니다.`)) {
+            return;
+        }
+
+        try {
+            if (await this.storage.purgeFromTrash(id)) {
+                this.showNotification('문서가 영구 삭제되었습니다.', 'success');
+            } else {
+                this.showNotification('영구 삭제에 실패했습니다.', 'error');
+            }
+        } catch (error) {
+            console.error('Error purging page:', error);
+            this.showNotification(error.status ? error.message : '영구 삭제에 실패했습니다.', 'error');
+        }
+        await this.showTrash();
+    }
+
+    /**
+     * Setup image report (unused images / broken references) event listeners
+     */
+    setupImageReportEvents() {
+        if (this.elements.imageReportBtn) {
+            this.elements.imageReportBtn.addEventListener('click', () => {
+                this.showImageReport();
+            });
+        }
+
+        if (this.elements.refreshImageReport) {
+            this.elements.refreshImageReport.addEventListener('click', () => {
+                this.showImageReport();
+            });
+        }
+
+        if (this.elements.closeImageReport) {
+            this.elements.closeImageReport.addEventListener('click', () => {
+                this.elements.imageReportModal.style.display = 'none';
+            });
+        }
+
+        if (this.elements.imageReportModal) {
+            this.elements.imageReportModal.addEventListener('click', (e) => {
+                // 문서 링크는 전역 핸들러가 이동시키고 여기서는 창만 닫음
+                if (e.target === this.elements.imageReportModal || e.target.classList.contains('internal-link')) {
+                    this.elements.imageReportModal.style.display = 'none';
+                }
+            });
+        }
+
+        if (this.elements.imageReportContent) {
+            this.elements.imageReportContent.addEventListener('change', (e) => {
+                const selectAll = e.target.closest('[data-select-all]');
+                if (selectAll) {
+                    this.elements.imageReportContent
+                        .querySelectorAll(`.${selectAll.dataset.selectAll}`)
+                        .forEach(checkbox => { checkbox.checked = selectAll.checked; });
+                }
+            });
+
+            this.elements.imageReportContent.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-report-action]');
+                if (!action) return;
+
+                if (action.dataset.reportAction === 'delete-unused') {
+                    this.deleteSelectedUnusedImages();
+                } else if (action.dataset.reportAction === 'fix-broken') {
+                    this.fixSelectedBrokenRefs();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the image report: images no page embeds and references to missing images
+     */
+    async showImageReport() {
+        if (!this.elements.imageReportModal) return;
+
+        this.elements.imageReportContent.innerHTML = '<div class="loading-text">이미지를 점검하는 중...</div>';
+        this.elements.imageReportModal.style.display = 'flex';
+        this.closeSettingsMenu();
+
+        let report, images;
+        try {
+            [report, images] = await Promise.all([this.storage.getImageReport(), this.storage.getAllImages()]);
+        } catch (error) {
+            console.error('Error loading image report:', error);
+            this.elements.imageReportContent.innerHTML = '<p class="text-muted">이미지 점검에 실패했습니다.</p>';
+            return;
+        }
+
+        const unusedItems = report.unused.map(image => `
+            <label class="image-report-item">
+                <input type="checkbox" class="unused-image-check" value="${this.escapeHtml(image.name)}">
+                <img src="${this.escapeHtml(this.storage.getImageUrl(image, 160))}" alt="${this.escapeHtml(image.name)}" class="image-report-thumb" loading="lazy">
+                <span class="image-report-info">
+                    <strong>${this.escapeHtml(image.name)}</strong>
+                    <span class="text-muted">
+                        ${Math.round(image.size / 1024)}KB · ${new Date(image.uploadedAt).toLocaleDateString('ko-KR')}
+                        ${image.filePage ? ` · ${this.escapeHtml(image.filePage)} 문서 있음` : ''}
+                    </span>
+                </span>
+            </label>
+        `).join('');
+
+        const brokenItems = report.broken.map(ref => `
+            <div class="history-item">
+                <div class="history-meta">
+                    <label class="image-report-check">
+                        <input type="checkbox" class="broken-ref-check" value="${this.escapeHtml(ref.name)}">
+                        <strong>![${this.escapeHtml(ref.name)}]</strong>
+                    </label>
+                    <span>문서 ${ref.pages.length}개</span>
+                </div>
+                <ul class="image-report-pages">
+                    ${ref.pages.map(title => `<li><a href="#" class="internal-link" data-page="${this.escapeHtml(title)}">${this.escapeHtml(title)}</a></li>`).join('')}
+                </ul>
+                <input type="text" class="new-page-input image-report-replacement" data-name="${this.escapeHtml(ref.name)}"
+                    list="image-report-names" placeholder="바꿀 이미지 이름 (비워 두면 참조를 지움)">
+            </div>
+        `).join('');
+
+        this.elements.imageReportContent.innerHTML = `
+            <section class="image-report-section">
+                <div class="image-report-header">
+                    <h4>사용되지 않는 이미지 (${report.unused.length})</h4>
+                    ${report.unused.length > 0 ? '<label class="image-report-check"><input type="checkbox" data-select-all="unused-image-check"> 전체 선택</label>' : ''}
+                </div>
+                ${report.unused.length > 0 ? `
+                    <p class="text-muted">어떤 문서에도 들어가지 않은 이미지입니다. 삭제하면 파일: 문서도 휴지통으로 옮겨집니다.</p>
+                    <div class="image-report-list">${unusedItems}</div>
+                    <div class="image-actions">
+                        <button class="image-action-btn danger" data-report-action="delete-unused">선택한 이미지 삭제</button>
+                    </div>
+                ` : '<p class="text-muted">모든 이미지가 문서에서 사용되고 있습니다.</p>'}
+            </section>
+            <section class="image-report-section">
+                <div class="image-report-header">
+                    <h4>깨진 이미지 참조 (${report.broken.length})</h4>
+                    ${report.broken.length > 0 ? '<label class="image-report-check"><input type="checkbox" data-select-all="broken-ref-check"> 전체 선택</label>' : ''}
+                </div>
+                ${report.broken.length > 0 ? `
+                    <p class="text-muted">없는 이미지를 가리키는 참조입니다. 바꿀 이미지를 입력하면 그 이미지로 바꾸고, 비워 두면 참조를 지웁니다.</p>
+                    <div class="history-list">${brokenItems}</div>
+                    <datalist id="image-report-names">
+                        ${images.map(image => `<option value="${this.escapeHtml(image.name)}">`).join('')}
+                    </datalist>
+                    <div class="image-actions">
+                        <button class="image-action-btn" data-report-action="fix-broken">선택한 참조 정리</button>
+                    </div>
+                ` : '<p class="text-muted">깨진 이미지 참조가 없습니다.</p>'}
+            </section>
+        `;
+    }
+
+    /**
+     * Checked values of the given checkbox class in the image report
+     * @param {string} className - Checkbox class
+     * @returns {string[]} Checked values
+     */
+    getImageReportSelection(className) {
+        return Array.from(this.elements.imageReportContent.querySelectorAll(`.${className}:checked`))
+            .map(checkbox => checkbox.value);
+    }
+
+    /**
+     * Delete the selected unused images together with their 파일: pages
+     */
+    async deleteSelectedUnusedImages() {
+        const names = this.getImageReportSelection('unused-image-check');
+        if (names.length === 0) {
+            this.showNotification('삭제할 이미지를 선택하세요.', 'error');
+            return;
+        }
+        if (!confirm(`선택한 이미지 ${names.length}개를 삭제하시겠습니까? 각 이미지의 파일: 문서는 휴지통으로 옮겨집니다.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.storage.deleteUnusedImages(names);
+            const skipped = result.skipped.length > 0
+                ? ` (그 사이에 사용되었거나 없어진 ${result.skipped.length}개는 건너뜀)`
+                : '';
+            this.showNotification(`이미지 ${result.deleted.length}개를 삭제했습니다.${skipped}`, 'success');
+            await this.updateNavigation();
+        } catch (error) {
+            console.error('Error deleting unused images:', error);
+            this.showNotification(error.status ? error.message : '이미지 삭제에 실패했습니다.', 'error');
+        }
+        await this.showImageReport();
+    }
+
+    /**
+     * Replace or strip the selected broken image references
+     */
+    async fixSelectedBrokenRefs() {
+        const names = this.getImageReportSelection('broken-ref-check');
+        if (names.length === 0) {
+            this.showNotification('정리할 참조를 선택하세요.', 'error');
+            return;
+        }
+
+        const replacements = {};
+        this.elements.imageReportContent.querySelectorAll('.image-report-replacement').forEach(input => {
+            replacements[input.dataset.name] = input.value.trim();
+        });
+        const fixes = names.map(name => ({ name, replacement: replacements[name] || null }));
+
+        const stripCount = fixes.filter(fix => !fix.replacement).length;
+        const stripNote = stripCount > 0 ? ` 바꿀 이미지를 입력하지 않은 ${stripCount}개는 문서에서 지워집니다.` : '';
+        if (!confirm(`선택한 참조 ${names.length}개를 정리하시겠습니까?${stripNote}`)) {
+            return;
+        }
+
+        try {
+            const result = await this.storage.fixBrokenImageRefs(fixes);
+            const skipped = result.skipped.length > 0
+                ? ` (대체 이미지가 없거나 이미지가 새로 올라온 ${result.skipped.length}개는 건너뜀)`
+                : '';
+            this.showNotification(`문서 ${result.updatedPages.length}개를 수정했습니다.${skipped}`, 'success');
+
+            if (result.updatedPages.includes(this.currentPage)) {
+                await this.loadPage(this.currentPage);
+            }
+        } catch (error) {
+            console.error('Error fixing image references:', error);
+            this.showNotification('참조 정리에 실패했습니다.', 'error');
+        }
+        await this.showImageReport();
+    }
+
+    /**
+     * Setup account (login/register/logout) events
+     */
+    setupAccountEvents() {
+        if (!this.elements.accountBtn) return;
+
+        this.elements.accountBtn.addEventListener('click', () => {
+            if (this.account.user) {
+                this.logout();
+            } else {
+                this.showAccountModal();
+            }
+        });
+
+        this.elements.accountLogin.addEventListener('click', () => {
+            this.submitAccountForm('login');
+        });
+
+        this.elements.accountRegister.addEventListener('click', () => {
+            this.submitAccountForm('register');
+        });
+
+        this.elements.cancelAccount.addEventListener('click', () => {
+            this.elements.accountModal.style.display = 'none';
+        });
+
+        this.elements.accountPassword.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.submitAccountForm('login');
+            } else if (e.key === 'Escape') {
+                this.elements.accountModal.style.display = 'none';
+            }
+        });
+
+        this.elements.accountModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.accountModal) {
+                this.elements.accountModal.style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Ask the server who is logged in and update the header and comment form
+     */
+    async refreshAccount() {
+        try {
+            this.account = await this.storage.getCurrentUser();
+        } catch (error) {
+            console.error('Error loading account:', error);
+        }
+        this.updateAccountUI();
+        await this.refreshProtections();
+    }
+
+    /**
+     * Show the logged-in user (or the login button) in the header and comment form
+     */
+    updateAccountUI() {
+        const { user, author, allowAnonymousEdits, accountsAvailable } = this.account;
+
+        if (this.elements.accountBtn) {
+            this.elements.accountBtn.style.display = accountsAvailable ? '' : 'none';
+            this.elements.accountBtn.title = user ? '로그아웃' : '로그인';
+            this.elements.accountLabel.textContent = user ? user.username : '로그인';
+        }
+
+        if (this.elements.commentIdentity) {
+            if (!accountsAvailable) {
+                this.elements.commentIdentity.textContent = '';
+            } else if (!user && !allowAnonymousEdits) {
+                this.elements.commentIdentity.textContent = '로그인해야 댓글을 쓸 수 있습니다.';
+            } else {
+                this.elements.commentIdentity.textContent = user
+                    ? `${user.username}(으)로 작성`
+                    : `${author}(으)로 작성 (로그인하지 않음)`;
+            }
+        }
+    }
+
+    /**
+     * Show the login/register modal
+     */
+    showAccountModal() {
+        if (!this.elements.accountModal || !this.account.accountsAvailable) return;
+
+        this.elements.accountError.style.display = 'none';
+        this.elements.accountPassword.value = '';
+        this.elements.accountModal.style.display = 'block';
+        this.elements.accountUsername.focus();
+    }
+
+    /**
+     * Log in or register with the modal's name and password
+     * @param {string} action - 'login' or 'register'
+     */
+    async submitAccountForm(action) {
+        const username = this.elements.accountUsername.value.trim();
+        const password = this.elements.accountPassword.value;
+        if (!username || !password) {
+            this.elements.accountError.textContent = '사용자 이름과 비밀번호를 입력해주세요.';
+            this.elements.accountError.style.display = 'block';
+            return;
+        }
+
+        try {
+            const { user } = action === 'register'
+                ? await this.storage.register(username, password)
+                : await this.storage.login(username, password);
+            this.elements.accountModal.style.display = 'none';
+            this.elements.accountPassword.value = '';
+            await this.refreshAccount();
+            this.showNotification(action === 'register' ? `${user.username}님, 가입되었습니다.` : `${user.username}님, 환영합니다.`, 'success');
+        } catch (error) {
+            this.elements.accountError.textContent = error.message;
+            this.elements.accountError.style.display = 'block';
+        }
+    }
+
+    /**
+     * Log out after confirming
+     */
+    async logout() {
+        if (!confirm(`${this.account.user.username}님, 로그아웃하시겠습니까?`)) return;
+
+        try {
+            await this.storage.logout();
+            await this.refreshAccount();
+            this.showNotification('로그아웃되었습니다.', 'success');
+        } catch (error) {
+            console.error('Error logging out:', error);
+            this.showNotification('로그아웃에 실패했습니다.', 'error');
+        }
+    }
+
+    /**
+     * Setup page protection (lock badge and admin protect modal) events
+     */
+    setupProtectionEvents() {
+        if (!this.elements.protectModal) return;
+
+        const { PROTECTION_LEVELS, PROTECTION_LABELS } = window.WikiProtection;
+        const options = '<option value="">기본값</option>' + PROTECTION_LEVELS
+            .map(level => `<option value="${level}">${PROTECTION_LABELS[level]}</option>`)
+            .join('');
+        this.elements.protectPageLevel.innerHTML = options;
+        this.elements.protectNamespaceLevel.innerHTML = options;
+
+        this.elements.protectPageBtn.addEventListener('click', () => {
+            this.showProtectModal();
+        });
+
+        this.elements.confirmProtect.addEventListener('click', () => {
+            this.saveProtection();
+        });
+
+        this.elements.cancelProtect.addEventListener('click', () => {
+            this.elements.protectModal.style.display = 'none';
+        });
+
+        this.elements.protectModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.protectModal) {
+                this.elements.protectModal.style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Reload protection levels from the server and redraw the lock badge
+     */
+    async refreshProtections() {
+        try {
+            this.protections = await this.storage.getProtections();
+        } catch (error) {
+            console.error('Error loading protections:', error);
+        }
+        this.updateProtectionBadge(this.currentPage);
+    }
+
+    /**
+     * Show a lock badge when editing the page needs more than an anonymous visitor,
+     * and the protect button for admins. Nothing is shown where there are no accounts.
+     * @param {string} title - Page shown in the header
+     */
+    updateProtectionBadge(title) {
+        if (!this.elements.protectionBadge) return;
+
+        const { PROTECTION_LABELS, protectionLevel, canEdit } = window.WikiProtection;
+        const { accountsAvailable, user } = this.account;
+        const level = protectionLevel(title, this.protections);
+
+        this.elements.protectionBadge.style.display = accountsAvailable && level !== 'anyone' ? '' : 'none';
+        this.elements.protectionBadge.classList.toggle('protection-admin', level === 'admin');
+        this.elements.protectionLabel.textContent = level === 'admin' ? '관리자 보호' : '로그인 필요';
+        this.elements.protectionBadge.title = canEdit(user, level)
+            ? `${PROTECTION_LABELS[level]}만 편집할 수 있는 문서입니다.`
+            : `${PROTECTION_LABELS[level]}만 편집할 수 있어 지금은 편집할 수 없습니다.`;
+
+        this.elements.protectPageBtn.style.display = user?.role === 'admin' ? '' : 'none';
+    }
+
+    /**
+     * Show the protect modal for the current page (and its namespace, if it has one)
+     */
+    showProtectModal() {
+        const title = this.currentPage;
+        const namespace = window.WikiProtection.namespaceOf(title);
+
+        this.elements.protectHeading.textContent = `"${title}" 문서 보호`;
+        this.elements.protectPageLevel.value = this.protections.pages[title] || '';
+        this.elements.protectNamespaceField.style.display = namespace ? '' : 'none';
+        if (namespace) {
+            this.elements.protectNamespaceLabel.textContent = `"${namespace}:" 이름공간 전체를 편집할 수 있는 사람`;
+            this.elements.protectNamespaceLevel.value = this.protections.namespaces[namespace] || '';
+        }
+        this.elements.protectModal.style.display = 'flex';
+    }
+
+    /**
+     * Save the levels chosen in the protect modal ('기본값' removes the stored level)
+     */
+    async saveProtection() {
+        const title = this.currentPage;
+        const namespace = window.WikiProtection.namespaceOf(title);
+        const changes = [['page', title, this.elements.protectPageLevel.value]];
+        if (namespace) {
+            changes.push(['namespace', namespace, this.elements.protectNamespaceLevel.value]);
+        }
+
+        try {
+            for (const [kind, name, level] of changes) {
+                const stored = kind === 'page' ? this.protections.pages : this.protections.namespaces;
+                if (level === (stored[name] || '')) continue;
+                const result = await this.storage.setProtection(kind, name, level || null);
+                this.protections = result.protections;
+            }
+            this.elements.protectModal.style.display = 'none';
+            this.updateProtectionBadge(this.currentPage);
+            this.showNotification('보호 수준을 저장했습니다.', 'success');
+        } catch (error) {
+            console.error('Error saving protection:', error);
+            this.showNotification(`보호 수준을 저장하지 못했습니다: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Setup comments event listeners
+     */
+    setupCommentsEvents() {
+        if (this.elements.addCommentBtn) {
+            this.elements.addCommentBtn.addEventListener('click', () => {
+                this.addComment();
             });
         }
 
         if (this.elements.commentInput) {
+            // Start the comment timer when the visitor starts writing
+            this.elements.commentInput.addEventListener('input', () => {
+                if (!this.commentToken) {
+                    this.commentToken = this.storage.getCommentToken();
+                }
+            });
+
             this.elements.commentInput.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' && e.ctrlKey) {
                     this.addComment();
                 }
             });
         }
+
+        if (this.elements.commentsList) {
+            this.elements.commentsList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-comment-action]');
+                if (!button) return;
+
+                const commentId = button.closest('.comment').dataset.commentId;
+                const action = button.dataset.commentAction;
+                if (action === 'edit') {
+                    this.editComment(commentId);
+                } else if (action === 'delete') {
+                    this.deleteComment(commentId);
+                } else {
+                    this.setCommentHidden(commentId, action === 'hide');
+                }
+            });
+        }
     }
 
     /**
-     * Add a new comment
+     * Add a new comment (attributed by the server to the logged-in user or an IP hash)
      */
-    addComment() {
+    async addComment() {
         const content = this.elements.commentInput.value.trim();
-        const author = this.elements.commentAuthor.value.trim() || '익명';
         
         if (!content) {
             this.showNotification('댓글 내용을 입력해주세요.', 'warning');
             return;
         }
 
-        const comment = this.storage.addComment(this.currentPage, content, author);
-        if (comment) {
+        // Bot traps: the hidden field stays empty and a person takes a few seconds to write
+        const formCheck = {
+            website: this.elements.commentWebsite ? this.elements.commentWebsite.value : '',
+            token: await this.commentToken
+        };
+
+        try {
+            await this.storage.addComment(this.currentPage, content, formCheck);
             this.elements.commentInput.value = '';
-            this.elements.commentAuthor.value = '';
+            this.commentToken = null;
             this.updateComments();
             this.showNotification('댓글이 추가되었습니다.', 'success');
-        } else {
+        } catch (error) {
+            if (error.status === 401) {
+                this.showNotification(error.message, 'warning');
+                this.showAccountModal();
+                return;
+            }
+            if (error.reason !== 'too-fast') {
+                // A token is good for one comment once the bot traps pass (even if the comment
+                // is then refused), so start over with a fresh one for the resend
+                this.commentToken = this.storage.getCommentToken();
+            }
+            if (error.status) {
+                this.showNotification(error.message, 'warning');
+                return;
+            }
             this.showNotification('댓글 추가 중 오류가 발생했습니다.', 'error');
         }
     }
 
     /**
-     * Edit a comment
+     * Edit a comment (only its author or a moderator gets the button; the server checks again)
      * @param {string} commentId - Comment ID
      */
-    editComment(commentId) {
-        const comments = this.storage.getPageComments(this.currentPage);
-        const comment = comments.find(c => c.id === commentId);
+    async editComment(commentId) {
+        const comments = await this.storage.getPageComments(this.currentPage);
+        const comment = comments.find(c => String(c.id) === commentId);
         
         if (!comment) return;
 
         const newContent = prompt('댓글을 수정하세요:', comment.content);
-        if (newContent !== null && newContent.trim() !== comment.content) {
-            if (this.storage.updateComment(this.currentPage, commentId, newContent.trim())) {
-                this.updateComments();
-                this.showNotification('댓글이 수정되었습니다.', 'success');
-            } else {
-                this.showNotification('댓글 수정 중 오류가 발생했습니다.', 'error');
-            }
+        if (newContent === null || !newContent.trim() || newContent.trim() === comment.content) return;
+
+        try {
+            await this.storage.updateComment(commentId, newContent.trim());
+            this.updateComments();
+            this.showNotification('댓글이 수정되었습니다.', 'success');
+        } catch (error) {
+            this.showNotification(error.status ? error.message : '댓글 수정 중 오류가 발생했습니다.', 'error');
         }
     }
 
@@ -2190,14 +4033,30 @@ class WikiApp {
      * Delete a comment
      * @param {string} commentId - Comment ID
      */
-    deleteComment(commentId) {
-        if (confirm('정말로 이 댓글을 삭제하시겠습니까?')) {
-            if (this.storage.deleteComment(this.currentPage, commentId)) {
-                this.updateComments();
-                this.showNotification('댓글이 삭제되었습니다.', 'success');
-            } else {
-                this.showNotification('댓글 삭제 중 오류가 발생했습니다.', 'error');
-            }
+    async deleteComment(commentId) {
+        if (!confirm('정말로 이 댓글을 삭제하시겠습니까?')) return;
+
+        try {
+            await this.storage.deleteComment(commentId);
+            this.updateComments();
+            this.showNotification('댓글이 삭제되었습니다.', 'success');
+        } catch (error) {
+            this.showNotification(error.status ? error.message : '댓글 삭제 중 오류가 발생했습니다.', 'error');
+        }
+    }
+
+    /**
+     * Hide a comment behind a collapsed notice, or show it again (moderators)
+     * @param {string} commentId - Comment ID
+     * @param {boolean} hidden - Whether to hide it
+     */
+    async setCommentHidden(commentId, hidden) {
+        try {
+            await this.storage.setCommentHidden(commentId, hidden);
+            this.updateComments();
+            this.showNotification(hidden ? '댓글을 숨겼습니다.' : '댓글을 다시 보이게 했습니다.', 'success');
+        } catch (error) {
+            this.showNotification(error.status ? error.message : '댓글 숨기기 중 오류가 발생했습니다.', 'error');
         }
     }
 
@@ -2218,31 +4077,7 @@ class WikiApp {
                 return;
             }
 
-            const html = commentsList.map(comment => {
-            const createdDate = new Date(comment.created).toLocaleString('ko-KR');
-            const modifiedDate = comment.modified !== comment.created ? 
-                `(수정됨: ${new Date(comment.modified).toLocaleString('ko-KR')})` : '';
-            
-            return `
-                <div class="comment" data-comment-id="${comment.id}">
-                    <div class="comment-header">
-                        <span class="comment-author">${this.escapeHtml(comment.author)}</span>
-                        <span class="comment-date">${createdDate} ${modifiedDate}</span>
-                        <div class="comment-actions">
-                            <button class="comment-edit-btn" onclick="app.editComment('${comment.id}')" title="편집">
-                                <i data-feather="edit-2"></i>
-                            </button>
-                            <button class="comment-delete-btn" onclick="app.deleteComment('${comment.id}')" title="삭제">
-                                <i data-feather="trash-2"></i>
-                            </button>
-                        </div>
-                    </div>
-                    <div class="comment-content">${this.escapeHtml(comment.content).replace(/\n/g, '<br>')}</div>
-                </div>
-            `;
-        }).join('');
-
-            this.elements.commentsList.innerHTML = html;
+            this.elements.commentsList.innerHTML = commentsList.map(comment => this.renderComment(comment)).join('');
             feather.replace();
         } catch (error) {
             console.error('Error updating comments:', error);
@@ -2250,15 +4085,94 @@ class WikiApp {
         }
     }
 
+    /**
+     * HTML for one comment: edit/delete for its author and moderators, hide for moderators,
+     * the earlier versions behind "(수정됨)", and a collapsed body when a moderator hid it
+     * @param {Object} comment - { id, author, authorId, content, history, hiddenBy, createdAt }
+     * @returns {string} HTML
+     */
+    renderComment(comment) {
+        const { canManageComment, canModerate } = window.WikiProtection;
+        const user = this.account.user;
+        const formatDate = value => new Date(value).toLocaleString('ko-KR');
+        const formatContent = text => this.escapeHtml(text).replace(/\n/g, '<br>');
+        const history = comment.history || [];
+
+        const actions = [];
+        if (canManageComment(user, comment)) {
+            actions.push(`
+                <button class="comment-edit-btn" data-comment-action="edit" title="편집">
+                    <i data-feather="edit-2"></i>
+                </button>
+                <button class="comment-delete-btn" data-comment-action="delete" title="삭제">
+                    <i data-feather="trash-2"></i>
+                </button>`);
+        }
+        if (canModerate(user)) {
+            actions.push(comment.hiddenBy
+                ? `<button class="comment-hide-btn" data-comment-action="show" title="다시 보이기"><i data-feather="eye"></i></button>`
+                : `<button class="comment-hide-btn" data-comment-action="hide" title="숨기기"><i data-feather="eye-off"></i></button>`);
+        }
+
+        const edited = history.length > 0 ? `
+            <details class="comment-history">
+                <summary>(수정됨)</summary>
+                <ol class="comment-history-list">
+                    ${history.slice().reverse().map(version => `
+                        <li>
+                            <span class="comment-date">${formatDate(version.replacedAt)}에 ${this.escapeHtml(version.replacedBy)}이(가) 고치기 전</span>
+                            <div class="comment-content">${formatContent(version.content)}</div>
+                        </li>
+                    `).join('')}
+                </ol>
+            </details>` : '';
+
+        const body = `<div class="comment-content">${formatContent(comment.content)}</div>${edited}`;
+
+        return `
+            <div class="comment${comment.hiddenBy ? ' comment-hidden' : ''}" data-comment-id="${this.escapeHtml(String(comment.id))}">
+                <div class="comment-header">
+                    <span class="comment-author">${this.escapeHtml(comment.author)}</span>
+                    <span class="comment-date">${formatDate(comment.createdAt || comment.created)}</span>
+                    <div class="comment-actions">${actions.join('')}</div>
+                </div>
+                ${comment.hiddenBy ? `
+                    <details class="comment-hidden-body">
+                        <summary>운영자 ${this.escapeHtml(comment.hiddenBy)}이(가) 숨긴 댓글입니다</summary>
+                        ${body}
+                    </details>` : body}
+            </div>
+        `;
+    }
+
     /**
      * Escape HTML characters
      * @param {string} text - Text to escape
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Replace a YouTube thumbnail with the embedded player
+     * @param {HTMLElement} thumbnail - .youtube-thumbnail element with data-youtube-id
+     */
+    playYouTubeVideo(thumbnail) {
+        const videoId = thumbnail.dataset.youtubeId;
+        if (!/^[a-zA-Z0-9_-]+$/.test(videoId)) return;
+
+        const iframe = document.createElement('iframe');
+        iframe.className = 'youtube-iframe';
+        iframe.src = `https://www.youtube.com/embed/${videoId}?autoplay=1`;
+        iframe.allow = 'autoplay; fullscreen';
+        iframe.allowFullscreen = true;
+        thumbnail.parentNode.replaceChildren(iframe);
     }
 
     /**
@@ -2294,19 +4208,27 @@ class WikiApp {
             <div class="footnote-popup-content">
                 <div class="footnote-popup-header">
                     <span class="footnote-popup-title">각주</span>
-                    <button class="footnote-popup-close" onclick="this.closest('.footnote-popup').remove()">×</button>
+                    <button class="footnote-popup-close">×</button>
                 </div>
                 <div class="footnote-popup-body">
                     ${this.escapeHtml(content)}
                 </div>
                 <div class="footnote-popup-footer">
-                    <button class="footnote-popup-goto" onclick="app.scrollToFootnoteSection('${footnoteId}'); this.closest('.footnote-popup').remove();">각주로 이동</button>
+                    <button class="footnote-popup-goto">각주로 이동</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(popup);
 
+        popup.querySelector('.footnote-popup-close').addEventListener('click', () => {
+            popup.remove();
+        });
+        popup.querySelector('.footnote-popup-goto').addEventListener('click', () => {
+            this.scrollToFootnoteSection(footnoteId);
+            popup.remove();
+        });
+
         // Close on outside click
         popup.addEventListener('click', (e) => {
             if (e.target === popup) {
@@ -2,24 +2,47 @@
  * Wiki renderer for pure wiki content (no markdown support)
  */
 class WikiRenderer {
-    constructor() {
+    /**
+     * @param {WikiStorage} storage - Used to look up uploaded images
+     */
+    constructor(storage) {
+        this.storage = storage;
         this.linkPattern = /\[([^\]]+)\]\(([^)]+)\)/g;
         this.internalLinkPattern = /\[([^\]]+)\]\(([^):/]+)\)(?!\w)/g;
         // Namuwiki-style link pattern [[target|display]] or [[target]]
         this.namuwikiLinkPattern = /\[\[([^|\]]+)(?:\|([^\]]+))?\]\]/g;
         // YouTube embed pattern - supports both [[htp://yt.VIDEO_ID]] and [[htp://VIDEO_ID.yt]]
         this.youtubeEmbedPattern = /\[\[htp:\/\/(?:yt\.([a-zA-Z0-9_-]+)|([a-zA-Z0-9_-]+)\.yt)\]\]/g;
+        this.sanitizer = new HtmlSanitizer();
     }
 
     /**
-     * Render wiki content to HTML
+     * Render wiki content to sanitized HTML
      * @param {string} content - Raw wiki content
      * @returns {Promise<string>} Rendered HTML
      */
     async render(content) {
         if (!content) return '<p><em>이 페이지는 비어있습니다. 편집 버튼을 클릭하여 내용을 추가하세요.</em></p>';
 
-        let html = content;
+        // Redirect pages (#넘겨주기 대상) show where they point instead of a tag
+        const redirectTarget = window.WikiSyntax.parseRedirect(content);
+        if (redirectTarget) {
+            const rest = window.WikiSyntax.stripRedirect(content);
+            return this.sanitizer.sanitize(this.renderRedirect(redirectTarget) + (rest.trim() ? await this.renderMarkup(rest) : ''));
+        }
+
+        return this.sanitizer.sanitize(await this.renderMarkup(content));
+    }
+
+    /**
+     * Apply wiki markup to content. The source is escaped first, so the
+     * values captured by the patterns below are already safe to put in HTML
+     * (use unescapeHtml where the original text is needed, e.g. for lookups).
+     * @param {string} content - Raw wiki content
+     * @returns {Promise<string>} Rendered (unsanitized) HTML
+     */
+    async renderMarkup(content) {
+        let html = this.escapeHtml(content);
         
         // Process wiki-specific syntax first
         html = this.renderWikiHeaders(html);
@@ -112,9 +135,10 @@ class WikiRenderer {
             const cleanVideoId = videoId.replace(/[^a-zA-Z0-9_-]/g, '');
             if (!cleanVideoId) return match;
             
+            // The player iframe is created on click (see WikiApp), not embedded here
             return `<div class="youtube-embed-wrapper">
-                <div class="youtube-thumbnail" onclick="this.parentNode.innerHTML='<iframe class=\\"youtube-iframe\\" src=\\"https://www.youtube.com/embed/${cleanVideoId}?autoplay=1\\" frameborder=\\"0\\" allowfullscreen></iframe>'">
-                    <img src="https://img.youtube.com/vi/${cleanVideoId}/maxresdefault.jpg" alt="YouTube 동영상 썸네일" onerror="this.src='https://img.youtube.com/vi/${cleanVideoId}/hqdefault.jpg'">
+                <div class="youtube-thumbnail" data-youtube-id="${cleanVideoId}">
+                    <img src="https://img.youtube.com/vi/${cleanVideoId}/hqdefault.jpg" alt="YouTube 동영상 썸네일">
                     <div class="youtube-play-button">
                         <svg width="68" height="48" viewBox="0 0 68 48">
                             <path d="M66.52,7.74c-0.78-2.93-2.49-5.41-5.42-6.19C55.79,.13,34,0,34,0S12.21,.13,6.9,1.55 C3.97,2.33,2.27,4.81,1.48,7.74C0.06,13.05,0,24,0,24s0.06,10.95,1.48,16.26c0.78,2.93,2.49,5.41,5.42,6.19 C12.21,47.87,34,48,34,48s21.79-0.13,27.1-1.55c2.93-0.78,4.64-3.26,5.42-6.19C67.94,34.95,68,24,68,24S67.94,13.05,66.52,7.74z" fill="#f00"></path>
@@ -141,12 +165,24 @@ class WikiRenderer {
             // Use display text if provided, otherwise use target as display
             const displayText = display || target;
             
-            // Generate punycode URL for internal links
-            const encodedUrl = window.app ? window.app.pageNameToPunycode(target) : encodeURIComponent(target);
+            // Generate punycode URL for internal links (from the unescaped title)
+            const title = this.unescapeHtml(target);
+            const encodedUrl = window.app ? window.app.pageNameToPunycode(title) : encodeURIComponent(title);
             return `<a href="/${encodedUrl}" class="internal-link namuwiki-link" data-page="${target}">${displayText}</a>`;
         });
     }
 
+    /**
+     * Render the notice shown on a redirect page itself
+     * @param {string} target - Redirect target title
+     * @returns {string} Rendered HTML
+     */
+    renderRedirect(target) {
+        const encodedUrl = window.app ? window.app.pageNameToPunycode(target) : encodeURIComponent(target);
+        const safeTarget = this.escapeHtml(target);
+        return `<div class="wiki-redirect">↪ <a href="/${encodedUrl}" class="internal-link namuwiki-link" data-page="${safeTarget}">${safeTarget}</a> 문서로 넘겨주기</div>`;
+    }
+
     /**
      * Render links [text](url)
      * @param {string} content - Content to process
@@ -158,8 +194,9 @@ class WikiRenderer {
             const isInternal = !url.includes('://') && !url.startsWith('#');
             
             if (isInternal) {
-                // Generate punycode URL for internal links
-                const encodedUrl = window.app ? window.app.pageNameToPunycode(url) : encodeURIComponent(url);
+                // Generate punycode URL for internal links (from the unescaped title)
+                const title = this.unescapeHtml(url);
+                const encodedUrl = window.app ? window.app.pageNameToPunycode(title) : encodeURIComponent(title);
                 return `<a href="/${encodedUrl}" class="internal-link" data-page="${url}">${text}</a>`;
             } else {
                 return `<a href="${url}" target="_blank" rel="noopener noreferrer">${text}</a>`;
@@ -276,10 +313,10 @@ class WikiRenderer {
     /**
      * Generate ID for headers
      * @param {string} text - Header text
-     * @returns {string} Generated ID
+     * @returns {string} Generated ID (prefixed so it cannot collide with the app's own ids)
      */
     generateId(text) {
-        return text
+        return 'section-' + text
             .toLowerCase()
             .replace(/[^\w\s-]/g, '')
             .replace(/\s+/g, '-')
@@ -287,14 +324,30 @@ class WikiRenderer {
     }
 
     /**
-     * Escape HTML characters
+     * Escape HTML characters. Single quotes are left alone: the renderer only
+     * writes double-quoted attributes, and "&#39;" would be picked up as a #tag.
      * @param {string} text - Text to escape
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Undo escapeHtml (for values captured from escaped source)
+     * @param {string} text - Escaped text
+     * @returns {string} Original text
+     */
+    unescapeHtml(text) {
+        return text
+            .replace(/&quot;/g, '"')
+            .replace(/&gt;/g, '>')
+            .replace(/&lt;/g, '<')
+            .replace(/&amp;/g, '&');
     }
 
     /**
@@ -317,6 +370,12 @@ class WikiRenderer {
         const links = [];
         let match;
         
+        // A redirect counts as a link to its target
+        const redirectTarget = window.WikiSyntax.parseRedirect(content);
+        if (redirectTarget) {
+            links.push(redirectTarget);
+        }
+        
         // Check for regular markdown-style links [text](url)
         this.internalLinkPattern.lastIndex = 0;
         while ((match = this.internalLinkPattern.exec(content)) !== null) {
@@ -368,7 +427,7 @@ class WikiRenderer {
         // Pattern for hashtags with spaces: #tag name or #태그명
         return content.replace(/#([가-힣a-zA-Z0-9_][가-힣a-zA-Z0-9_\s]*[가-힣a-zA-Z0-9_]|[가-힣a-zA-Z0-9_]+)/g, (match, tag) => {
             const normalizedTag = tag.trim().replace(/\s+/g, ' ');
-            return `<span class="wiki-tag" data-tag="${this.escapeHtml(normalizedTag)}" onclick="app.showTaggedPages('${this.escapeHtml(normalizedTag)}')">#${normalizedTag}</span>`;
+            return `<span class="wiki-tag" data-tag="${normalizedTag}">#${normalizedTag}</span>`;
         });
     }
 
@@ -433,7 +492,7 @@ class WikiRenderer {
         return content.replace(/\[\[분류:([^\]]+)\]\]/g, (match, category) => {
             const categoryName = category.trim();
             const categoryPageTitle = `분류:${categoryName}`;
-            return `<div class="wiki-category category-link" data-category="${this.escapeHtml(categoryPageTitle)}"><span class="category-label">분류:</span> <span class="category-name">${this.escapeHtml(categoryName)}</span></div>`;
+            return `<div class="wiki-category category-link" data-category="${categoryPageTitle}"><span class="category-label">분류:</span> <span class="category-name">${categoryName}</span></div>`;
         });
     }
 
@@ -529,6 +588,16 @@ class WikiRenderer {
     async renderImages(content) {
         // First collect all image references
         const imageMatches = [...content.matchAll(/!\[([^\]]+)\]/g)];
+        if (imageMatches.length === 0) return content;
+        
+        // One metadata request per page; the bytes are loaded by the browser from the raw URL
+        let images;
+        try {
+            images = new Map((await this.storage.getAllImages()).map(image => [image.name, image]));
+        } catch (error) {
+            console.error('Error loading image list:', error);
+            images = new Map();
+        }
         
         // Process each image match
         for (const match of imageMatches) {
@@ -536,33 +605,22 @@ class WikiRenderer {
             const parts = imageRef.split('|');
             const imageName = parts[0].trim();
             const caption = parts[1] ? parts[1].trim() : '';
+            const image = images.get(this.unescapeHtml(imageName));
             
-            try {
-                // Try to fetch image synchronously
-                console.log('Fetching image via API:', imageName, encodeURIComponent(imageName));
-                const response = await fetch(`/api/images/${encodeURIComponent(imageName)}`);
-                console.log('Image API response status:', response.status, response.ok);
-                
-                if (response.ok) {
-                    const image = await response.json();
-                    console.log('Image data received:', imageName, 'data length:', image.data ? image.data.length : 'no data');
-                    let imageHtml = `<img src="${image.data}" alt="${this.escapeHtml(imageName)}" title="${this.escapeHtml(imageName)}" style="max-width: 100%; height: auto;">`;
-                    if (caption) {
-                        imageHtml += `<div class="image-caption">${this.escapeHtml(caption)}</div>`;
-                    }
-                    // Replace the match directly in content
-                    content = content.replace(match[0], imageHtml);
-                    console.log('Image rendered successfully:', imageName);
-                } else {
-                    const errorText = await response.text();
-                    console.error('Image API error:', response.status, errorText);
-                    throw new Error(`Image not found: ${response.status}`);
+            let imageHtml;
+            if (image) {
+                // Server images come with a srcset of width-limited variants
+                const srcset = image.srcset ? ` srcset="${this.escapeHtml(image.srcset)}" sizes="(max-width: 768px) 100vw, 800px"` : '';
+                imageHtml = `<img src="${this.escapeHtml(this.storage.getImageUrl(image))}"${srcset} alt="${imageName}" title="${imageName}" loading="lazy">`;
+                if (caption) {
+                    imageHtml += `<div class="image-caption">${caption}</div>`;
                 }
-            } catch (error) {
-                console.error('Error loading image:', imageName, error);
-                // Replace with error message
-                content = content.replace(match[0], `<span style="color: #ef4444; font-style: italic;">[이미지 "${this.escapeHtml(imageName)}"를 찾을 수 없습니다 - ${error.message}]</span>`);
+            } else {
+                imageHtml = `<span class="image-missing">[이미지 "${imageName}"를 찾을 수 없습니다]</span>`;
             }
+            
+            // Replace the match directly in content
+            content = content.replace(match[0], () => imageHtml);
         }
         
         return content;
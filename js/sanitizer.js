@@ -0,0 +1,125 @@
+/**
+ * Allowlist HTML sanitizer for rendered wiki content.
+ * The renderer escapes the source before applying markup, so only the tags and
+ * attributes it generates itself are kept; anything else is treated as injected.
+ */
+class HtmlSanitizer {
+    constructor() {
+        // Elements the renderer generates (anything else is unwrapped, keeping its text)
+        this.allowedTags = new Set([
+            'a', 'blockquote', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+            'hr', 'img', 'li', 'mark', 'ol', 'p', 'path', 'pre', 'span', 'strong', 'sup', 'svg', 'ul'
+        ]);
+        // Elements removed together with their content
+        this.droppedTags = new Set([
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template',
+            'noscript', 'noembed', 'noframes', 'xmp', 'textarea', 'title', 'math', 'form', 'link', 'meta', 'base'
+        ]);
+        // Attributes allowed on every element ('*') and per element
+        this.allowedAttributes = {
+            '*': ['class', 'title', 'data-page', 'data-tag', 'data-category', 'data-footnote', 'data-backref', 'data-youtube-id'],
+            a: ['href', 'target', 'rel'],
+            img: ['src', 'srcset', 'sizes', 'alt', 'loading'],
+            svg: ['width', 'height', 'viewBox'],
+            path: ['d', 'fill']
+        };
+        // Attributes holding URLs, checked with isSafeUrl
+        this.urlAttributes = new Set(['href', 'src']);
+        // Elements that keep an id (heading anchors and footnotes), and the ids the renderer generates.
+        // Any other id could shadow the app's own elements or window globals (DOM clobbering)
+        this.idElements = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'span', 'li']);
+        this.idPattern = /^(section|footnote|backref)-[\w-]*$/;
+    }
+
+    /**
+     * Sanitize an HTML string
+     * @param {string} html - HTML to clean
+     * @returns {string} HTML with only allowed elements, attributes and URLs
+     */
+    sanitize(html) {
+        // Parsing into a template is inert: no scripts run and no images load
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.cleanChildren(template.content);
+        return template.innerHTML;
+    }
+
+    /**
+     * Clean the children of a node in place
+     * @param {Node} parent - Element or document fragment
+     */
+    cleanChildren(parent) {
+        for (const node of [...parent.childNodes]) {
+            if (node.nodeType === Node.TEXT_NODE) continue;
+            if (node.nodeType !== Node.ELEMENT_NODE || this.droppedTags.has(node.localName)) {
+                node.remove();
+                continue;
+            }
+
+            this.cleanChildren(node);
+            if (!this.allowedTags.has(node.localName)) {
+                node.replaceWith(...node.childNodes);
+                continue;
+            }
+            this.cleanAttributes(node);
+        }
+    }
+
+    /**
+     * Remove attributes that are not allowed on an element
+     * @param {Element} element - Element to clean
+     */
+    cleanAttributes(element) {
+        const allowed = [...this.allowedAttributes['*'], ...(this.allowedAttributes[element.localName] || [])];
+
+        for (const { name, value } of [...element.attributes]) {
+            const keep = (allowed.includes(name) || this.isAllowedId(element, name, value)) &&
+                (!this.urlAttributes.has(name) || this.isSafeUrl(value) ||
+                    (element.localName === 'img' && name === 'src' && this.isImageDataUrl(value))) &&
+                (name !== 'srcset' || value.split(',').every(candidate => this.isSafeUrl(candidate.trim().split(/\s+/)[0])));
+            if (!keep) {
+                element.removeAttribute(name);
+            }
+        }
+
+        // A page opened in a new tab must not get a handle back to this one (window.opener)
+        if (element.hasAttribute('target')) {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    /**
+     * Whether an attribute is an id the renderer generates on an element that needs it
+     * @param {Element} element - Element holding the attribute
+     * @param {string} name - Attribute name
+     * @param {string} value - Attribute value
+     * @returns {boolean} True if the id may be kept
+     */
+    isAllowedId(element, name, value) {
+        return name === 'id' && this.idElements.has(element.localName) && this.idPattern.test(value);
+    }
+
+    /**
+     * Whether a URL is relative or uses http(s)/mailto (no javascript:, data: ...)
+     * @param {string} url - URL to check
+     * @returns {boolean} True if the URL is safe to keep
+     */
+    isSafeUrl(url) {
+        // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+        const compact = url.replace(/[\u0000- \u007f]/g, '');
+        const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Whether a URL is an inline PNG/JPEG/GIF/WebP image (how local mode stores uploads)
+     * @param {string} url - URL to check
+     * @returns {boolean} True if the URL may be kept as an img src
+     */
+    isImageDataUrl(url) {
+        return /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]*$/i.test(url);
+    }
+}
+
+// Export for use in other modules
+window.HtmlSanitizer = HtmlSanitizer;
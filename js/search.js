@@ -101,14 +101,21 @@ class WikiSearch {
      * @param {string} query - Search query
      */
     async performSearch(query) {
-        if (this.isSearching || !query) return;
+        if (!query) return;
         
         this.isSearching = true;
         this.showLoadingState();
 
         try {
-            const results = await this.search(query);
-            this.displayResults(results, query);
+            const [results, suggestions] = await Promise.all([this.search(query), this.getSuggestions(query)]);
+            // Ignore responses for a query the user has already changed
+            if (query !== this.currentQuery) return;
+            const titleMatches = suggestions.filter(suggestion => suggestion.type === 'page');
+            if (results.length === 0 && titleMatches.length === 0) {
+                this.showNoResults(query, suggestions.filter(suggestion => suggestion.type === 'fuzzy'));
+                return;
+            }
+            this.displayResults(results, query, titleMatches);
         } catch (error) {
             console.error('Search error:', error);
             this.showErrorState();
@@ -123,32 +130,39 @@ class WikiSearch {
      * @returns {Promise<Array>} Search results
      */
     async search(query) {
-        return new Promise((resolve) => {
-            // Use setTimeout to make search non-blocking
-            setTimeout(() => {
-                const results = this.storage.searchPages(query);
-                resolve(results);
-            }, 0);
-        });
+        return this.storage.searchPages(query);
     }
 
     /**
      * Display search results
      * @param {Array} results - Search results
      * @param {string} query - Original query
+     * @param {Array} [suggestions] - Title suggestions from getSuggestions, listed first
      */
-    displayResults(results, query) {
-        if (!results || results.length === 0) {
+    displayResults(results, query, suggestions = []) {
+        if ((!results || results.length === 0) && suggestions.length === 0) {
             this.showNoResults(query);
             return;
         }
 
-        const html = results.map(result => {
-            const highlightedTitle = this.highlightMatch(result.title, query);
-            const highlightedSnippet = this.highlightMatch(result.snippet, query);
+        const suggestedTitles = new Set(suggestions.map(suggestion => suggestion.title));
+        const suggestionHtml = suggestions.map(suggestion => `
+                <div class="search-result search-suggestion" data-page="${this.escapeHtml(suggestion.title)}">
+                    <div class="search-result-title"><i data-feather="file-text"></i> ${this.highlightRanges(suggestion.title, suggestion.highlights)}</div>
+                </div>
+            `).join('');
+
+        const html = suggestionHtml + results.filter(result => !suggestedTitles.has(result.title)).map(result => {
+            // Offsets come from the search itself; fall back to matching the query text
+            const highlightedTitle = result.titleHighlights
+                ? this.highlightRanges(result.title, result.titleHighlights)
+                : this.highlightMatch(result.title, query);
+            const highlightedSnippet = result.snippetHighlights
+                ? this.highlightRanges(result.snippet, result.snippetHighlights)
+                : this.highlightMatch(result.snippet, query);
             
             return `
-                <div class="search-result" data-page="${result.title}">
+                <div class="search-result" data-page="${this.escapeHtml(result.title)}">
                     <div class="search-result-title">${highlightedTitle}</div>
                     ${highlightedSnippet ? `<div class="search-result-snippet">${highlightedSnippet}</div>` : ''}
                 </div>
@@ -158,6 +172,9 @@ class WikiSearch {
         this.searchResults.innerHTML = html;
         this.showResults();
         this.bindResultEvents();
+        if (suggestions.length > 0) {
+            feather.replace();
+        }
     }
 
     /**
@@ -195,9 +212,17 @@ class WikiSearch {
     /**
      * Show no results state
      * @param {string} query - Search query
+     * @param {Array} [similar] - Titles close to the query ({ title, distance }), offered as "did you mean"
      */
-    showNoResults(query) {
+    showNoResults(query, similar = []) {
+        const didYouMean = similar.map(({ title }) => `
+            <div class="search-result" data-page="${this.escapeHtml(title)}">
+                <div class="search-result-title">혹시 <strong>${this.escapeHtml(title)}</strong>?</div>
+            </div>
+        `).join('');
+
         this.searchResults.innerHTML = `
+            ${didYouMean}
             <div class="search-result">
                 <div class="search-result-title" style="color: var(--text-muted);">
                     No pages found for "${this.escapeHtml(query)}"
@@ -205,9 +230,13 @@ class WikiSearch {
                 <div class="search-result-snippet">
                     Try a different search term or create a new page.
                 </div>
+                <div class="search-result-snippet search-syntax-hint">
+                    title:회의 · tag:프로젝트 · category:문서 · ns:파일 · "정확한 문구" · -제외 · A OR B · modified:&gt;2025-08-01
+                </div>
             </div>
         `;
         this.showResults();
+        this.bindResultEvents();
     }
 
     /**
@@ -234,6 +263,19 @@ class WikiSearch {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyNavigation(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const selected = this.isResultsVisible()
+                ? this.searchResults.querySelector('.search-result.selected[data-page]')
+                : null;
+            if (selected) {
+                this.selectResult(selected.dataset.page);
+            } else {
+                this.openResultsPage(this.searchInput.value.trim());
+            }
+            return;
+        }
+
         if (!this.isResultsVisible()) return;
 
         const results = this.searchResults.querySelectorAll('.search-result[data-page]');
@@ -259,18 +301,6 @@ class WikiSearch {
                 this.selectResultByIndex(results, selectedIndex);
                 break;
                 
-            case 'Enter':
-                e.preventDefault();
-                if (selectedIndex >= 0 && results[selectedIndex]) {
-                    const pageName = results[selectedIndex].dataset.page;
-                    this.selectResult(pageName);
-                } else if (results.length > 0) {
-                    // Select first result if none selected
-                    const pageName = results[0].dataset.page;
-                    this.selectResult(pageName);
-                }
-                break;
-                
             case 'Escape':
                 this.hideResults();
                 this.searchInput.blur();
@@ -320,6 +350,20 @@ class WikiSearch {
         }
     }
 
+    /**
+     * Open the full results page for a query
+     * @param {string} query - Search query
+     */
+    openResultsPage(query) {
+        if (!query) return;
+        this.hideResults();
+        this.searchInput.blur();
+
+        if (window.app && typeof window.app.showSearchPage === 'function') {
+            window.app.showSearchPage(query);
+        }
+    }
+
     /**
      * Show search results
      */
@@ -354,18 +398,42 @@ class WikiSearch {
     /**
      * Highlight search matches in text
      * @param {string} text - Text to highlight
-     * @param {string} query - Search query
+     * @param {string} query - Search query (each term is highlighted)
      * @returns {string} Text with highlighted matches
      */
     highlightMatch(text, query) {
         if (!text || !query) return this.escapeHtml(text);
         
-        const escapedQuery = this.escapeRegex(query);
-        const regex = new RegExp(`(${escapedQuery})`, 'gi');
+        // Only positive words and phrases of the query syntax are highlighted;
+        // longer terms first so "위키 위" marks "위키" rather than just "위"
+        const terms = window.WikiTextSearch.queryHighlightTerms(query, { includeTitle: true })
+            .sort((a, b) => b.length - a.length)
+            .map(term => this.escapeRegex(this.escapeHtml(term)));
+        if (terms.length === 0) return this.escapeHtml(text);
         
+        const regex = new RegExp(`(${terms.join('|')})`, 'gi');
         return this.escapeHtml(text).replace(regex, '<mark>$1</mark>');
     }
 
+    /**
+     * Wrap ranges of text in <mark>
+     * @param {string} text - Text to highlight
+     * @param {Array<{start: number, length: number}>} ranges - Sorted, non-overlapping offsets into text
+     * @returns {string} Escaped HTML with highlighted ranges
+     */
+    highlightRanges(text, ranges) {
+        if (!text) return '';
+
+        let html = '';
+        let position = 0;
+        for (const { start, length } of ranges) {
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<mark>${this.escapeHtml(text.slice(start, start + length))}</mark>`;
+            position = start + length;
+        }
+        return html + this.escapeHtml(text.slice(position));
+    }
+
     /**
      * Escape HTML characters
      * @param {string} text - Text to escape
@@ -373,9 +441,12 @@ class WikiSearch {
      */
     escapeHtml(text) {
         if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -388,50 +459,76 @@ class WikiSearch {
     }
 
     /**
-     * Get search suggestions based on page titles
+     * Whether a query uses search syntax (field filters, phrases, negation, OR)
+     * rather than plain words that can be matched against titles
+     * @param {string} query - Search query
+     * @returns {boolean} True if the query has syntax
+     */
+    hasQuerySyntax(query) {
+        return /[:"]|(^|\s)-|\bOR\b/.test(query);
+    }
+
+    /**
+     * Title suggestions shown above the results while typing in the header search.
+     * Matches 초성 ('ㅎㅇㅁㄹ' → '할일 목록') and a last syllable still being composed in the IME ('할이')
+     * Fills up with typo-tolerant matches (type 'fuzzy') when fewer titles match directly.
      * @param {string} query - Partial query
-     * @returns {Array} Array of suggestions
+     * @returns {Promise<Array>} Up to 5 suggestions, earliest match in the title first
      */
-    getSuggestions(query) {
-        if (!query) return [];
+    async getSuggestions(query) {
+        if (!query || this.hasQuerySyntax(query)) return [];
         
-        const pages = this.storage.getPageTitles();
-        const queryLower = query.toLowerCase();
+        const titles = await this.storage.getAllPageTitles();
+        const term = query.trim().toLowerCase();
         
-        return pages
-            .filter(title => title.toLowerCase().includes(queryLower))
-            .slice(0, 5) // Limit to 5 suggestions
+        const suggestions = titles
             .map(title => ({
                 title,
-                type: 'page'
-            }));
+                highlights: window.WikiTextSearch.findHighlights(title, [term], { initials: true })
+            }))
+            .filter(suggestion => suggestion.highlights.length > 0)
+            .sort((a, b) => a.highlights[0].start - b.highlights[0].start || a.title.localeCompare(b.title))
+            .slice(0, 5) // Limit to 5 suggestions
+            .map(suggestion => ({ ...suggestion, type: 'page' }));
+        
+        if (suggestions.length < 5) {
+            const found = new Set(suggestions.map(suggestion => suggestion.title));
+            window.WikiFuzzy.findSimilarTitles(titles, query.trim())
+                .filter(({ title }) => !found.has(title))
+                .slice(0, 5 - suggestions.length)
+                .forEach(({ title }) => suggestions.push({ title, highlights: [], type: 'fuzzy' }));
+        }
+        return suggestions;
     }
 
     /**
-     * Advanced search with filters
-     * @param {string} query - Search query
-     * @param {Object} options - Search options
-     * @returns {Array} Filtered results
+     * Existing titles within a few typos of the query, for "did you mean ...?"
+     * @param {string} query - Search query (field filters and the like are not corrected)
+     * @returns {Promise<Array>} [{ title, distance }], closest first
      */
-    advancedSearch(query, options = {}) {
-        const results = this.storage.searchPages(query);
+    async getSimilarTitles(query) {
+        if (this.hasQuerySyntax(query)) return [];
         
-        if (options.sortBy === 'modified') {
-            return results.sort((a, b) => {
-                const pageA = this.storage.getPage(a.title);
-                const pageB = this.storage.getPage(b.title);
-                return (pageB?.modified || 0) - (pageA?.modified || 0);
-            });
-        }
-        
-        if (options.sortBy === 'created') {
-            return results.sort((a, b) => {
-                const pageA = this.storage.getPage(a.title);
-                const pageB = this.storage.getPage(b.title);
-                return (pageB?.created || 0) - (pageA?.created || 0);
-            });
+        try {
+            return window.WikiFuzzy.findSimilarTitles(await this.storage.getAllPageTitles(), query.trim());
+        } catch (error) {
+            console.error('Error finding similar titles:', error);
+            return [];
         }
-        
+    }
+
+    /**
+     * Advanced search with filters
+     * @param {string} query - Search query
+     * @param {Object} options - { sortBy: 'relevance' | 'modified' | 'created', page, pageSize }
+     * @returns {Promise<Array>} Sorted results (each has lastModified and createdAt)
+     */
+    async advancedSearch(query, options = {}) {
+        const { results } = await this.storage.searchResultsPage(query, {
+            sort: options.sortBy || 'relevance',
+            page: options.page,
+            pageSize: options.pageSize
+        });
         return results;
     }
 }
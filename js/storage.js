@@ -12,11 +12,18 @@ class WikiStorage {
         this.apiBaseUrl = '/pages';
         this.imagesApiUrl = '/api/images';
         this.commentsApiUrl = '/pages';
+        this.trashApiUrl = '/api/trash';
+        this.maintenanceApiUrl = '/api/maintenance';
+        this.searchApiUrl = '/api/search';
+        this.authApiUrl = '/api/auth';
+        this.protectionsApiUrl = '/api/protections';
         
         // GitHub Pages 환경에서는 localStorage 키 설정
         this.pagesKey = 'wiki-pages';
         this.commentsKey = 'wiki-comments';
         this.imagesKey = 'wiki-images';
+        this.revisionsKey = 'wiki-revisions';
+        this.trashKey = 'wiki-trash';
         
         console.log('Storage mode:', this.isGitHubPages ? 'localStorage (GitHub Pages)' : 'Server API');
         console.log('API URLs set:', {
@@ -69,6 +76,94 @@ class WikiStorage {
         }
     }
 
+    getLocalRevisions() {
+        try {
+            const revisions = localStorage.getItem(this.revisionsKey);
+            return revisions ? JSON.parse(revisions) : {};
+        } catch (error) {
+            console.error('Error reading revisions from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Next numeric id for a local list (Date.now() ids collided when several items were added in one millisecond)
+     * @param {Array} items - Existing items with numeric ids
+     * @returns {number} One above the largest id
+     */
+    nextLocalId(items) {
+        return items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+    }
+
+    getLocalTrash() {
+        try {
+            const trash = localStorage.getItem(this.trashKey);
+            return trash ? JSON.parse(trash) : [];
+        } catch (error) {
+            console.error('Error reading trash from localStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a page to localStorage and append an immutable revision
+     */
+    saveLocalPage(title, content, metadata, options = {}) {
+        const pages = this.getLocalPages();
+        const allRevisions = this.getLocalRevisions();
+        const now = new Date().toISOString();
+        const existing = pages[title];
+        const previousContent = existing ? (existing.content ?? existing) : '';
+        const pageRevisions = allRevisions[title] || [];
+        
+        // 리비전 기록 이전에 저장된 페이지는 기존 내용을 r1로 보존
+        if (existing && pageRevisions.length === 0) {
+            pageRevisions.push({
+                rev: 1,
+                content: previousContent,
+                author: existing.metadata?.lastModifiedBy || '익명',
+                summary: '이전 내용',
+                size: previousContent.length,
+                sizeDelta: previousContent.length,
+                createdAt: existing.lastModified || now
+            });
+        }
+        
+        const revision = {
+            rev: pageRevisions.length + 1,
+            content,
+            author: options.author || '익명',
+            summary: options.summary || '',
+            size: content.length,
+            sizeDelta: content.length - previousContent.length,
+            createdAt: now
+        };
+        pageRevisions.push(revision);
+        allRevisions[title] = pageRevisions;
+        
+        pages[title] = {
+            content,
+            metadata,
+            lastModified: now,
+            createdAt: existing?.createdAt || now
+        };
+        
+        localStorage.setItem(this.pagesKey, JSON.stringify(pages));
+        localStorage.setItem(this.revisionsKey, JSON.stringify(allRevisions));
+        this.addToRecent(title);
+        
+        return {
+            status: 'saved',
+            page: {
+                title,
+                content,
+                metadata,
+                lastModified: now,
+                revision: revision.rev
+            }
+        };
+    }
+
     /**
      * Initialize storage - create default page if needed
      */
@@ -240,11 +335,14 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
                 if (!page) return null;
                 
                 const comments = this.getLocalComments().filter(c => c.pageTitle === title);
+                const pageRevisions = this.getLocalRevisions()[title] || [];
                 return {
                     title,
                     content: page.content || page,
                     lastModified: page.lastModified || new Date().toISOString(),
+                    createdAt: page.createdAt || page.lastModified,
                     metadata: page.metadata || {},
+                    revision: pageRevisions.length,
                     comments: comments
                 };
             } else {
@@ -306,40 +404,43 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
 
     /**
      * Save a page to server
+     * @param {Object} options - Revision info ({ summary, author }) and the version editing started
+     *     from ({ baseRevision } or { baseLastModified }); 0 / null means the page is expected to be new
+     * @returns {Promise<Object>} { status: 'saved', page, merged? } or { status: 'conflict', current, merge? }
+     *     for stale saves; non-overlapping concurrent edits are merged automatically
      */
-    async savePage(title, content, metadata = {}) {
+    async savePage(title, content, metadata = {}, options = {}) {
         try {
             console.log('Saving page:', title);
             
             if (this.isGitHubPages) {
-                // GitHub Pages: localStorage 사용
-                const pages = this.getLocalPages();
-                const now = new Date().toISOString();
-                
-                pages[title] = {
-                    content,
-                    metadata,
-                    lastModified: now,
-                    createdAt: pages[title]?.createdAt || now
-                };
-                
-                localStorage.setItem(this.pagesKey, JSON.stringify(pages));
-                this.addToRecent(title);
+                // GitHub Pages: localStorage 사용 (다른 탭에서 먼저 저장했을 수 있음)
+                const current = this.getLocalPageVersion(title);
+                const stale = this.isStaleSave(current, options);
+                if (stale) {
+                    const merged = this.mergeLocalEdit(title, content, metadata, options, current);
+                    if (merged.status === 'conflict') {
+                        return merged;
+                    }
+                    content = merged.content;
+                    metadata = merged.metadata;
+                    options = merged.options;
+                }
                 
+                const result = this.saveLocalPage(title, content, metadata, options);
                 console.log('Page saved to localStorage:', title);
-                return {
-                    status: 'saved',
-                    page: {
-                        title,
-                        content,
-                        metadata,
-                        lastModified: now
-                    }
-                };
+                return stale ? { ...result, merged: true } : result;
             } else {
                 // Replit: 서버 API 사용
                 const url = `${this.apiBaseUrl}/${encodeURIComponent(title)}`;
-                const requestBody = { content, metadata };
+                // 편집자는 서버가 로그인 세션으로 기록함
+                const requestBody = {
+                    content,
+                    metadata,
+                    summary: options.summary,
+                    baseRevision: options.baseRevision,
+                    baseLastModified: options.baseLastModified
+                };
                 
                 console.log('Save URL:', url);
                 console.log('Request body:', requestBody);
@@ -355,6 +456,14 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
 
                 console.log('Save response status:', response.status);
                 console.log('Save response ok:', response.ok);
+                
+                // 편집 충돌: 로컬로 fallback하지 않고 서버의 현재 버전을 돌려줌
+                if (response.status === 409) {
+                    const { current, merge } = await response.json();
+                    return { status: 'conflict', current, merge };
+                }
+                const accessError = await this.editAccessError(response);
+                if (accessError) throw accessError;
 
                 if (!response.ok) {
                     const errorText = await response.text();
@@ -365,11 +474,8 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
                 const result = await response.json();
                 console.log('Save result:', result);
                 
-                // Update cache
-                this.pageCache.set(title, {
-                    data: result.page,
-                    timestamp: Date.now()
-                });
+                // 저장 후에는 캐시를 비워 다음 조회 때 리비전 번호까지 새로 받음
+                this.pageCache.delete(title);
                 
                 // Update recent pages
                 this.addToRecent(title);
@@ -378,31 +484,13 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
             }
         } catch (error) {
             console.error('Error saving page:', error);
+            // 로그인이 필요하거나 보호된 문서, 스팸으로 거부된 편집이면 로컬에 저장하지 않음
+            if (error.status) throw error;
             // 실패 시 localStorage로 fallback
             try {
-                const pages = this.getLocalPages();
-                const now = new Date().toISOString();
-                
-                pages[title] = {
-                    content,
-                    metadata,
-                    lastModified: now,
-                    createdAt: pages[title]?.createdAt || now
-                };
-                
-                localStorage.setItem(this.pagesKey, JSON.stringify(pages));
-                this.addToRecent(title);
-                
+                const result = this.saveLocalPage(title, content, metadata, options);
                 console.log('Page saved to localStorage (fallback):', title);
-                return {
-                    status: 'saved',
-                    page: {
-                        title,
-                        content,
-                        metadata,
-                        lastModified: now
-                    }
-                };
+                return result;
             } catch (fallbackError) {
                 console.error('Fallback save also failed:', fallbackError);
                 throw error;
@@ -411,44 +499,104 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
     }
 
     /**
-     * Delete a page (implementation for future use)
+     * Current version of a locally stored page (null if missing)
      */
-    async deletePage(title) {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(title)}`, {
-                method: 'DELETE'
-            });
+    getLocalPageVersion(title) {
+        const page = this.getLocalPages()[title];
+        if (!page) return null;
+        
+        const pageRevisions = this.getLocalRevisions()[title] || [];
+        const latest = pageRevisions[pageRevisions.length - 1];
+        return {
+            title,
+            content: page.content ?? page,
+            lastModified: page.lastModified,
+            revision: pageRevisions.length,
+            author: latest ? latest.author : page.metadata?.lastModifiedBy
+        };
+    }
 
+    /**
+     * Three-way merge of a stale local save with the current version.
+     * Returns the merged save arguments, or { status: 'conflict', current, merge? }
+     */
+    mergeLocalEdit(title, content, metadata, options, current) {
+        const pageRevisions = this.getLocalRevisions()[title] || [];
+        const base = current && options.baseRevision
+            ? pageRevisions.find(revision => revision.rev === options.baseRevision)
+            : null;
+        if (!base) {
+            return { status: 'conflict', current };
+        }
+        
+        const merge = window.WikiDiff.merge3(base.content, content, current.content, {
+            mineLabel: '내 편집',
+            theirsLabel: `현재 버전 (r${current.revision})`
+        });
+        if (merge.conflicts > 0) {
+            return { status: 'conflict', current, merge };
+        }
+        
+        // 태그/분류는 병합된 내용 기준으로 다시 계산
+        const { tags, categories, redirect, ...rest } = metadata;
+        return {
+            status: 'merged',
+            content: merge.content,
+            metadata: { ...rest, ...window.WikiSyntax.extractMetadata(merge.content) },
+            options: { ...options, summary: options.summary ? `${options.summary} (자동 병합)` : '자동 병합' }
+        };
+    }
+
+    /**
+     * Whether the page changed since the version editing started from
+     */
+    isStaleSave(current, { baseRevision, baseLastModified }) {
+        if (baseRevision !== undefined && baseRevision !== null) {
+            return (current ? current.revision : 0) !== baseRevision;
+        }
+        if (baseLastModified !== undefined) {
+            if (!current) return false;
+            if (baseLastModified === null) return true;
+            return new Date(current.lastModified).getTime() !== new Date(baseLastModified).getTime();
+        }
+        return false;
+    }
+
+    /**
+     * Signed token for the comment form; the server measures the writing time from when it was issued
+     * @returns {Promise<string|null>} Token, or null when it could not be fetched
+     */
+    async getCommentToken() {
+        if (this.isGitHubPages) return null;
+
+        try {
+            const response = await fetch('/api/comment-token', { cache: 'no-store' });
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-
-            // Remove from cache
-            this.pageCache.delete(title);
-            
-            return await response.json();
+            return (await response.json()).token;
         } catch (error) {
-            console.error('Error deleting page:', error);
-            throw error;
+            console.error('Error fetching comment token:', error);
+            return null;
         }
     }
 
     /**
-     * Add comment to a page
+     * Add comment to a page (the server records the logged-in user, or an IP hash, as author)
+     * @param {Object} formCheck - { website, token } from the comment form's bot traps
      */
-    async addComment(pageTitle, author, content) {
+    async addComment(pageTitle, content, formCheck = {}) {
         try {
             const response = await fetch(`${this.commentsApiUrl}/${encodeURIComponent(pageTitle)}/comments`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({
-                    author,
-                    content
-                })
+                body: JSON.stringify({ content, ...formCheck })
             });
 
+            const accessError = await this.editAccessError(response);
+            if (accessError) throw accessError;
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -461,7 +609,7 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
     }
 
     /**
-     * Update a comment
+     * Update a comment (its author or a moderator); the old text is kept in the comment's history
      */
     async updateComment(commentId, content) {
         try {
@@ -473,6 +621,8 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
                 body: JSON.stringify({ content })
             });
 
+            const accessError = await this.editAccessError(response);
+            if (accessError) throw accessError;
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -485,7 +635,7 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
     }
 
     /**
-     * Delete a comment
+     * Delete a comment (its author or a moderator)
      */
     async deleteComment(commentId) {
         try {
@@ -493,6 +643,8 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
                 method: 'DELETE'
             });
 
+            const accessError = await this.editAccessError(response);
+            if (accessError) throw accessError;
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -504,6 +656,27 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
         }
     }
 
+    /**
+     * Hide a comment behind a collapsed notice, or show it again (moderators only)
+     */
+    async setCommentHidden(commentId, hidden) {
+        const response = await fetch(`/comments/${commentId}/hide`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ hidden })
+        });
+
+        const accessError = await this.editAccessError(response);
+        if (accessError) throw accessError;
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    }
+
     /**
      * Upload image to server
      */
@@ -515,7 +688,7 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
                 // GitHub Pages: localStorage 사용
                 const images = this.getLocalImages();
                 const newImage = {
-                    id: Date.now(),
+                    id: this.nextLocalId(images),
                     name,
                     data,
                     size,
@@ -549,6 +722,8 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
 
                 console.log('Response status:', response.status, 'ok:', response.ok);
 
+                const accessError = await this.editAccessError(response);
+                if (accessError) throw accessError;
                 if (!response.ok) {
                     const errorText = await response.text();
                     console.error('Server error response:', errorText);
@@ -561,12 +736,13 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
             }
         } catch (error) {
             console.error('Error uploading image:', error);
+            if (error.status) throw error;
             // 실패 시 localStorage로 fallback
             try {
                 console.log('Attempting fallback to localStorage...');
                 const images = this.getLocalImages();
                 const newImage = {
-                    id: Date.now(),
+                    id: this.nextLocalId(images),
                     name,
                     data,
                     size,
@@ -627,9 +803,15 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
                 const images = this.getLocalImages();
                 return images.find(img => img.name === name);
             } else {
-                // Replit: 서버 API 사용
-                const allImages = await this.getAllImages();
-                return allImages.find(img => img.name === name);
+                // Replit: 서버 API 사용 (메타데이터만)
+                const response = await fetch(`${this.imagesApiUrl}/${encodeURIComponent(name)}`);
+                if (response.status === 404) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return await response.json();
             }
         } catch (error) {
             console.error('Error getting image:', error);
@@ -645,14 +827,76 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
     }
 
     /**
-     * Delete image from server
+     * URL to use as <img src> for an image
+     * @param {Object} image - Image from getAllImages()/getImage()
+     * @param {number} [width] - Ask the server for a variant at least this wide
+     * @returns {string} Raw image URL on the server, data URL in localStorage mode
+     */
+    getImageUrl(image, width) {
+        if (!image.url) return image.data;
+        return width ? `${image.url}?w=${width}` : image.url;
+    }
+
+    /**
+     * Pages that embed an image with ![name] or ![name|caption]
+     * @param {string} name - Image name
+     * @returns {Promise<string[]>} Page titles, without the image's own 파일: page
      */
-    async deleteImage(name) {
+    async getImageUsages(name) {
+        if (this.isGitHubPages) {
+            const filePage = window.WikiSyntax.imageFilePageTitle(name);
+            return Object.entries(this.getLocalPages())
+                .filter(([title, page]) => title !== filePage &&
+                    window.WikiSyntax.extractImageNames(page.content || page).includes(name))
+                .map(([title]) => title)
+                .sort((a, b) => a.localeCompare(b));
+        }
+
+        const response = await fetch(`${this.imagesApiUrl}/${encodeURIComponent(name)}/usages`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return (await response.json()).pages;
+    }
+
+    /**
+     * Delete image
+     * @param {string} name - Image name
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Delete even if pages still embed it
+     * @returns {Promise<Object>} { status: 'deleted' } or { status: 'in-use', pages }
+     */
+    async deleteImage(name, { force = false } = {}) {
         try {
-            const response = await fetch(`${this.imagesApiUrl}/${encodeURIComponent(name)}`, {
+            if (this.isGitHubPages) {
+                // GitHub Pages: localStorage 사용
+                const images = this.getLocalImages();
+                const index = images.findIndex(img => img.name === name);
+                if (index === -1) {
+                    throw new Error('Image not found');
+                }
+                if (!force) {
+                    const pages = await this.getImageUsages(name);
+                    if (pages.length > 0) {
+                        return { status: 'in-use', pages };
+                    }
+                }
+                images.splice(index, 1);
+                localStorage.setItem(this.imagesKey, JSON.stringify(images));
+                return { status: 'deleted' };
+            }
+
+            const query = force ? '?force=true' : '';
+            const response = await fetch(`${this.imagesApiUrl}/${encodeURIComponent(name)}${query}`, {
                 method: 'DELETE'
             });
 
+            if (response.status === 409) {
+                const { pages } = await response.json();
+                return { status: 'in-use', pages };
+            }
+            const accessError = await this.editAccessError(response);
+            if (accessError) throw accessError;
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -664,6 +908,324 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
         }
     }
 
+    /**
+     * Local pages as [{ title, content, metadata, lastModified, createdAt }] (old entries may be plain strings)
+     */
+    getLocalPageList() {
+        return Object.entries(this.getLocalPages()).map(([title, page]) => ({
+            title,
+            content: page.content ?? page,
+            metadata: page.metadata || {},
+            lastModified: page.lastModified,
+            createdAt: page.createdAt || page.lastModified
+        }));
+    }
+
+    /**
+     * Ranked search over titles, content, tags and categories
+     * @param {string} query - Search terms (all must match); supports title:, tag:, category:,
+     *   ns:, modified:/created: (e.g. modified:>2025-08-01), "phrases", -exclusions and OR
+     * @param {Object} [options] - { limit }
+     * @returns {Promise<Array>} [{ title, snippet, score, matchedIn }], title matches first
+     */
+    async searchPages(query, options = {}) {
+        if (this.isGitHubPages) {
+            return window.WikiTextSearch.searchPages(this.getLocalPageList(), query, options);
+        }
+
+        const params = new URLSearchParams({ q: query });
+        if (options.limit) params.set('limit', options.limit);
+
+        const response = await fetch(`${this.searchApiUrl}?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return (await response.json()).results;
+    }
+
+    /**
+     * One page of search results for the results page
+     * @param {string} query - Search query (see searchPages)
+     * @param {Object} [options] - { sort: 'relevance' | 'modified' | 'created', page (1-based), pageSize }
+     * @returns {Promise<Object>} { results, total, page, pageCount, facets: { categories, tags } },
+     *   facets being [{ name, count }] over all matching pages
+     */
+    async searchResultsPage(query, options = {}) {
+        if (this.isGitHubPages) {
+            return window.WikiTextSearch.searchResultsPage(this.getLocalPageList(), query, options);
+        }
+
+        const params = new URLSearchParams({ q: query });
+        if (options.sort) params.set('sort', options.sort);
+        if (options.page) params.set('page', options.page);
+        if (options.pageSize) params.set('limit', options.pageSize);
+
+        const response = await fetch(`${this.searchApiUrl}?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Who is logged in. The GitHub Pages build has no accounts (accountsAvailable: false).
+     * @returns {Promise<Object>} { user: { username, role } | null, author (name edits are recorded under),
+     *   allowAnonymousEdits, accountsAvailable }
+     */
+    async getCurrentUser() {
+        if (this.isGitHubPages) {
+            return { user: null, author: '익명', allowAnonymousEdits: true, accountsAvailable: false };
+        }
+
+        const response = await fetch(`${this.authApiUrl}/me`, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return { ...await response.json(), accountsAvailable: true };
+    }
+
+    /**
+     * Log in; the session cookie is set by the server
+     * @returns {Promise<Object>} { user: { username } }
+     * @throws {Error} With the server's message when the name or password is wrong
+     */
+    async login(username, password) {
+        return this.postAuth('login', { username, password });
+    }
+
+    /**
+     * Create an account and log in
+     * @returns {Promise<Object>} { user: { username } }
+     * @throws {Error} With the server's message (name taken, password too short, ...)
+     */
+    async register(username, password) {
+        return this.postAuth('register', { username, password });
+    }
+
+    async logout() {
+        return this.postAuth('logout', {});
+    }
+
+    async postAuth(action, body) {
+        const response = await fetch(`${this.authApiUrl}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 429) {
+            throw new Error(this.rateLimitMessage(result));
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Message for a 429: the limiter's own text (edits, comments, uploads, logins) and when to retry
+     * @param {Object} body - { message, retryAfter } from the server
+     */
+    rateLimitMessage({ message, retryAfter }) {
+        const minutes = Math.max(1, Math.ceil((retryAfter || 60) / 60));
+        return `${message || '요청이 너무 잦습니다.'} ${minutes}분 뒤에 다시 시도해 주세요.`;
+    }
+
+    /**
+     * Error for a 401 from an editing route (anonymous editing is turned off on the server)
+     */
+    loginRequiredError() {
+        const error = new Error('로그인해야 편집할 수 있습니다.');
+        error.status = 401;
+        return error;
+    }
+
+    /**
+     * Error for a 401 (login required), 403 (protected page, someone else's comment),
+     * 415 (not a PNG/JPEG/GIF/WebP image), 422 (blocked word or link, comment form bot check)
+     * or 429 (too many edits) from an editing route, otherwise null
+     */
+    async editAccessError(response) {
+        if (response.status === 401) return this.loginRequiredError();
+        if (![403, 415, 422, 429].includes(response.status)) return null;
+
+        const body = await response.json().catch(() => ({}));
+        const { error: code, level, term, reason } = body;
+        let message;
+        if (response.status === 415) {
+            message = 'PNG, JPEG, GIF, WebP 이미지만 올릴 수 있습니다.';
+        } else if (response.status === 429) {
+            message = this.rateLimitMessage(body);
+        } else if (term) {
+            message = `차단된 단어나 링크("${term}")가 들어 있어 저장할 수 없습니다.`;
+        } else if (reason === 'too-fast') {
+            message = '댓글을 너무 빨리 보냈습니다. 잠시 후 다시 시도해 주세요.';
+        } else if (reason === 'invalid-token') {
+            message = '댓글 폼이 만료되었습니다. 잠시 후 다시 보내 주세요.';
+        } else if (response.status === 422) {
+            message = '스팸으로 의심되어 거부되었습니다.';
+        } else if (code === 'Moderators only') {
+            message = '운영자나 관리자만 할 수 있는 작업입니다.';
+        } else {
+            const messages = {
+                admin: '관리자만 편집할 수 있는 보호된 문서입니다.',
+                user: '보호된 문서라 편집할 수 없습니다.'
+            };
+            message = messages[level] || '이 작업을 할 권한이 없습니다.';
+        }
+        const error = new Error(message);
+        error.status = response.status;
+        error.reason = reason;
+        return error;
+    }
+
+    /**
+     * Stored protection levels; defaults from shared/protection.js apply on top.
+     * The GitHub Pages build has no accounts, so nothing is protected there.
+     * @returns {Promise<Object>} { pages: { title: level }, namespaces: { namespace: level } }
+     */
+    async getProtections() {
+        if (this.isGitHubPages) {
+            return { pages: {}, namespaces: {} };
+        }
+
+        const response = await fetch(this.protectionsApiUrl, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Change a protection level (admins only)
+     * @param {string} kind - 'page' or 'namespace'
+     * @param {string|null} level - 'anyone', 'user', 'admin', or null to go back to the default
+     * @returns {Promise<Object>} { status, protections }
+     */
+    async setProtection(kind, name, level) {
+        const response = await fetch(this.protectionsApiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ kind, name, level })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Image maintenance report
+     * @returns {Promise<Object>} { unused: images no page embeds (with filePage),
+     *   broken: [{ name, pages }] for embedded names that have no image }
+     */
+    async getImageReport() {
+        if (this.isGitHubPages) {
+            return window.WikiImageReport.buildImageReport(this.getLocalPageList(), this.getLocalImages());
+        }
+
+        const response = await fetch(`${this.maintenanceApiUrl}/images`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Delete unused images together with their 파일: pages
+     * Images that some page embeds by now are skipped.
+     * @param {string[]} names - Image names
+     * @param {Object} [options] - { deletedBy }
+     * @returns {Promise<Object>} { deleted, skipped, deletedPages }
+     */
+    async deleteUnusedImages(names, options = {}) {
+        if (this.isGitHubPages) {
+            const result = { deleted: [], skipped: [], deletedPages: [] };
+            for (const name of names) {
+                const status = await this.getImage(name)
+                    ? (await this.deleteImage(name)).status
+                    : 'not-found';
+                if (status !== 'deleted') {
+                    result.skipped.push(name);
+                    continue;
+                }
+                result.deleted.push(name);
+
+                const filePage = window.WikiSyntax.imageFilePageTitle(name);
+                if (await this.deletePage(filePage, { deletedBy: options.deletedBy, reason: '사용되지 않는 이미지 정리' })) {
+                    result.deletedPages.push(filePage);
+                }
+            }
+            return result;
+        }
+
+        const response = await fetch(`${this.maintenanceApiUrl}/images/delete`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ names })
+        });
+        const accessError = await this.editAccessError(response);
+        if (accessError) throw accessError;
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Fix references to images that do not exist
+     * @param {Array<{name: string, replacement?: string}>} fixes - Point ![name] at replacement, or remove it when empty
+     * @param {Object} [options] - { author }
+     * @returns {Promise<Object>} { updatedPages, skipped } (skipped: names that exist by now or whose replacement does not)
+     */
+    async fixBrokenImageRefs(fixes, options = {}) {
+        if (this.isGitHubPages) {
+            const imageNames = new Set(this.getLocalImages().map(image => image.name));
+            const skipped = [];
+            const validFixes = fixes.filter(({ name, replacement }) => {
+                const valid = name && !imageNames.has(name) && (!replacement || imageNames.has(replacement));
+                if (!valid) skipped.push(name);
+                return valid;
+            });
+
+            const updatedPages = [];
+            for (const page of this.getLocalPageList()) {
+                let content = page.content;
+                for (const { name, replacement } of validFixes) {
+                    content = window.WikiSyntax.rewriteImageRefs(content, name, replacement || null).content;
+                }
+                if (content === page.content) continue;
+
+                this.saveLocalPage(page.title, content, page.metadata, { author: options.author, summary: '깨진 이미지 정리' });
+                updatedPages.push(page.title);
+            }
+            return { updatedPages, skipped };
+        }
+
+        const response = await fetch(`${this.maintenanceApiUrl}/images/references`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ fixes })
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const result = await response.json();
+        result.updatedPages.forEach(title => this.pageCache.delete(title));
+        return result;
+    }
+
     // Local storage methods (for settings, recent pages, favorites, etc.)
     
     /**
@@ -733,9 +1295,10 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
     extractTags(content) {
         const tags = [];
         const tagRegex = /#([가-힣a-zA-Z0-9_\-\s]+?)(?=\s|$|#)/g;
+        const body = window.WikiSyntax.stripRedirect(content);
         let match;
         
-        while ((match = tagRegex.exec(content)) !== null) {
+        while ((match = tagRegex.exec(body)) !== null) {
             const tag = match[1].trim();
             if (tag && !tags.includes(tag)) {
                 tags.push(tag);
@@ -804,24 +1367,53 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
     }
 
     /**
-     * Delete a page
+     * Delete a page (moves it to the trash together with its comments and history)
+     * @param {Object} options - Deletion info ({ deletedBy, reason })
      */
-    async deletePage(title) {
+    async deletePage(title, options = {}) {
         try {
             if (this.isGitHubPages) {
-                // GitHub Pages: localStorage에서 삭제
+                // GitHub Pages: localStorage 휴지통으로 이동
                 const pages = this.getLocalPages();
-                if (pages[title]) {
-                    delete pages[title];
-                    localStorage.setItem(this.pagesKey, JSON.stringify(pages));
-                    return true;
-                }
-                return false;
+                const page = pages[title];
+                if (!page) return false;
+                
+                const comments = this.getLocalComments();
+                const allRevisions = this.getLocalRevisions();
+                const trash = this.getLocalTrash();
+                
+                trash.push({
+                    id: this.nextLocalId(trash),
+                    title,
+                    content: page.content ?? page,
+                    metadata: page.metadata || {},
+                    comments: comments.filter(c => c.pageTitle === title),
+                    revisions: allRevisions[title] || [],
+                    createdAt: page.createdAt || page.lastModified,
+                    lastModified: page.lastModified,
+                    deletedBy: options.deletedBy || '익명',
+                    reason: options.reason || '',
+                    deletedAt: new Date().toISOString()
+                });
+                delete pages[title];
+                delete allRevisions[title];
+                
+                localStorage.setItem(this.trashKey, JSON.stringify(trash));
+                localStorage.setItem(this.pagesKey, JSON.stringify(pages));
+                localStorage.setItem(this.commentsKey, JSON.stringify(comments.filter(c => c.pageTitle !== title)));
+                localStorage.setItem(this.revisionsKey, JSON.stringify(allRevisions));
+                return true;
             } else {
                 // Replit: 서버 API 사용
                 const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(title)}`, {
-                    method: 'DELETE'
+                    method: 'DELETE',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    credentials: 'same-origin',
+                    body: JSON.stringify(options)
                 });
+                this.pageCache.delete(title);
                 return response.ok;
             }
         } catch (error) {
@@ -831,16 +1423,325 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
     }
 
     /**
-     * Get page history (simplified)
+     * Move (rename) a page together with its comments and history
+     * @param {Object} options - { leaveRedirect, rewriteLinks, author }
+     * @returns {Promise<{status: string, rewrittenPages?: string[]}>} status is 'moved', 'exists' or 'not-found'
+     */
+    async movePage(oldTitle, newTitle, options = {}) {
+        if (this.isGitHubPages) {
+            // GitHub Pages: localStorage 사용
+            const pages = this.getLocalPages();
+            const page = pages[oldTitle];
+            if (!page) return { status: 'not-found' };
+            if (pages[newTitle]) return { status: 'exists' };
+            
+            const content = page.content ?? page;
+            const comments = this.getLocalComments();
+            const allRevisions = this.getLocalRevisions();
+            
+            pages[newTitle] = page;
+            delete pages[oldTitle];
+            allRevisions[newTitle] = allRevisions[oldTitle] || [];
+            delete allRevisions[oldTitle];
+            comments.forEach(comment => {
+                if (comment.pageTitle === oldTitle) {
+                    comment.pageTitle = newTitle;
+                }
+            });
+            localStorage.setItem(this.pagesKey, JSON.stringify(pages));
+            localStorage.setItem(this.commentsKey, JSON.stringify(comments));
+            localStorage.setItem(this.revisionsKey, JSON.stringify(allRevisions));
+            
+            const summary = `"${oldTitle}"에서 "${newTitle}"(으)로 문서 이동`;
+            this.saveLocalPage(newTitle, content, page.metadata || {}, { author: options.author, summary });
+            
+            if (options.leaveRedirect) {
+                this.saveLocalPage(oldTitle, window.WikiSyntax.createRedirect(newTitle), {
+                    lastModifiedBy: options.author || '익명'
+                }, { author: options.author, summary });
+            }
+            
+            const rewrittenPages = [];
+            if (options.rewriteLinks) {
+                Object.entries(this.getLocalPages()).forEach(([title, other]) => {
+                    if (title === newTitle || title === oldTitle) return;
+                    
+                    const rewritten = window.WikiSyntax.rewriteLinks(other.content ?? other, oldTitle, newTitle);
+                    if (rewritten.count === 0) return;
+                    
+                    this.saveLocalPage(title, rewritten.content, other.metadata || {}, {
+                        author: options.author,
+                        summary: '문서 이동에 따른 링크 수정'
+                    });
+                    rewrittenPages.push(title);
+                });
+            }
+            
+            this.renameLocalReferences(oldTitle, newTitle);
+            return { status: 'moved', rewrittenPages };
+        }
+        
+        // Replit: 서버 API 사용
+        const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(oldTitle)}/move`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ newTitle, ...options })
+        });
+        if (response.status === 404) return { status: 'not-found' };
+        if (response.status === 409) return { status: 'exists' };
+        const accessError = await this.editAccessError(response);
+        if (accessError) throw accessError;
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const result = await response.json();
+        this.renameLocalReferences(oldTitle, newTitle);
+        result.rewrittenPages.forEach(title => this.pageCache.delete(title));
+        return result;
+    }
+
+    /**
+     * Point favorites, recent pages and the cache at a page's new title
      */
-    getPageHistory(title) {
-        // 간단한 히스토리 구현
-        return [{
-            version: 1,
-            timestamp: new Date().toISOString(),
-            author: 'Anonymous',
-            summary: '페이지 생성'
-        }];
+    renameLocalReferences(oldTitle, newTitle) {
+        const rename = list => {
+            const renamed = list.map(title => title === oldTitle ? newTitle : title);
+            return renamed.filter((title, index) => renamed.indexOf(title) === index);
+        };
+        
+        localStorage.setItem(this.favoritesKey, JSON.stringify(rename(this.getFavorites())));
+        localStorage.setItem(this.recentKey, JSON.stringify(rename(this.getRecentPages())));
+        this.pageCache.delete(oldTitle);
+        this.pageCache.delete(newTitle);
+    }
+
+    /**
+     * Get trash entries (newest deletion first, without content)
+     */
+    async getTrash() {
+        try {
+            if (this.isGitHubPages) {
+                // GitHub Pages: localStorage 사용
+                return this.getLocalTrash()
+                    .map(({ content, comments, revisions, ...entry }) => ({
+                        ...entry,
+                        size: content.length,
+                        commentCount: comments.length,
+                        revisionCount: revisions.length
+                    }))
+                    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+            } else {
+                // Replit: 서버 API 사용
+                const response = await fetch(this.trashApiUrl);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return await response.json();
+            }
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Restore a page from the trash
+     * @returns {Promise<{status: string, title?: string}>} status is 'restored', 'exists' or 'not-found'
+     */
+    async restoreFromTrash(id) {
+        if (this.isGitHubPages) {
+            // GitHub Pages: localStorage 사용
+            const trash = this.getLocalTrash();
+            const entryIndex = trash.findIndex(t => t.id === id);
+            if (entryIndex === -1) return { status: 'not-found' };
+            
+            const entry = trash[entryIndex];
+            const pages = this.getLocalPages();
+            if (pages[entry.title]) return { status: 'exists', title: entry.title };
+            
+            const comments = this.getLocalComments();
+            const allRevisions = this.getLocalRevisions();
+            
+            pages[entry.title] = {
+                content: entry.content,
+                metadata: entry.metadata,
+                lastModified: entry.lastModified,
+                createdAt: entry.createdAt
+            };
+            allRevisions[entry.title] = entry.revisions;
+            comments.push(...entry.comments);
+            trash.splice(entryIndex, 1);
+            
+            localStorage.setItem(this.pagesKey, JSON.stringify(pages));
+            localStorage.setItem(this.commentsKey, JSON.stringify(comments));
+            localStorage.setItem(this.revisionsKey, JSON.stringify(allRevisions));
+            localStorage.setItem(this.trashKey, JSON.stringify(trash));
+            return { status: 'restored', title: entry.title };
+        }
+        
+        // Replit: 서버 API 사용
+        const response = await fetch(`${this.trashApiUrl}/${id}/restore`, {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+        if (response.status === 404) return { status: 'not-found' };
+        if (response.status === 409) return { status: 'exists' };
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Permanently delete a trash entry
+     */
+    async purgeFromTrash(id) {
+        if (this.isGitHubPages) {
+            // GitHub Pages: localStorage 사용
+            const trash = this.getLocalTrash();
+            const remaining = trash.filter(t => t.id !== id);
+            localStorage.setItem(this.trashKey, JSON.stringify(remaining));
+            return remaining.length !== trash.length;
+        }
+        
+        // Replit: 서버 API 사용
+        const response = await fetch(`${this.trashApiUrl}/${id}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        });
+        const accessError = await this.editAccessError(response);
+        if (accessError) throw accessError;
+        return response.ok;
+    }
+
+    /**
+     * Get revision history of a page (newest first, without content)
+     */
+    async getPageHistory(title) {
+        try {
+            if (this.isGitHubPages) {
+                // GitHub Pages: localStorage 사용
+                const pageRevisions = this.getLocalRevisions()[title] || [];
+                return pageRevisions.map(({ content, ...revision }) => revision).reverse();
+            } else {
+                // Replit: 서버 API 사용
+                const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(title)}/revisions`);
+                if (response.status === 404) {
+                    return [];
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return await response.json();
+            }
+        } catch (error) {
+            console.error('Error fetching page history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a single revision of a page, including its content
+     */
+    async getPageRevision(title, rev) {
+        try {
+            if (this.isGitHubPages) {
+                // GitHub Pages: localStorage 사용
+                const pageRevisions = this.getLocalRevisions()[title] || [];
+                const revision = pageRevisions.find(r => r.rev === rev);
+                return revision ? { title, ...revision } : null;
+            } else {
+                // Replit: 서버 API 사용
+                const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(title)}/revisions/${rev}`);
+                if (response.status === 404) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return await response.json();
+            }
+        } catch (error) {
+            console.error('Error fetching revision:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Diff two revisions of a page (from = 0 compares against an empty page)
+     */
+    async getPageDiff(title, from, to) {
+        try {
+            if (this.isGitHubPages) {
+                // GitHub Pages: 브라우저에서 직접 비교
+                const fromRevision = from === 0 ? null : await this.getPageRevision(title, from);
+                const toRevision = await this.getPageRevision(title, to);
+                if ((from !== 0 && !fromRevision) || !toRevision) return null;
+                
+                const toMeta = ({ rev, author, summary, size, createdAt }) => ({ rev, author, summary, size, createdAt });
+                return {
+                    title,
+                    from: fromRevision ? toMeta(fromRevision) : null,
+                    to: toMeta(toRevision),
+                    ...window.WikiDiff.diffText(fromRevision ? fromRevision.content : '', toRevision.content)
+                };
+            } else {
+                // Replit: 서버 API 사용
+                const params = new URLSearchParams({ from, to });
+                const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(title)}/diff?${params}`);
+                if (response.status === 404) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return await response.json();
+            }
+        } catch (error) {
+            console.error('Error fetching diff:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Revert a page to an older revision by saving its content as a new revision
+     */
+    async revertPage(title, rev, options = {}) {
+        const summary = options.summary || `r${rev}(으)로 되돌림`;
+        
+        if (this.isGitHubPages) {
+            // GitHub Pages: localStorage 사용
+            const revision = await this.getPageRevision(title, rev);
+            if (!revision) {
+                throw new Error(`Revision not found: r${rev}`);
+            }
+            const page = this.getLocalPages()[title];
+            return this.saveLocalPage(title, revision.content, page?.metadata || {}, { ...options, summary });
+        }
+        
+        // Replit: 서버 API 사용
+        const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(title)}/revisions/${rev}/revert`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ summary })
+        });
+        
+        const accessError = await this.editAccessError(response);
+        if (accessError) throw accessError;
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+        }
+        
+        this.pageCache.delete(title);
+        return await response.json();
     }
 
     /**
@@ -933,6 +1834,12 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
                 if (title === pageTitle) continue;
                 
                 const content = page.content || page;
+                // Redirects to the target page count as backlinks
+                if (window.WikiSyntax.parseRedirect(content) === pageTitle) {
+                    backlinks.push({ title, page, redirect: true });
+                    continue;
+                }
+                
                 // Check for links to the target page
                 const linkRegex = new RegExp(`\\[\\[${pageTitle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([|\\]]|\\|[^\\]]*\\])`, 'g');
                 if (linkRegex.test(content)) {
@@ -1290,11 +2197,17 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
             for (const [title, page] of Object.entries(allPages)) {
                 if (title === pageTitle) continue;
                 
-                // Check for links in content
+                // Redirects to the target page count as backlinks
                 const content = page.content || page;
+                if (window.WikiSyntax.parseRedirect(content) === pageTitle) {
+                    backlinks.push({ title, page, redirect: true });
+                    continue;
+                }
+                
+                // Check for links in content
                 const linkRegex = new RegExp(`\\[\\[${pageTitle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:\\|[^\\]]+)?\\]\\]`, 'g');
                 if (linkRegex.test(content)) {
-                    backlinks.push({ title });
+                    backlinks.push({ title, page });
                 }
             }
             
@@ -1313,6 +2226,12 @@ YouTube 동영상: [[htp://yt.VIDEO_ID]]
         const linkRegex = /\[\[([^\]|]+)(?:\|[^\]]+)?\]\]/g;
         let match;
         
+        // A redirect links to its target
+        const redirectTarget = window.WikiSyntax.parseRedirect(content);
+        if (redirectTarget) {
+            links.push(redirectTarget);
+        }
+        
         while ((match = linkRegex.exec(content)) !== null) {
             const link = match[1];
             if (!links.includes(link)) {
@@ -5,10 +5,16 @@ import cors from "cors";
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
-import { db, isDatabaseAvailable } from './server/db.js';
-import { pages, comments, images } from './shared/schema.js';
-import { eq, desc } from 'drizzle-orm';
-import { fileStorage } from './server/fileStorage.js';
+import { storage, searchIndex } from './server/storage.js';
+import { decodeImageData, detectImageType, ALLOWED_IMAGE_TYPES } from './server/imageData.js';
+import { canResizeImage, variantWidth, readImageSize, imageSrcset, getImageVariant, removeImageVariants } from './server/imageVariants.js';
+import { diffText, merge3 } from './shared/diff.js';
+import { rewriteLinks, createRedirect, extractMetadata, extractImageNames, rewriteImageRefs, imageFilePageTitle } from './shared/wikiSyntax.js';
+import { buildImageReport } from './shared/imageReport.js';
+import { DEFAULT_RESULT_LIMIT, SORT_OPTIONS } from './shared/search.js';
+import { createAuth, validateCredentials, allowAnonymousEdits } from './server/auth.js';
+import { rateLimits, findBlockedTerm, issueCommentToken, commentTrapReason } from './server/spam.js';
+import { PROTECTION_LEVELS, PROTECTABLE_NAMESPACES, DEFAULT_PROTECTIONS, protectionLevel, canEdit, canModerate, canManageComment } from './shared/protection.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,9 +23,27 @@ const app = express();
 const httpServer = createServer(app);
 const PORT = process.env.PORT || 5000;
 
+// 프록시 뒤에서 실행할 때만 TRUST_PROXY=1(프록시 홉 수)로 X-Forwarded-For를 믿음
+// 켜지 않으면 소켓 주소를 씀: 아무나 헤더를 꾸며 익명 이름을 바꾸거나 요청 제한을 피하지 못하게
+const trustProxyHops = parseInt(process.env.TRUST_PROXY, 10);
+if (trustProxyHops > 0) {
+  app.set('trust proxy', trustProxyHops);
+}
+
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
-app.use(express.static(__dirname));
+
+// 프런트엔드 파일만 정적으로 내보냄 (저장소 루트를 내보내면 data/의 계정과 세션 파일이 경로를 꾸며 읽힘)
+for (const dir of ['js', 'shared', 'styles']) {
+  app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+}
+for (const file of ['favicon.jpg', 'logo-icon.jpg']) {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
+
+// 세션 쿠키로 req.user와 기록에 남길 이름 req.author를 정함
+const auth = createAuth(storage);
+app.use(auth.authenticate);
 
 // WebSocket server for real-time updates
 const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
@@ -33,6 +57,94 @@ function broadcast(data) {
   });
 }
 
+// 이미지 JSON 응답에 원본 주소와 반응형 srcset 추가
+function withImageUrl(image) {
+  const url = `/api/images/${encodeURIComponent(image.name)}/raw`;
+  return { ...image, url, srcset: imageSrcset(url, image) };
+}
+
+// 이미지를 넣은 문서 제목 (그 이미지의 파일: 문서는 제외)
+async function findImageUsages(name) {
+  const filePage = imageFilePageTitle(name);
+  const allPages = await storage.getAllPages();
+  return allPages
+    .filter(page => page.title !== filePage && extractImageNames(page.content).includes(name))
+    .map(page => page.title)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// 이 사용자가 편집할 수 있는 제목인지 알려 주는 함수 (보호 수준은 한 번만 읽음)
+async function editableBy(user) {
+  const protections = await storage.getProtections();
+  return title => canEdit(user, protectionLevel(title, protections));
+}
+
+// 보호된 문서를 건드리는 요청이면 401(로그인 필요) 또는 403으로 응답하고 false
+async function checkEditAccess(req, res, titles) {
+  const protections = await storage.getProtections();
+  for (const title of titles) {
+    const level = protectionLevel(title, protections);
+    if (!canEdit(req.user, level)) {
+      res.status(req.user ? 403 : 401).json({ error: req.user ? "Protected page" : "Login required", title, level });
+      return false;
+    }
+  }
+  return true;
+}
+
+// 댓글을 고치거나 지울 수 있는지 확인 (작성자 본인이나 운영자만, 아니면 401/403으로 응답하고 false)
+// 댓글이 없으면 404로 응답하고 false, 있으면 그 문서의 보호 수준도 확인
+async function checkCommentAccess(req, res, comment) {
+  if (!comment) {
+    res.status(404).json({ error: "Comment not found" });
+    return false;
+  }
+  if (!canManageComment(req.user, comment)) {
+    res.status(req.user ? 403 : 401).json({ error: req.user ? "Not your comment" : "Login required" });
+    return false;
+  }
+  return checkEditAccess(req, res, [comment.pageTitle]);
+}
+
+// 차단 목록에 있는 단어나 링크를 새로 넣는 편집이면 422로 응답하고 false
+function checkBlocklist(res, text, previousText) {
+  const term = findBlockedTerm(text, previousText);
+  if (term) {
+    res.status(422).json({ error: "Blocked content", term });
+    return false;
+  }
+  return true;
+}
+
+// 현재 페이지 버전 (충돌 확인용, 페이지가 없으면 null)
+async function getPageVersion(title) {
+  const page = await storage.getPage(title);
+  if (!page) return null;
+  
+  const latest = page.revision ? await storage.getRevision(title, page.revision) : null;
+  return {
+    title: page.title,
+    content: page.content,
+    lastModified: page.lastModified,
+    revision: page.revision,
+    author: latest ? latest.author : page.metadata?.lastModifiedBy
+  };
+}
+
+// 편집을 시작한 버전 이후에 다른 저장이 있었는지 확인
+// baseRevision이 0 또는 baseLastModified가 null이면 새 문서 작성으로 간주
+function isStaleSave(current, { baseRevision, baseLastModified }) {
+  if (baseRevision !== undefined && baseRevision !== null) {
+    return (current ? current.revision : 0) !== baseRevision;
+  }
+  if (baseLastModified !== undefined) {
+    if (!current) return false;
+    if (baseLastModified === null) return true;
+    return new Date(current.lastModified).getTime() !== new Date(baseLastModified).getTime();
+  }
+  return false;
+}
+
 wss.on('connection', (ws) => {
   console.log('클라이언트 연결됨');
   
@@ -41,16 +153,63 @@ wss.on('connection', (ws) => {
   });
 });
 
+// 현재 로그인한 사용자와 익명 편집 허용 여부
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user, author: req.author, allowAnonymousEdits });
+});
+
+// 가입 (바로 로그인됨)
+app.post("/api/auth/register", rateLimits.logins, async (req, res) => {
+  try {
+    const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+    const { password } = req.body || {};
+    
+    const problem = validateCredentials(username, password);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    const user = await auth.register(req, res, username, password);
+    res.json({ status: "registered", user });
+  } catch (error) {
+    if (error.code === 'USER_EXISTS') {
+      return res.status(409).json({ error: "이미 있는 사용자 이름입니다" });
+    }
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: "Failed to register" });
+  }
+});
+
+app.post("/api/auth/login", rateLimits.logins, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    const user = await auth.login(req, res, typeof username === 'string' ? username.trim() : username, password);
+    if (!user) {
+      return res.status(401).json({ error: "사용자 이름 또는 비밀번호가 맞지 않습니다" });
+    }
+    
+    res.json({ status: "logged-in", user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await auth.logout(req, res);
+    res.json({ status: "logged-out" });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
 // 모든 페이지 목록 가져오기
 app.get("/pages", async (req, res) => {
   try {
-    if (isDatabaseAvailable && db) {
-      const result = await db.select({ title: pages.title }).from(pages);
-      res.json(result.map(p => p.title));
-    } else {
-      const titles = await fileStorage.getAllPageTitles();
-      res.json(titles);
-    }
+    res.json(await storage.getAllPageTitles());
   } catch (error) {
     console.error('Error fetching pages:', error);
     res.status(500).json({ error: "Failed to fetch pages" });
@@ -62,32 +221,12 @@ app.get("/pages/:title", async (req, res) => {
   try {
     const title = req.params.title;
     
-    if (isDatabaseAvailable && db) {
-      const [page] = await db.select().from(pages).where(eq(pages.title, title));
-      
-      if (!page) {
-        return res.status(404).json({ error: "Not found" });
-      }
-      
-      // 페이지의 댓글도 함께 가져오기
-      const pageComments = await db.select().from(comments)
-        .where(eq(comments.pageId, page.id))
-        .orderBy(desc(comments.createdAt));
-      
-      res.json({
-        title: page.title,
-        content: page.content,
-        lastModified: page.lastModified,
-        metadata: page.metadata,
-        comments: pageComments
-      });
-    } else {
-      const page = await fileStorage.getPage(title);
-      if (!page) {
-        return res.status(404).json({ error: "Not found" });
-      }
-      res.json(page);
+    // 페이지의 댓글도 함께 가져옴
+    const page = await storage.getPage(title);
+    if (!page) {
+      return res.status(404).json({ error: "Not found" });
     }
+    res.json(page);
   } catch (error) {
     console.error('Error fetching page:', error);
     res.status(500).json({ error: "Failed to fetch page" });
@@ -95,36 +234,59 @@ app.get("/pages/:title", async (req, res) => {
 });
 
 // 페이지 저장/업데이트
-app.post("/pages/:title", async (req, res) => {
+// 편집자는 요청 본문이 아니라 로그인한 사용자(없으면 IP 해시)로 기록
+app.post("/pages/:title", auth.requireEditor, rateLimits.saves, async (req, res) => {
   try {
     const title = req.params.title;
-    const { content, metadata = {} } = req.body;
+    const { content, summary, baseRevision, baseLastModified } = req.body;
+    const author = req.author;
+    if (!await checkEditAccess(req, res, [title])) return;
+    const previous = await storage.getPage(title);
+    if (!checkBlocklist(res, `${content || ''}\n${summary || ''}`, previous?.content)) return;
+    const metadata = { ...req.body.metadata, lastModifiedBy: author };
     
-    let result;
-    if (isDatabaseAvailable && db) {
-      // 기존 페이지 확인
-      const [existingPage] = await db.select().from(pages).where(eq(pages.title, title));
-      
-      if (existingPage) {
-        // 페이지 업데이트
-        [result] = await db.update(pages)
-          .set({ 
-            content, 
-            metadata,
-            lastModified: new Date()
-          })
-          .where(eq(pages.title, title))
-          .returning();
-      } else {
-        // 새 페이지 생성
-        [result] = await db.insert(pages)
-          .values({ title, content, metadata })
-          .returning();
+    // 편집 중 다른 사람이 먼저 저장했다면 덮어쓰지 않음
+    // 확인한 판을 expectedRevision으로 넘겨, 확인과 저장 사이에 끼어든 저장도 저장소가 막음
+    let expectedRevision;
+    if (baseRevision !== undefined || baseLastModified !== undefined) {
+      const current = await getPageVersion(title);
+      expectedRevision = current ? current.revision : 0;
+      if (isStaleSave(current, { baseRevision, baseLastModified })) {
+        // 편집을 시작한 판을 알면 서로 다른 부분을 고친 편집은 자동 병합
+        const base = current && baseRevision ? await storage.getRevision(title, baseRevision) : null;
+        if (!base) {
+          return res.status(409).json({ error: "Edit conflict", current });
+        }
+        
+        const merge = merge3(base.content, content, current.content, {
+          mineLabel: '내 편집',
+          theirsLabel: `현재 버전 (r${current.revision})`
+        });
+        if (merge.conflicts > 0) {
+          return res.status(409).json({ error: "Edit conflict", current, merge });
+        }
+        
+        // 태그/분류는 병합된 내용 기준으로 다시 계산
+        const { tags, categories, redirect, ...rest } = metadata;
+        const result = await storage.savePage(title, {
+          content: merge.content,
+          metadata: { ...rest, ...extractMetadata(merge.content) },
+          author,
+          summary: summary ? `${summary} (자동 병합)` : '자동 병합',
+          expectedRevision
+        });
+        
+        broadcast({
+          type: 'pageUpdated',
+          page: result
+        });
+        
+        return res.json({ status: "saved", page: result, merged: true });
       }
-    } else {
-      result = await fileStorage.savePage(title, { content, metadata });
     }
     
+    const result = await storage.savePage(title, { content, metadata, author, summary, expectedRevision });
+    
     // 실시간 업데이트 브로드캐스트
     broadcast({
       type: 'pageUpdated',
@@ -133,35 +295,264 @@ app.post("/pages/:title", async (req, res) => {
     
     res.json({ status: "saved", page: result });
   } catch (error) {
+    if (error.code === 'EDIT_CONFLICT') {
+      return res.status(409).json({ error: "Edit conflict", current: await getPageVersion(req.params.title) });
+    }
     console.error('Error saving page:', error);
     res.status(500).json({ error: "Failed to save page" });
   }
 });
 
-// 댓글 관련 API
-app.post("/pages/:title/comments", async (req, res) => {
+// 페이지 리비전 목록 (최신순, 내용 제외)
+app.get("/pages/:title/revisions", async (req, res) => {
+  try {
+    const title = req.params.title;
+    
+    const result = await storage.getRevisions(title);
+    if (!result) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ error: "Failed to fetch revisions" });
+  }
+});
+
+// 특정 리비전 가져오기
+app.get("/pages/:title/revisions/:rev", async (req, res) => {
+  try {
+    const title = req.params.title;
+    const rev = parseInt(req.params.rev);
+    
+    if (!Number.isInteger(rev) || rev < 1) {
+      return res.status(400).json({ error: "Invalid revision" });
+    }
+    
+    const revision = await storage.getRevision(title, rev);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    
+    res.json({
+      title,
+      rev: revision.rev,
+      content: revision.content,
+      author: revision.author,
+      summary: revision.summary,
+      size: revision.size,
+      sizeDelta: revision.sizeDelta,
+      createdAt: revision.createdAt
+    });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: "Failed to fetch revision" });
+  }
+});
+
+// 두 리비전 비교 (from 기본값: to의 이전 판, to 기본값: 최신 판)
+app.get("/pages/:title/diff", async (req, res) => {
+  try {
+    const title = req.params.title;
+    
+    const page = await storage.getPage(title);
+    if (!page) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+    
+    const to = req.query.to ? parseInt(req.query.to) : page.revision;
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+    
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < 1) {
+      return res.status(400).json({ error: "Invalid revision range" });
+    }
+    
+    // from이 0이면 빈 문서와 비교 (최초 판)
+    const fromRevision = from === 0 ? null : await storage.getRevision(title, from);
+    const toRevision = await storage.getRevision(title, to);
+    
+    if ((from !== 0 && !fromRevision) || !toRevision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    
+    const toMeta = ({ rev, author, summary, size, createdAt }) => ({ rev, author, summary, size, createdAt });
+    
+    res.json({
+      title,
+      from: fromRevision ? toMeta(fromRevision) : null,
+      to: toMeta(toRevision),
+      ...diffText(fromRevision ? fromRevision.content : '', toRevision.content)
+    });
+  } catch (error) {
+    console.error('Error computing diff:', error);
+    res.status(500).json({ error: "Failed to compute diff" });
+  }
+});
+
+// 이전 리비전으로 되돌리기 (되돌린 내용으로 새 리비전을 만듦)
+app.post("/pages/:title/revisions/:rev/revert", auth.requireEditor, async (req, res) => {
   try {
     const title = req.params.title;
-    const { author, content } = req.body;
+    const rev = parseInt(req.params.rev);
+    
+    if (!Number.isInteger(rev) || rev < 1) {
+      return res.status(400).json({ error: "Invalid revision" });
+    }
+    if (!await checkEditAccess(req, res, [title])) return;
+    
+    const revision = await storage.getRevision(title, rev);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    
+    const page = await storage.getPage(title);
+    
+    const result = await storage.savePage(title, {
+      content: revision.content,
+      metadata: { ...page?.metadata, lastModifiedBy: req.author },
+      author: req.author,
+      summary: req.body.summary || `r${rev}(으)로 되돌림`
+    });
+    
+    broadcast({
+      type: 'pageUpdated',
+      page: result
+    });
+    
+    res.json({ status: "saved", page: result });
+  } catch (error) {
+    console.error('Error reverting page:', error);
+    res.status(500).json({ error: "Failed to revert page" });
+  }
+});
+
+// 페이지 이동 (댓글/리비전을 그대로 가지고 감)
+app.post("/pages/:title/move", auth.requireEditor, async (req, res) => {
+  try {
+    const oldTitle = req.params.title;
+    const newTitle = (req.body.newTitle || '').trim();
+    const { leaveRedirect, rewriteLinks: shouldRewriteLinks } = req.body;
+    const author = req.author;
+    
+    if (!newTitle || newTitle === oldTitle) {
+      return res.status(400).json({ error: "Invalid new title" });
+    }
+    if (!await checkEditAccess(req, res, [oldTitle, newTitle])) return;
+    
+    const result = await storage.movePage(oldTitle, newTitle, { author });
+    if (!result) {
+      return res.status(404).json({ error: "Page not found" });
+    }
     
-    if (!author || !content) {
-      return res.status(400).json({ error: "Author and content are required" });
+    // 문서에 걸린 보호(기본값 포함)는 새 제목에도 걸어 둠 (이전 제목의 넘겨주기 문서도 보호된 채로 남음)
+    const pageLevels = { ...DEFAULT_PROTECTIONS.pages, ...(await storage.getProtections()).pages };
+    const pageLevel = Object.hasOwn(pageLevels, oldTitle) ? pageLevels[oldTitle] : null;
+    if (pageLevel) {
+      await storage.setProtection({ kind: 'page', name: newTitle, level: pageLevel, updatedBy: author });
+      broadcast({ type: 'protectionChanged', kind: 'page', name: newTitle, level: pageLevel });
     }
     
-    let comment;
-    if (isDatabaseAvailable && db) {
-      // 페이지 확인
-      const [page] = await db.select().from(pages).where(eq(pages.title, title));
-      if (!page) {
-        return res.status(404).json({ error: "Page not found" });
+    // 이전 제목에 넘겨주기 문서 남기기
+    let redirect = null;
+    if (leaveRedirect) {
+      redirect = await storage.savePage(oldTitle, {
+        content: createRedirect(newTitle),
+        metadata: { lastModifiedBy: author },
+        author,
+        summary: `"${oldTitle}"에서 "${newTitle}"(으)로 문서 이동`
+      });
+    }
+    
+    // 다른 문서의 [[이전 제목]] 링크를 새 제목으로 수정 (편집할 수 없는 보호 문서는 건너뜀)
+    const rewrittenPages = [];
+    if (shouldRewriteLinks) {
+      const canEditTitle = await editableBy(req.user);
+      const allPages = await storage.getAllPages();
+      for (const page of allPages) {
+        if (page.title === newTitle || page.title === oldTitle || !canEditTitle(page.title)) continue;
+        
+        const rewritten = rewriteLinks(page.content, oldTitle, newTitle);
+        if (rewritten.count === 0) continue;
+        
+        const saved = await storage.savePage(page.title, {
+          content: rewritten.content,
+          metadata: { ...page.metadata, lastModifiedBy: author },
+          author,
+          summary: '문서 이동에 따른 링크 수정'
+        });
+        rewrittenPages.push(page.title);
+        broadcast({ type: 'pageUpdated', page: saved });
       }
-      
-      // 댓글 추가
-      [comment] = await db.insert(comments)
-        .values({ pageId: page.id, author, content })
-        .returning();
-    } else {
-      comment = await fileStorage.addComment(title, { author, content });
+    }
+    
+    broadcast({
+      type: 'pageMoved',
+      from: oldTitle,
+      to: newTitle
+    });
+    
+    res.json({ status: "moved", page: result, redirect: !!redirect, rewrittenPages });
+  } catch (error) {
+    if (error.code === 'PAGE_EXISTS') {
+      return res.status(409).json({ error: "A page with the new title already exists" });
+    }
+    console.error('Error moving page:', error);
+    res.status(500).json({ error: "Failed to move page" });
+  }
+});
+
+// 페이지 삭제 (댓글/리비전과 함께 휴지통으로 이동)
+app.delete("/pages/:title", auth.requireEditor, async (req, res) => {
+  try {
+    const title = req.params.title;
+    const { reason } = req.body || {};
+    if (!await checkEditAccess(req, res, [title])) return;
+    
+    const entry = await storage.deletePage(title, { deletedBy: req.author, reason });
+    if (!entry) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+    
+    // 실시간 업데이트 브로드캐스트
+    broadcast({
+      type: 'pageDeleted',
+      title
+    });
+    
+    res.json({ status: "deleted", trashId: entry.id });
+  } catch (error) {
+    console.error('Error deleting page:', error);
+    res.status(500).json({ error: "Failed to delete page" });
+  }
+});
+
+// 댓글 관련 API
+// 댓글 폼 토큰 (댓글을 쓰기 시작할 때 받아서 함께 보냄)
+app.get("/api/comment-token", (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ token: issueCommentToken() });
+});
+
+app.post("/pages/:title/comments", auth.requireEditor, rateLimits.comments, async (req, res) => {
+  try {
+    const title = req.params.title;
+    const { content, website, token } = req.body;
+    
+    if (!content) {
+      return res.status(400).json({ error: "Content is required" });
+    }
+    // 댓글 폼의 숨은 입력과 폼 토큰을 받은 뒤 지난 시간으로 봇을 거름
+    const trapReason = commentTrapReason({ website, token });
+    if (trapReason) {
+      return res.status(422).json({ error: "Spam check failed", reason: trapReason });
+    }
+    if (!await checkEditAccess(req, res, [title])) return;
+    if (!checkBlocklist(res, content)) return;
+    
+    const comment = await storage.addComment(title, { author: req.author, authorId: req.user?.id ?? null, content });
+    if (!comment) {
+      return res.status(404).json({ error: "Page not found" });
     }
     
     // 실시간 업데이트 브로드캐스트
@@ -178,7 +569,8 @@ app.post("/pages/:title/comments", async (req, res) => {
   }
 });
 
-app.put("/comments/:commentId", async (req, res) => {
+// 댓글 수정/삭제는 작성자 본인(로그인한 경우)이나 운영자만
+app.put("/comments/:commentId", auth.requireEditor, async (req, res) => {
   try {
     const commentId = parseInt(req.params.commentId);
     const { content } = req.body;
@@ -187,16 +579,15 @@ app.put("/comments/:commentId", async (req, res) => {
       return res.status(400).json({ error: "Content is required" });
     }
     
-    let updatedComment;
-    if (isDatabaseAvailable && db) {
-      [updatedComment] = await db.update(comments)
-        .set({ content, updatedAt: new Date() })
-        .where(eq(comments.id, commentId))
-        .returning();
-    } else {
-      updatedComment = await fileStorage.updateComment(commentId, { content });
+    const existing = await storage.getComment(commentId);
+    if (!await checkCommentAccess(req, res, existing)) return;
+    if (content === existing.content) {
+      return res.json({ status: "unchanged", comment: existing });
     }
+    if (!checkBlocklist(res, content, existing.content)) return;
     
+    // 이전 내용은 댓글의 수정 기록(history)에 남음
+    const updatedComment = await storage.updateComment(commentId, { content, editedBy: req.author });
     if (!updatedComment) {
       return res.status(404).json({ error: "Comment not found" });
     }
@@ -214,19 +605,14 @@ app.put("/comments/:commentId", async (req, res) => {
   }
 });
 
-app.delete("/comments/:commentId", async (req, res) => {
+app.delete("/comments/:commentId", auth.requireEditor, async (req, res) => {
   try {
     const commentId = parseInt(req.params.commentId);
     
-    let deletedComment;
-    if (isDatabaseAvailable && db) {
-      [deletedComment] = await db.delete(comments)
-        .where(eq(comments.id, commentId))
-        .returning();
-    } else {
-      deletedComment = await fileStorage.deleteComment(commentId);
-    }
+    const existing = await storage.getComment(commentId);
+    if (!await checkCommentAccess(req, res, existing)) return;
     
+    const deletedComment = await storage.deleteComment(commentId);
     if (!deletedComment) {
       return res.status(404).json({ error: "Comment not found" });
     }
@@ -244,26 +630,62 @@ app.delete("/comments/:commentId", async (req, res) => {
   }
 });
 
+// 댓글 숨기기/되살리기 (운영자만): 지우지 않고 접어서 보여 줌
+app.post("/comments/:commentId/hide", async (req, res) => {
+  try {
+    if (!canModerate(req.user)) {
+      return res.status(req.user ? 403 : 401).json({ error: "Moderators only" });
+    }
+    
+    const commentId = parseInt(req.params.commentId);
+    const hidden = req.body?.hidden !== false;
+    
+    const comment = await storage.setCommentHidden(commentId, { hidden, hiddenBy: req.author });
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+    
+    broadcast({
+      type: 'commentUpdated',
+      comment
+    });
+    
+    res.json({ status: hidden ? "hidden" : "shown", comment });
+  } catch (error) {
+    console.error('Error hiding comment:', error);
+    res.status(500).json({ error: "Failed to hide comment" });
+  }
+});
+
 // 이미지 관련 API
-app.post("/api/images", async (req, res) => {
+app.post("/api/images", auth.requireEditor, rateLimits.uploads, async (req, res) => {
   try {
     const { name, data, size, mimeType } = req.body;
     
     if (!name || !data || !size || !mimeType) {
       return res.status(400).json({ error: "All image fields are required" });
     }
+    // 이미지는 그 파일: 문서의 보호 수준을 따름
+    if (!await checkEditAccess(req, res, [imageFilePageTitle(name)])) return;
     
-    let image;
-    if (isDatabaseAvailable && db) {
-      // 이미지 저장
-      [image] = await db.insert(images)
-        .values({ name, data, size, mimeType })
-        .returning();
-    } else {
-      image = await fileStorage.saveImage({ name, data, size, mimeType });
+    // 알려진 이미지 형식만, 선언한 형식과 실제 바이트가 같을 때만 받음
+    const decoded = decodeImageData(data, mimeType);
+    const detectedType = detectImageType(decoded.buffer);
+    if (!ALLOWED_IMAGE_TYPES.includes(decoded.mimeType) || detectedType !== decoded.mimeType) {
+      return res.status(415).json({ error: "Unsupported image type", allowed: ALLOWED_IMAGE_TYPES });
     }
-    
-    res.json({ status: "uploaded", image });
+
+    const dimensions = await readImageSize(decoded.buffer);
+    const image = await storage.saveImage({
+      name,
+      bytes: decoded.buffer,
+      mimeType: detectedType,
+      width: dimensions?.width,
+      height: dimensions?.height,
+      uploadedBy: req.author
+    });
+    removeImageVariants(name);
+    res.json({ status: "uploaded", image: withImageUrl(image) });
   } catch (error) {
     console.error('Error uploading image:', error);
     res.status(500).json({ error: "Failed to upload image" });
@@ -272,59 +694,130 @@ app.post("/api/images", async (req, res) => {
 
 app.get("/api/images", async (req, res) => {
   try {
-    let allImages;
-    if (isDatabaseAvailable && db) {
-      allImages = await db.select().from(images).orderBy(desc(images.uploadedAt));
-    } else {
-      allImages = await fileStorage.getAllImages();
-    }
-    res.json(allImages);
+    const allImages = await storage.getAllImages();
+    res.json(allImages.map(withImageUrl));
   } catch (error) {
     console.error('Error fetching images:', error);
     res.status(500).json({ error: "Failed to fetch images" });
   }
 });
 
-// GET endpoint for individual image by name
+// GET endpoint for individual image by name (메타데이터만, 바이트는 /raw)
 app.get("/api/images/:name", async (req, res) => {
   try {
-    const name = decodeURIComponent(req.params.name);
+    const image = await storage.getImage(req.params.name);
+    if (!image) {
+      return res.status(404).json({ error: "Image not found" });
+    }
     
-    let image;
-    if (isDatabaseAvailable && db) {
-      [image] = await db.select().from(images).where(eq(images.name, name));
-    } else {
-      const allImages = await fileStorage.getAllImages();
-      image = allImages.find(img => img.name === name);
+    res.json(withImageUrl(image));
+  } catch (error) {
+    console.error('Error fetching image:', error);
+    res.status(500).json({ error: "Failed to fetch image" });
+  }
+});
+
+// 이미지 원본 바이트 (<img src>용, ETag/Last-Modified로 조건부 요청 지원)
+// ?w=너비: 그 너비 이상인 가장 작은 변형(160/320/640/1280)으로 줄인 이미지
+app.get("/api/images/:name/raw", async (req, res) => {
+  try {
+    const requestedWidth = req.query.w === undefined ? null : Number(req.query.w);
+    if (requestedWidth !== null && !(Number.isInteger(requestedWidth) && requestedWidth > 0)) {
+      return res.status(400).json({ error: "Invalid width" });
     }
     
+    const image = await storage.getImage(req.params.name);
     if (!image) {
       return res.status(404).json({ error: "Image not found" });
     }
     
-    res.json(image);
+    // gif/svg 등과 가장 큰 변형보다 넓은 요청은 원본
+    const width = requestedWidth && canResizeImage(image.mimeType) ? variantWidth(requestedWidth) : null;
+    
+    // 같은 이름으로 다시 올리면 크기나 업로드 시각이 바뀜
+    const uploadedAt = new Date(image.uploadedAt);
+    res.set({
+      'ETag': `"${image.size.toString(16)}-${uploadedAt.getTime().toString(16)}${width ? `-w${width}` : ''}"`,
+      'Last-Modified': uploadedAt.toUTCString(),
+      'Cache-Control': 'no-cache',
+      'X-Content-Type-Options': 'nosniff',
+      // SVG 등을 직접 열어도 스크립트가 실행되지 않도록
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+    });
+    
+    // 바뀌지 않았으면 바이트를 읽지 않고 304
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    let bytes;
+    if (width) {
+      const variant = await getImageVariant(image, width, () => storage.getImageBytes(image.name));
+      bytes = variant?.buffer;
+      
+      // 크기를 기록하기 전에 올린 이미지는 변형을 만들면서 채워 둠 (srcset에 필요)
+      if (variant?.sourceSize && !image.width) {
+        storage.setImageSize(image.name, variant.sourceSize)
+          .catch(error => console.error('Error recording image size:', error));
+      }
+    } else {
+      bytes = await storage.getImageBytes(image.name);
+    }
+    if (!bytes) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+    
+    // 형식 검사 전에 올라온 이미지가 아닌 파일은 위키 출처의 문서로 열리지 않게 내려받기로
+    if (ALLOWED_IMAGE_TYPES.includes(image.mimeType)) {
+      res.type(image.mimeType);
+    } else {
+      res.type('application/octet-stream');
+      res.attachment(image.name);
+    }
+    res.set('Content-Length', bytes.length);
+    res.end(req.method === 'HEAD' ? undefined : bytes);
   } catch (error) {
-    console.error('Error fetching image:', error);
+    console.error('Error fetching image bytes:', error);
     res.status(500).json({ error: "Failed to fetch image" });
   }
 });
 
-app.delete("/api/images/:name", async (req, res) => {
+// 이미지를 사용하는 문서 목록 (없는 이미지도 조회 가능 - 깨진 이미지 확인용)
+app.get("/api/images/:name/usages", async (req, res) => {
+  try {
+    const name = req.params.name;
+    res.json({ name, pages: await findImageUsages(name) });
+  } catch (error) {
+    console.error('Error finding image usages:', error);
+    res.status(500).json({ error: "Failed to find image usages" });
+  }
+});
+
+// 사용 중인 이미지는 ?force=true 없이는 지우지 않음 (409와 함께 사용하는 문서 목록)
+app.delete("/api/images/:name", auth.requireEditor, async (req, res) => {
   try {
     const name = req.params.name;
+    // 쓰이는 이미지를 강제로 지우는 것은 로그인한 사용자만
+    if (req.query.force === 'true' && !req.user) {
+      return res.status(401).json({ error: "Login required" });
+    }
+    if (!await checkEditAccess(req, res, [imageFilePageTitle(name)])) return;
     
-    let deletedImage;
-    if (isDatabaseAvailable && db) {
-      [deletedImage] = await db.delete(images)
-        .where(eq(images.name, name))
-        .returning();
-    } else {
-      deletedImage = await fileStorage.deleteImage(name);
+    if (req.query.force !== 'true') {
+      if (!await storage.getImage(name)) {
+        return res.status(404).json({ error: "Image not found" });
+      }
+      const pages = await findImageUsages(name);
+      if (pages.length > 0) {
+        return res.status(409).json({ error: "Image is in use", pages });
+      }
     }
     
+    const deletedImage = await storage.deleteImage(name);
     if (!deletedImage) {
       return res.status(404).json({ error: "Image not found" });
     }
+    removeImageVariants(name);
     
     res.json({ status: "deleted" });
   } catch (error) {
@@ -333,6 +826,222 @@ app.delete("/api/images/:name", async (req, res) => {
   }
 });
 
+// 문서 검색 (역색인으로 후보를 고른 뒤 제목 일치 우선으로 순위, limit은 최대 100)
+// 결과마다 스니펫과 제목/스니펫 안의 일치 위치(titleHighlights, snippetHighlights)
+app.get("/api/search", async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_RESULT_LIMIT, 1), 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const sort = SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'relevance';
+    
+    const result = await searchIndex.search(query, { sort, page, pageSize: limit });
+    res.json({ query, sort, ...result });
+  } catch (error) {
+    console.error('Error searching pages:', error);
+    res.status(500).json({ error: "Failed to search pages" });
+  }
+});
+
+// 이미지 점검: 사용되지 않는 이미지와 없는 이미지를 가리키는 참조
+app.get("/api/maintenance/images", async (req, res) => {
+  try {
+    const report = buildImageReport(await storage.getAllPages(), await storage.getAllImages());
+    res.json({ unused: report.unused.map(withImageUrl), broken: report.broken });
+  } catch (error) {
+    console.error('Error building image report:', error);
+    res.status(500).json({ error: "Failed to build image report" });
+  }
+});
+
+// 사용되지 않는 이미지를 파일: 문서와 함께 삭제 (그 사이에 쓰이게 된 이미지와 보호된 이미지는 건너뜀)
+app.post("/api/maintenance/images/delete", async (req, res) => {
+  try {
+    if (!canModerate(req.user)) {
+      return res.status(req.user ? 403 : 401).json({ error: "Moderators only" });
+    }
+    
+    const { names } = req.body || {};
+    const deletedBy = req.author;
+    if (!Array.isArray(names)) {
+      return res.status(400).json({ error: "names must be an array" });
+    }
+    
+    const canEditTitle = await editableBy(req.user);
+    const deleted = [];
+    const skipped = [];
+    const deletedPages = [];
+    for (const name of names) {
+      if (!canEditTitle(imageFilePageTitle(name)) || (await findImageUsages(name)).length > 0 || !await storage.deleteImage(name)) {
+        skipped.push(name);
+        continue;
+      }
+      removeImageVariants(name);
+      deleted.push(name);
+      
+      const filePage = imageFilePageTitle(name);
+      if (await storage.deletePage(filePage, { deletedBy, reason: '사용되지 않는 이미지 정리' })) {
+        deletedPages.push(filePage);
+        broadcast({ type: 'pageDeleted', title: filePage });
+      }
+    }
+    
+    res.json({ deleted, skipped, deletedPages });
+  } catch (error) {
+    console.error('Error deleting unused images:', error);
+    res.status(500).json({ error: "Failed to delete unused images" });
+  }
+});
+
+// 깨진 이미지 참조 정리: replacement가 있으면 그 이미지로 바꾸고, 없으면 참조를 지움
+// 그 사이에 올라온 이미지나 없는 대체 이미지, 편집할 수 없는 보호 문서는 건너뜀
+app.post("/api/maintenance/images/references", auth.requireEditor, async (req, res) => {
+  try {
+    const { fixes } = req.body || {};
+    const author = req.author;
+    if (!Array.isArray(fixes)) {
+      return res.status(400).json({ error: "fixes must be an array" });
+    }
+    
+    const validFixes = [];
+    const skipped = [];
+    for (const { name, replacement } of fixes) {
+      if (!name || await storage.getImage(name) || (replacement && !await storage.getImage(replacement))) {
+        skipped.push(name);
+      } else {
+        validFixes.push({ name, replacement: replacement || null });
+      }
+    }
+    
+    const canEditTitle = await editableBy(req.user);
+    const updatedPages = [];
+    const allPages = await storage.getAllPages();
+    for (const page of allPages) {
+      if (!canEditTitle(page.title)) continue;
+      let content = page.content;
+      for (const { name, replacement } of validFixes) {
+        content = rewriteImageRefs(content, name, replacement).content;
+      }
+      if (content === page.content) continue;
+      
+      const saved = await storage.savePage(page.title, {
+        content,
+        metadata: { ...page.metadata, lastModifiedBy: author },
+        author,
+        summary: '깨진 이미지 정리'
+      });
+      updatedPages.push(page.title);
+      broadcast({ type: 'pageUpdated', page: saved });
+    }
+    
+    res.json({ updatedPages, skipped });
+  } catch (error) {
+    console.error('Error fixing image references:', error);
+    res.status(500).json({ error: "Failed to fix image references" });
+  }
+});
+
+// 저장된 보호 수준 (기본값은 shared/protection.js의 DEFAULT_PROTECTIONS)
+app.get("/api/protections", async (req, res) => {
+  try {
+    res.json(await storage.getProtections());
+  } catch (error) {
+    console.error('Error fetching protections:', error);
+    res.status(500).json({ error: "Failed to fetch protections" });
+  }
+});
+
+// 보호 수준 바꾸기 (관리자만, level이 null이면 기본값으로 되돌림)
+app.post("/api/protections", async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(req.user ? 403 : 401).json({ error: "Admin only" });
+    }
+    
+    const { kind, level = null } = req.body || {};
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (kind !== 'page' && kind !== 'namespace') {
+      return res.status(400).json({ error: "kind must be 'page' or 'namespace'" });
+    }
+    if (!name || (kind === 'namespace' && !PROTECTABLE_NAMESPACES.includes(name))) {
+      return res.status(400).json({ error: "Invalid name" });
+    }
+    if (level !== null && !PROTECTION_LEVELS.includes(level)) {
+      return res.status(400).json({ error: "Invalid level" });
+    }
+    
+    await storage.setProtection({ kind, name, level, updatedBy: req.author });
+    broadcast({ type: 'protectionChanged', kind, name, level });
+    
+    res.json({ status: "saved", protections: await storage.getProtections() });
+  } catch (error) {
+    console.error('Error saving protection:', error);
+    res.status(500).json({ error: "Failed to save protection" });
+  }
+});
+
+// 휴지통 목록 (최근 삭제순)
+app.get("/api/trash", async (req, res) => {
+  try {
+    res.json(await storage.getTrash());
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+// 휴지통에서 복원
+app.post("/api/trash/:id/restore", auth.requireEditor, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    const trashed = (await storage.getTrash()).find(item => item.id === id);
+    if (trashed && !await checkEditAccess(req, res, [trashed.title])) return;
+    
+    const entry = await storage.restoreFromTrash(id);
+    if (!entry) {
+      return res.status(404).json({ error: "Trash entry not found" });
+    }
+    
+    broadcast({
+      type: 'pageUpdated',
+      page: { title: entry.title }
+    });
+    
+    res.json({ status: "restored", title: entry.title });
+  } catch (error) {
+    if (error.code === 'PAGE_EXISTS') {
+      return res.status(409).json({ error: "A page with this title already exists" });
+    }
+    console.error('Error restoring page:', error);
+    res.status(500).json({ error: "Failed to restore page" });
+  }
+});
+
+// 휴지통에서 영구 삭제
+app.delete("/api/trash/:id", async (req, res) => {
+  try {
+    if (!canModerate(req.user)) {
+      return res.status(req.user ? 403 : 401).json({ error: "Moderators only" });
+    }
+    
+    const id = parseInt(req.params.id);
+    
+    const trashed = (await storage.getTrash()).find(item => item.id === id);
+    if (trashed && !await checkEditAccess(req, res, [trashed.title])) return;
+    
+    const purgedEntry = await storage.purgeFromTrash(id);
+    if (!purgedEntry) {
+      return res.status(404).json({ error: "Trash entry not found" });
+    }
+    
+    res.json({ status: "purged" });
+  } catch (error) {
+    console.error('Error purging page:', error);
+    res.status(500).json({ error: "Failed to purge page" });
+  }
+});
+
 // API endpoint to get update history from replit.md
 app.get("/api/update-history", (req, res) => {
   try {
@@ -357,6 +1066,8 @@ app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
 });
 
+auth.seedRoles().catch(error => console.error('Error seeding roles:', error));
+
 httpServer.listen(PORT, "0.0.0.0", () => {
   console.log(`✅ Wiki API 서버 실행됨: http://0.0.0.0:${PORT}`);
   console.log(`✅ WebSocket 서버 실행됨: ws://0.0.0.0:${PORT}/ws`);
@@ -0,0 +1,204 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'wiki_session';
+
+// 로그인 유지 기간
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// 글자/숫자로 시작하는 2~30자 (글자, 숫자, _ . -)
+const USERNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_.-]{1,29}$/u;
+
+// ALLOW_ANONYMOUS_EDITS=false면 문서 저장, 댓글, 업로드 같은 편집에 로그인이 필요함
+// (켜 두어도 보호된 문서는 따로 막힘 - 파일: 이름공간은 기본이 로그인이라 익명 업로드는 401)
+export const allowAnonymousEdits = process.env.ALLOW_ANONYMOUS_EDITS !== 'false';
+
+function usernameList(value) {
+  return new Set((value || '').split(',').map(name => name.trim()).filter(Boolean));
+}
+
+export const ROLES = ['user', 'moderator', 'admin'];
+
+// 역할은 사용자 기록에 저장하고 운영자만 바꿈 (node set_role.js 이름 역할)
+// WIKI_ADMINS, WIKI_MODERATORS(이름1,이름2)는 서버를 시작할 때 이미 가입한 계정에만 역할을 주고,
+// 아직 없는 이름은 아무나 가입해서 가로채지 못하게 가입을 막음
+// 관리자는 보호 수준을 바꾸고 관리자 보호 문서를 편집하며, 운영자와 관리자는 남의 댓글을 고치거나 지우고 숨길 수 있음
+const roleSeeds = new Map([
+  ...[...usernameList(process.env.WIKI_MODERATORS)].map(name => [name, 'moderator']),
+  ...[...usernameList(process.env.WIKI_ADMINS)].map(name => [name, 'admin'])
+]);
+
+export function roleOf(user) {
+  return ROLES.includes(user?.role) ? user.role : 'user';
+}
+
+// 익명 사용자 IP 해시용 비밀값. 정하지 않으면 실행할 때마다 새로 만들므로
+// 다시 시작하면 같은 IP도 다른 익명 이름이 됨
+const ipHashSecret = process.env.IP_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.IP_HASH_SECRET) {
+  console.log('ℹ️ IP_HASH_SECRET이 없어 익명 편집자 이름이 서버를 다시 시작할 때마다 바뀝니다');
+}
+
+/**
+ * 가입할 때 이름과 비밀번호 확인 (문제가 없으면 null, 있으면 오류 메시지)
+ */
+export function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return '사용자 이름은 글자나 숫자로 시작하는 2~30자여야 합니다 (글자, 숫자, _ . - 사용 가능)';
+  }
+  if (username.startsWith('익명')) {
+    return '"익명"으로 시작하는 이름은 쓸 수 없습니다';
+  }
+  if (roleSeeds.has(username)) {
+    return '운영진용으로 정해 둔 이름이라 가입할 수 없습니다';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다`;
+  }
+  return null;
+}
+
+// 솔트를 넣은 scrypt 해시 (hex)
+export async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return { passwordHash: key.toString('hex'), salt };
+}
+
+export async function verifyPassword(password, user) {
+  const { passwordHash } = await hashPassword(password, user.salt);
+  const expected = Buffer.from(user.passwordHash, 'hex');
+  const actual = Buffer.from(passwordHash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// 저장소에는 쿠키 토큰 대신 해시만 둠 (세션 목록이 새어도 로그인할 수 없도록)
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // 잘못 인코딩된 쿠키는 무시
+    }
+  }
+  return cookies;
+}
+
+/**
+ * 로그인하지 않은 편집자의 이름: IP 해시 앞 8자리 ('익명-1a2b3c4d')
+ */
+export function anonymousName(ip) {
+  const hash = crypto.createHmac('sha256', ipHashSecret).update(ip || '').digest('hex');
+  return `익명-${hash.slice(0, 8)}`;
+}
+
+// 응답에 내보내는 사용자 정보 (해시와 솔트 제외, id는 댓글 작성자 확인용)
+export function toPublicUser(user) {
+  return user ? { id: user.id, username: user.username, role: roleOf(user) } : null;
+}
+
+/**
+ * 계정과 로그인 세션 (저장소의 사용자/세션 메서드 사용, server/storage.js 참고)
+ */
+export function createAuth(storage) {
+  function setSessionCookie(req, res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/',
+      expires: new Date(expiresAt)
+    });
+  }
+
+  async function startSession(req, res, username) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    await storage.createSession({ tokenHash: hashToken(token), username, expiresAt });
+    setSessionCookie(req, res, token, expiresAt);
+  }
+
+  return {
+    // 서버를 시작할 때 WIKI_ADMINS, WIKI_MODERATORS에 있는 기존 계정에 역할을 줌
+    async seedRoles() {
+      for (const [username, role] of roleSeeds) {
+        const user = await storage.getUser(username);
+        if (user && roleOf(user) !== role) {
+          await storage.setUserRole(username, role);
+          console.log(`👤 ${username}: ${role}`);
+        }
+      }
+    },
+
+    /**
+     * 모든 요청에서 세션 쿠키로 사용자를 찾음
+     * req.user: { username, role } | null, req.author: 기록에 남길 이름 (로그인하지 않았으면 IP 해시)
+     */
+    async authenticate(req, res, next) {
+      req.user = null;
+      try {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) {
+          const session = await storage.getSession(hashToken(token));
+          if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+            req.user = toPublicUser({ ...session, id: session.userId });
+          } else if (session) {
+            await storage.deleteSession(session.tokenHash);
+          }
+        }
+      } catch (error) {
+        console.error('Error loading session:', error);
+      }
+      req.author = req.user ? req.user.username : anonymousName(req.ip);
+      next();
+    },
+
+    /**
+     * 편집 라우트 앞에 둠: 익명 편집을 끈 경우 로그인하지 않았으면 401
+     */
+    requireEditor(req, res, next) {
+      if (!req.user && !allowAnonymousEdits) {
+        return res.status(401).json({ error: "Login required" });
+      }
+      next();
+    },
+
+    // 가입하고 바로 로그인 (같은 이름이 있으면 error.code === 'USER_EXISTS')
+    async register(req, res, username, password) {
+      const user = await storage.createUser({ username, ...await hashPassword(password) });
+      await startSession(req, res, user.username);
+      return toPublicUser(user);
+    },
+
+    // 이름이나 비밀번호가 틀리면 null
+    async login(req, res, username, password) {
+      const user = typeof username === 'string' ? await storage.getUser(username) : null;
+      if (!user || typeof password !== 'string' || !await verifyPassword(password, user)) {
+        return null;
+      }
+      await startSession(req, res, user.username);
+      return toPublicUser(user);
+    },
+
+    async logout(req, res) {
+      const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (token) {
+        await storage.deleteSession(hashToken(token));
+      }
+      res.clearCookie(SESSION_COOKIE, { path: '/' });
+    }
+  };
+}
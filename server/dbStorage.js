@@ -0,0 +1,521 @@
+import { eq, desc, and, lt, sql } from 'drizzle-orm';
+import { pages, comments, images, revisions, deletedPages, users, sessions, protections } from '../shared/schema.js';
+import { decodeImageData } from './imageData.js';
+
+// Drizzle(PostgreSQL) 저장소 - fileStorage와 같은 인터페이스 (server/storage.js 참고)
+
+// 페이지의 최신 리비전 번호 (리비전이 없으면 0)
+async function getLatestRevision(tx, pageId) {
+  const [latest] = await tx.select({ rev: revisions.rev }).from(revisions)
+    .where(eq(revisions.pageId, pageId))
+    .orderBy(desc(revisions.rev))
+    .limit(1);
+  return latest ? latest.rev : 0;
+}
+
+// 저장하는 사이에 다른 저장이 먼저 끝난 경우
+function editConflictError() {
+  const error = new Error('Edit conflict');
+  error.code = 'EDIT_CONFLICT';
+  return error;
+}
+
+// 새 리비전 추가 (저장할 때마다 불변 기록으로 남김)
+async function addRevision(tx, pageId, rev, content, previousContent, { author, summary }) {
+  const [revision] = await tx.insert(revisions)
+    .values({
+      pageId,
+      rev,
+      content,
+      author: author || '익명',
+      summary: summary || '',
+      size: content.length,
+      sizeDelta: content.length - (previousContent ? previousContent.length : 0)
+    })
+    .returning();
+  return revision;
+}
+
+// 리비전 기록 이전에 저장된 페이지는 기존 내용을 r1로 보존
+async function ensureInitialRevision(tx, page) {
+  const latestRev = await getLatestRevision(tx, page.id);
+  if (latestRev > 0) return latestRev;
+
+  await addRevision(tx, page.id, 1, page.content, '', {
+    author: page.metadata?.lastModifiedBy,
+    summary: '이전 내용'
+  });
+  return 1;
+}
+
+function toSavedPage(page, rev) {
+  return {
+    title: page.title,
+    content: page.content,
+    metadata: page.metadata || {},
+    lastModified: page.lastModified,
+    revision: rev
+  };
+}
+
+function toComment(comment, pageTitle) {
+  const { pageId, ...rest } = comment;
+  return { ...rest, pageTitle };
+}
+
+// 리비전 목록 항목 (내용 제외)
+const revisionSummaryColumns = {
+  rev: revisions.rev,
+  author: revisions.author,
+  summary: revisions.summary,
+  size: revisions.size,
+  sizeDelta: revisions.sizeDelta,
+  createdAt: revisions.createdAt
+};
+
+// 이미지 메타데이터 (바이트 제외)
+const imageInfoColumns = {
+  id: images.id,
+  name: images.name,
+  size: images.size,
+  mimeType: images.mimeType,
+  width: images.width,
+  height: images.height,
+  uploadedAt: images.uploadedAt,
+  uploadedBy: images.uploadedBy
+};
+
+// 세션과 그 사용자 이름
+const sessionColumns = {
+  tokenHash: sessions.tokenHash,
+  userId: users.id,
+  username: users.username,
+  role: users.role,
+  createdAt: sessions.createdAt,
+  expiresAt: sessions.expiresAt
+};
+
+export function createDbStorage(db) {
+  async function findPage(tx, title) {
+    const [page] = await tx.select().from(pages).where(eq(pages.title, title));
+    return page || null;
+  }
+
+  // 트랜잭션 안에서 문서 행을 잠그고 읽음: 동시에 저장해도 다음 판 번호를 차례로 정하게 함
+  async function lockPage(tx, title) {
+    const [page] = await tx.select().from(pages).where(eq(pages.title, title)).for('update');
+    return page || null;
+  }
+
+  async function findSession(tokenHash) {
+    const [session] = await db.select(sessionColumns).from(sessions)
+      .innerJoin(users, eq(sessions.userId, users.id))
+      .where(eq(sessions.tokenHash, tokenHash));
+    return session || null;
+  }
+
+  async function findPageTitle(pageId) {
+    const [page] = await db.select({ title: pages.title }).from(pages).where(eq(pages.id, pageId));
+    return page ? page.title : null;
+  }
+
+  return {
+    // Pages
+    async getAllPageTitles() {
+      const result = await db.select({ title: pages.title }).from(pages);
+      return result.map(p => p.title);
+    },
+
+    async getAllPages() {
+      return db.select({
+        title: pages.title,
+        content: pages.content,
+        metadata: pages.metadata,
+        lastModified: pages.lastModified,
+        createdAt: pages.createdAt
+      }).from(pages);
+    },
+
+    async getPage(title) {
+      const page = await findPage(db, title);
+      if (!page) return null;
+
+      const pageComments = await db.select().from(comments)
+        .where(eq(comments.pageId, page.id))
+        .orderBy(desc(comments.createdAt));
+
+      return {
+        title: page.title,
+        content: page.content,
+        lastModified: page.lastModified,
+        createdAt: page.createdAt,
+        metadata: page.metadata || {},
+        revision: await getLatestRevision(db, page.id),
+        comments: pageComments.map(comment => toComment(comment, page.title))
+      };
+    },
+
+    async savePage(title, { content, metadata = {}, author, summary, expectedRevision }) {
+      return db.transaction(async (tx) => {
+        const existingPage = await lockPage(tx, title);
+        const currentRevision = existingPage ? await getLatestRevision(tx, existingPage.id) : 0;
+        if (expectedRevision !== undefined && currentRevision !== expectedRevision) {
+          throw editConflictError();
+        }
+
+        if (existingPage) {
+          const latestRev = await ensureInitialRevision(tx, existingPage);
+          const [page] = await tx.update(pages)
+            .set({ content, metadata, lastModified: new Date() })
+            .where(eq(pages.id, existingPage.id))
+            .returning();
+
+          const revision = await addRevision(tx, page.id, latestRev + 1, content, existingPage.content, { author, summary });
+          return toSavedPage(page, revision.rev);
+        }
+
+        const [page] = await tx.insert(pages)
+          .values({ title, content, metadata })
+          .returning();
+
+        const revision = await addRevision(tx, page.id, 1, content, '', { author, summary });
+        return toSavedPage(page, revision.rev);
+      });
+    },
+
+    async movePage(oldTitle, newTitle, { author } = {}) {
+      return db.transaction(async (tx) => {
+        const page = await lockPage(tx, oldTitle);
+        if (!page) return null;
+
+        if (await findPage(tx, newTitle)) {
+          const error = new Error('Page already exists');
+          error.code = 'PAGE_EXISTS';
+          throw error;
+        }
+
+        // 댓글과 리비전은 pageId로 연결되어 있어 제목만 바꾸면 됨
+        const [moved] = await tx.update(pages)
+          .set({ title: newTitle, lastModified: new Date() })
+          .where(eq(pages.id, page.id))
+          .returning();
+
+        const latestRev = await ensureInitialRevision(tx, page);
+        const revision = await addRevision(tx, page.id, latestRev + 1, page.content, page.content, {
+          author,
+          summary: `"${oldTitle}"에서 "${newTitle}"(으)로 문서 이동`
+        });
+        return toSavedPage(moved, revision.rev);
+      });
+    },
+
+    // 페이지 삭제 (댓글/리비전과 함께 휴지통으로 이동)
+    async deletePage(title, { deletedBy, reason } = {}) {
+      return db.transaction(async (tx) => {
+        const page = await lockPage(tx, title);
+        if (!page) return null;
+
+        const pageComments = await tx.select().from(comments).where(eq(comments.pageId, page.id));
+        const pageRevisions = await tx.select().from(revisions)
+          .where(eq(revisions.pageId, page.id))
+          .orderBy(revisions.rev);
+
+        const [deleted] = await tx.insert(deletedPages)
+          .values({
+            title,
+            content: page.content,
+            metadata: page.metadata,
+            comments: pageComments.map(({ id, pageId, ...comment }) => comment),
+            revisions: pageRevisions.map(({ id, pageId, ...revision }) => revision),
+            createdAt: page.createdAt,
+            lastModified: page.lastModified,
+            deletedBy: deletedBy || '익명',
+            reason: reason || ''
+          })
+          .returning();
+
+        // 댓글과 리비전은 cascade로 함께 삭제됨
+        await tx.delete(pages).where(eq(pages.id, page.id));
+        return deleted;
+      });
+    },
+
+    // Revisions (페이지가 없으면 null)
+    async getRevisions(title) {
+      const page = await findPage(db, title);
+      if (!page) return null;
+
+      return db.select(revisionSummaryColumns).from(revisions)
+        .where(eq(revisions.pageId, page.id))
+        .orderBy(desc(revisions.rev));
+    },
+
+    async getRevision(title, rev) {
+      const page = await findPage(db, title);
+      if (!page) return null;
+
+      const [revision] = await db.select().from(revisions)
+        .where(and(eq(revisions.pageId, page.id), eq(revisions.rev, rev)));
+      return revision || null;
+    },
+
+    // Trash (최근 삭제순)
+    async getTrash() {
+      const entries = await db.select().from(deletedPages).orderBy(desc(deletedPages.deletedAt));
+      return entries.map(({ content, comments, revisions, ...entry }) => ({
+        ...entry,
+        size: content.length,
+        commentCount: comments.length,
+        revisionCount: revisions.length
+      }));
+    },
+
+    async restoreFromTrash(id) {
+      return db.transaction(async (tx) => {
+        const [deleted] = await tx.select().from(deletedPages).where(eq(deletedPages.id, id));
+        if (!deleted) return null;
+
+        if (await findPage(tx, deleted.title)) {
+          const error = new Error('Page already exists');
+          error.code = 'PAGE_EXISTS';
+          throw error;
+        }
+
+        const [page] = await tx.insert(pages)
+          .values({
+            title: deleted.title,
+            content: deleted.content,
+            metadata: deleted.metadata,
+            createdAt: new Date(deleted.createdAt),
+            lastModified: new Date(deleted.lastModified)
+          })
+          .returning();
+
+        if (deleted.comments.length > 0) {
+          await tx.insert(comments).values(deleted.comments.map(({ pageTitle, ...comment }) => ({
+            ...comment,
+            pageId: page.id,
+            hiddenAt: comment.hiddenAt ? new Date(comment.hiddenAt) : null,
+            createdAt: new Date(comment.createdAt),
+            updatedAt: new Date(comment.updatedAt)
+          })));
+        }
+
+        if (deleted.revisions.length > 0) {
+          await tx.insert(revisions).values(deleted.revisions.map(revision => ({
+            ...revision,
+            pageId: page.id,
+            createdAt: new Date(revision.createdAt)
+          })));
+        }
+
+        await tx.delete(deletedPages).where(eq(deletedPages.id, id));
+        return deleted;
+      });
+    },
+
+    async purgeFromTrash(id) {
+      const [purgedEntry] = await db.delete(deletedPages)
+        .where(eq(deletedPages.id, id))
+        .returning();
+      return purgedEntry || null;
+    },
+
+    // Comments (페이지가 없으면 null)
+    async addComment(pageTitle, { author, authorId = null, content }) {
+      const page = await findPage(db, pageTitle);
+      if (!page) return null;
+
+      const [comment] = await db.insert(comments)
+        .values({ pageId: page.id, author, authorId, content })
+        .returning();
+      return toComment(comment, page.title);
+    },
+
+    async getComment(commentId) {
+      const [comment] = await db.select().from(comments).where(eq(comments.id, commentId));
+      return comment ? toComment(comment, await findPageTitle(comment.pageId)) : null;
+    },
+
+    // 고치기 전 내용은 history 끝에 붙임 (한 UPDATE 안에서 이전 값을 읽으므로 동시 수정에도 빠지지 않음)
+    async updateComment(commentId, { content, editedBy }) {
+      const now = new Date();
+      const previous = sql`jsonb_build_object('content', ${comments.content}, 'replacedBy', ${editedBy}::text, 'replacedAt', ${now.toISOString()}::text)`;
+      const [comment] = await db.update(comments)
+        .set({ content, history: sql`${comments.history} || jsonb_build_array(${previous})`, updatedAt: now })
+        .where(eq(comments.id, commentId))
+        .returning();
+      return comment ? toComment(comment, await findPageTitle(comment.pageId)) : null;
+    },
+
+    async setCommentHidden(commentId, { hidden, hiddenBy }) {
+      const [comment] = await db.update(comments)
+        .set(hidden ? { hiddenBy, hiddenAt: new Date() } : { hiddenBy: null, hiddenAt: null })
+        .where(eq(comments.id, commentId))
+        .returning();
+      return comment ? toComment(comment, await findPageTitle(comment.pageId)) : null;
+    },
+
+    async deleteComment(commentId) {
+      const [comment] = await db.delete(comments)
+        .where(eq(comments.id, commentId))
+        .returning();
+      return comment ? toComment(comment, await findPageTitle(comment.pageId)) : null;
+    },
+
+    // Images (최근 업로드순)
+    async getAllImages() {
+      return db.select(imageInfoColumns).from(images).orderBy(desc(images.uploadedAt));
+    },
+
+    async getImage(name) {
+      const [image] = await db.select(imageInfoColumns).from(images).where(eq(images.name, name));
+      return image || null;
+    },
+
+    async getImageBytes(name) {
+      const [image] = await db.select({ id: images.id, content: images.content, data: images.data })
+        .from(images)
+        .where(eq(images.name, name));
+      if (!image) return null;
+      if (image.content) return image.content;
+
+      // base64로 저장된 예전 행은 처음 읽을 때 바이너리로 옮김
+      const { buffer } = decodeImageData(image.data || '', null);
+      await db.update(images)
+        .set({ content: buffer, data: null })
+        .where(eq(images.id, image.id));
+      return buffer;
+    },
+
+    // 같은 이름으로 다시 올리면 덮어씀
+    async saveImage({ name, bytes, mimeType, width, height, uploadedBy }) {
+      const values = {
+        content: bytes,
+        data: null,
+        size: bytes.length,
+        mimeType,
+        width: width ?? null,
+        height: height ?? null,
+        uploadedBy: uploadedBy ?? null
+      };
+      const [image] = await db.insert(images)
+        .values({ name, ...values })
+        .onConflictDoUpdate({
+          target: images.name,
+          set: { ...values, uploadedAt: new Date() }
+        })
+        .returning(imageInfoColumns);
+      return image;
+    },
+
+    // 크기를 기록하기 전에 올린 이미지용
+    async setImageSize(name, { width, height }) {
+      const [image] = await db.update(images)
+        .set({ width, height })
+        .where(eq(images.name, name))
+        .returning(imageInfoColumns);
+      return image || null;
+    },
+
+    async deleteImage(name) {
+      const [image] = await db.delete(images)
+        .where(eq(images.name, name))
+        .returning(imageInfoColumns);
+      return image || null;
+    },
+
+    // Users
+    async getUser(username) {
+      const [user] = await db.select().from(users).where(eq(users.username, username));
+      return user || null;
+    },
+
+    async createUser({ username, passwordHash, salt }) {
+      const [user] = await db.insert(users)
+        .values({ username, passwordHash, salt })
+        .onConflictDoNothing({ target: users.username })
+        .returning();
+      if (!user) {
+        const error = new Error('User already exists');
+        error.code = 'USER_EXISTS';
+        throw error;
+      }
+      return user;
+    },
+
+    async setUserRole(username, role) {
+      const [user] = await db.update(users)
+        .set({ role })
+        .where(eq(users.username, username))
+        .returning();
+      return user || null;
+    },
+
+    // 세션은 외래 키로 함께 지워짐
+    // 그 사용자가 쓴 댓글은 authorId를 비워 운영자만 관리하게 함
+    async deleteUser(username) {
+      return db.transaction(async (tx) => {
+        const [user] = await tx.delete(users)
+          .where(eq(users.username, username))
+          .returning();
+        if (!user) return null;
+
+        await tx.update(comments).set({ authorId: null }).where(eq(comments.authorId, user.id));
+        return user;
+      });
+    },
+
+    // Protections (문서/이름공간별 보호 수준)
+    async getProtections() {
+      const rows = await db.select().from(protections);
+      const result = { pages: {}, namespaces: {} };
+      for (const row of rows) {
+        result[row.kind === 'namespace' ? 'namespaces' : 'pages'][row.name] = row.level;
+      }
+      return result;
+    },
+
+    async setProtection({ kind, name, level, updatedBy }) {
+      if (!level) {
+        await db.delete(protections).where(and(eq(protections.kind, kind), eq(protections.name, name)));
+        return null;
+      }
+      const [protection] = await db.insert(protections)
+        .values({ kind, name, level, updatedBy })
+        .onConflictDoUpdate({
+          target: [protections.kind, protections.name],
+          set: { level, updatedBy, updatedAt: new Date() }
+        })
+        .returning();
+      const { id, ...rest } = protection;
+      return rest;
+    },
+
+    // Sessions (새 세션을 만들 때 만료된 세션을 정리)
+    async createSession({ tokenHash, username, expiresAt }) {
+      return db.transaction(async (tx) => {
+        const [user] = await tx.select({ id: users.id }).from(users).where(eq(users.username, username));
+        if (!user) return null;
+
+        await tx.delete(sessions).where(lt(sessions.expiresAt, new Date()));
+        const [session] = await tx.insert(sessions)
+          .values({ tokenHash, userId: user.id, expiresAt: new Date(expiresAt) })
+          .returning();
+        return { tokenHash: session.tokenHash, username, createdAt: session.createdAt, expiresAt: session.expiresAt };
+      });
+    },
+
+    async getSession(tokenHash) {
+      return findSession(tokenHash);
+    },
+
+    async deleteSession(tokenHash) {
+      const session = await findSession(tokenHash);
+      if (!session) return null;
+
+      await db.delete(sessions).where(eq(sessions.tokenHash, tokenHash));
+      return session;
+    }
+  };
+}
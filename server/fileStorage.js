@@ -1,18 +1,40 @@
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from 'url';
+import { decodeImageData } from './imageData.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const dataDir = path.join(__dirname, '../data');
-const pagesFile = path.join(dataDir, 'pages.json');
+const dataDir = process.env.WIKI_DATA_DIR || path.join(__dirname, '../data');
+
+// Layout: a small index plus one file per page, per revision history and per image
+//   index.json            { version, pages: { title: { id, createdAt, lastModified, revision } },
+//                           images: { name: { id, file, size, mimeType, uploadedAt } } }
+//   pages/<id>.json       { title, content, metadata, createdAt, lastModified }
+//   revisions/<id>.json   [revision, ...]
+//   images/<file>         raw image bytes
+//   comments.json         [{ id, pageTitle, author, content, history, hiddenBy, hiddenAt, createdAt, updatedAt }]
+//   users.json            { username: { id, username, passwordHash, salt, role, createdAt } }
+//   sessions.json         { tokenHash: { tokenHash, username, createdAt, expiresAt } }
+//   protections.json      { pages: { title: entry }, namespaces: { namespace: entry } },
+//                         entry = { level, updatedBy, updatedAt }
+const indexFile = path.join(dataDir, 'index.json');
+const pagesDir = path.join(dataDir, 'pages');
+const revisionsDir = path.join(dataDir, 'revisions');
+const imagesDir = path.join(dataDir, 'images');
 const commentsFile = path.join(dataDir, 'comments.json');
-const imagesFile = path.join(dataDir, 'images.json');
+const trashFile = path.join(dataDir, 'trash.json');
+const usersFile = path.join(dataDir, 'users.json');
+const sessionsFile = path.join(dataDir, 'sessions.json');
+const protectionsFile = path.join(dataDir, 'protections.json');
 
-// Ensure data directory exists
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
+// Single-file layout used before the index; migrated on startup
+const legacyPagesFile = path.join(dataDir, 'pages.json');
+const legacyImagesFile = path.join(dataDir, 'images.json');
+const legacyRevisionsFile = path.join(dataDir, 'revisions.json');
+
+const INDEX_VERSION = 1;
 
 // Initialize files if they don't exist
 function initializeFile(filePath, defaultContent = {}) {
@@ -21,24 +43,105 @@ function initializeFile(filePath, defaultContent = {}) {
   }
 }
 
-initializeFile(pagesFile, {});
-initializeFile(commentsFile, []);
-initializeFile(imagesFile, []);
+// Files whose last read failed to parse; they must not overwrite the good backup
+const corruptFiles = new Set();
+
+function defaultContentFor(filePath) {
+  if (filePath === indexFile) {
+    return { version: INDEX_VERSION, pages: {}, images: {} };
+  }
+  if (filePath === protectionsFile) {
+    return { pages: {}, namespaces: {} };
+  }
+  if (path.dirname(filePath) === revisionsDir) {
+    return [];
+  }
+  return filePath === commentsFile || filePath === legacyImagesFile || filePath === trashFile ? [] : {};
+}
 
 // Helper functions
 function readJsonFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return defaultContentFor(filePath);
+    throw error;
+  }
+
+  try {
+    const data = JSON.parse(content);
+    corruptFiles.delete(filePath);
+    return data;
+  } catch (error) {
+    // Reported once; later reads keep using the backup until the next write
+    const firstDetection = !corruptFiles.has(filePath);
+    if (firstDetection) {
+      console.error(`Error parsing ${filePath}:`, error);
+      corruptFiles.add(filePath);
+    }
+    return readBackupFile(filePath, firstDetection);
+  }
+}
+
+// Fall back to the last good copy; never hand back an empty store that
+// would be written over the real data on the next save
+function readBackupFile(filePath, firstDetection) {
+  const backupPath = `${filePath}.bak`;
   try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(content);
+    const data = JSON.parse(fs.readFileSync(backupPath, 'utf-8'));
+    if (firstDetection) {
+      console.warn(`⚠️ ${path.basename(filePath)} is corrupt, using backup ${path.basename(backupPath)}`);
+      preserveCorruptFile(filePath);
+    }
+    return data;
   } catch (error) {
-    console.error(`Error reading ${filePath}:`, error);
-    return filePath === commentsFile || filePath === imagesFile ? [] : {};
+    const corruptError = new Error(`${path.basename(filePath)} is corrupt and no usable backup was found`);
+    corruptError.code = 'DATA_CORRUPT';
+    throw corruptError;
   }
 }
 
-function writeJsonFile(filePath, data) {
+// Keep one copy of the corrupt file around for inspection
+function preserveCorruptFile(filePath) {
+  const corruptPath = `${filePath}.corrupt`;
   try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    if (!fs.existsSync(corruptPath)) {
+      fs.copyFileSync(filePath, corruptPath);
+    }
+  } catch (error) {
+    console.error(`Error preserving ${corruptPath}:`, error);
+  }
+}
+
+// Write to a temp file, fsync, then rename over the target so readers and
+// crashes only ever see the old or the new complete file
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Shared files (index, comments, trash) keep a .bak of the last good version;
+// per-page files are small and only ever replaced atomically
+function writeJsonFile(filePath, data, { backup = true } = {}) {
+  try {
+    if (backup && !corruptFiles.has(filePath) && fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    corruptFiles.delete(filePath);
     return true;
   } catch (error) {
     console.error(`Error writing ${filePath}:`, error);
@@ -46,140 +149,806 @@ function writeJsonFile(filePath, data) {
   }
 }
 
+// Per-file write queue: each read-modify-write runs after the previous one
+// on the same files has finished. All locks of an operation are taken at once,
+// so operations touching several files cannot deadlock.
+const fileLocks = new Map();
+
+async function withFileLock(files, operation) {
+  const lockedFiles = [...new Set(files)];
+  const previous = lockedFiles.map(file => fileLocks.get(file));
+
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  lockedFiles.forEach(file => fileLocks.set(file, current));
+
+  await Promise.all(previous);
+  try {
+    return await operation();
+  } finally {
+    release();
+    lockedFiles.forEach(file => {
+      if (fileLocks.get(file) === current) fileLocks.delete(file);
+    });
+  }
+}
+
+// Per-page and per-image files
+function pageFilePath(id) {
+  return path.join(pagesDir, `${id}.json`);
+}
+
+function revisionsFilePath(id) {
+  return path.join(revisionsDir, `${id}.json`);
+}
+
+function imageFilePath(file) {
+  return path.join(imagesDir, file);
+}
+
+function readIndex() {
+  return readJsonFile(indexFile);
+}
+
+function writePageFiles(id, page, revisions) {
+  return writeJsonFile(revisionsFilePath(id), revisions, { backup: false }) &&
+    writeJsonFile(pageFilePath(id), page, { backup: false });
+}
+
+function removePageFiles(id) {
+  fs.rmSync(pageFilePath(id), { force: true });
+  fs.rmSync(revisionsFilePath(id), { force: true });
+}
+
+// Images arrive as data URLs and are stored as raw bytes
+function imageFileName(id, mimeType) {
+  const extension = (mimeType || '').split('/')[1]?.split('+')[0].replace(/[^a-z0-9]/gi, '');
+  return extension ? `${id}.${extension}` : id;
+}
+
+// Image metadata without the bytes
+function toImage(name, entry) {
+  return {
+    id: entry.id,
+    name,
+    size: entry.size,
+    mimeType: entry.mimeType,
+    width: entry.width ?? null,
+    height: entry.height ?? null,
+    uploadedAt: entry.uploadedAt,
+    uploadedBy: entry.uploadedBy ?? null
+  };
+}
+
+// Comments written before edit trails, hiding and author ids existed lack those fields
+function toComment(comment) {
+  return { authorId: null, history: [], hiddenBy: null, hiddenAt: null, ...comment };
+}
+
+// Next numeric id: one above every existing id. Ids from Date.now() collided
+// when a bulk cleanup trashed several pages in the same millisecond.
+function nextId(items) {
+  return items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+}
+
+// Without legacy files a missing index.json means the index was lost, not that
+// the data folder is new: restore it from index.json.bak, or refuse to start
+// while page or image files exist rather than treat the wiki as empty.
+function recoverMissingIndex() {
+  const backupFile = `${indexFile}.bak`;
+  if (fs.existsSync(backupFile)) {
+    try {
+      JSON.parse(fs.readFileSync(backupFile, 'utf-8'));
+    } catch (error) {
+      const corruptError = new Error(`${path.basename(indexFile)} is missing and ${path.basename(backupFile)} is unreadable (${error.message})`);
+      corruptError.code = 'DATA_CORRUPT';
+      throw corruptError;
+    }
+    fs.copyFileSync(backupFile, indexFile);
+    console.warn(`⚠️ ${path.basename(indexFile)} was missing, restored from ${path.basename(backupFile)}`);
+    return;
+  }
+
+  const stored = [pagesDir, revisionsDir, imagesDir].some(dir => fs.readdirSync(dir).length > 0);
+  if (stored) {
+    const missingError = new Error(`${path.basename(indexFile)} is missing but ${dataDir} still holds pages or images; restore the index before starting`);
+    missingError.code = 'DATA_CORRUPT';
+    throw missingError;
+  }
+
+  // A new data folder
+  if (!writeJsonFile(indexFile, defaultContentFor(indexFile))) {
+    throw new Error('Failed to write storage index');
+  }
+}
+
+// Move data from the single-file layout (pages.json, revisions.json, images.json)
+// into the index layout. The index is written last, so an interrupted migration
+// simply runs again on the next start; the old files are kept as *.migrated.
+function migrateLegacyLayout() {
+  if (fs.existsSync(indexFile)) return;
+
+  const legacyFiles = [legacyPagesFile, legacyRevisionsFile, legacyImagesFile].filter(file => fs.existsSync(file));
+  if (legacyFiles.length === 0) {
+    recoverMissingIndex();
+    return;
+  }
+
+  // Leftovers of an interrupted migration (the legacy files are still the source)
+  for (const dir of [pagesDir, revisionsDir, imagesDir]) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const index = defaultContentFor(indexFile);
+  const legacyPages = readJsonFile(legacyPagesFile);
+  const legacyRevisions = readJsonFile(legacyRevisionsFile);
+  const legacyImages = readJsonFile(legacyImagesFile);
+
+  for (const [title, page] of Object.entries(legacyPages)) {
+    const id = crypto.randomUUID();
+    const content = page.content ?? page;
+    const lastModified = page.lastModified || new Date().toISOString();
+    const createdAt = page.createdAt || lastModified;
+    const pageRevisions = legacyRevisions[title] || [];
+
+    if (!writePageFiles(id, { title, content, metadata: page.metadata || {}, createdAt, lastModified }, pageRevisions)) {
+      throw new Error(`Failed to migrate page "${title}"`);
+    }
+    index.pages[title] = { id, createdAt, lastModified, revision: pageRevisions.length };
+  }
+
+  for (const image of legacyImages) {
+    const { mimeType, buffer } = decodeImageData(image.data, image.mimeType);
+    const file = imageFileName(crypto.randomUUID(), mimeType);
+
+    writeFileAtomic(imageFilePath(file), buffer);
+    index.images[image.name] = {
+      id: image.id,
+      file,
+      size: buffer.length,
+      mimeType,
+      uploadedAt: image.uploadedAt || new Date().toISOString()
+    };
+  }
+
+  if (!writeJsonFile(indexFile, index)) {
+    throw new Error('Failed to write storage index');
+  }
+  legacyFiles.forEach(file => fs.renameSync(file, `${file}.migrated`));
+
+  console.log(`📦 파일 저장소 변환 완료: 페이지 ${Object.keys(index.pages).length}개, 이미지 ${Object.keys(index.images).length}개`);
+}
+
+// Create the data directories and convert the old layout. Only runs when the
+// file backend is actually used (see createFileStorage), never with the DB backend.
+function prepareDataDir() {
+  for (const dir of [dataDir, pagesDir, revisionsDir, imagesDir]) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  initializeFile(commentsFile, []);
+  initializeFile(trashFile, []);
+  migrateLegacyLayout();
+}
+
+// Build an immutable revision entry; content is stored in full for each save
+function createRevision(rev, content, previousContent, { author, summary }) {
+  return {
+    rev,
+    content,
+    author: author || '익명',
+    summary: summary || '',
+    size: content.length,
+    sizeDelta: content.length - (previousContent ? previousContent.length : 0),
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Revision list entries without the (potentially large) content
+function toRevisionSummary({ content, ...revision }) {
+  return revision;
+}
+
 // File storage API
-export const fileStorage = {
+const fileStorage = {
   // Pages
   async getAllPageTitles() {
-    const pages = readJsonFile(pagesFile);
-    return Object.keys(pages);
+    return Object.keys(readIndex().pages);
+  },
+
+  async getAllPages() {
+    const index = readIndex();
+    return Object.entries(index.pages).map(([title, entry]) => {
+      const page = readJsonFile(pageFilePath(entry.id));
+      return {
+        title,
+        content: page.content || '',
+        metadata: page.metadata || {},
+        lastModified: entry.lastModified,
+        createdAt: entry.createdAt
+      };
+    });
   },
 
   async getPage(title) {
-    const pages = readJsonFile(pagesFile);
-    const page = pages[title];
-    if (!page) return null;
+    const entry = readIndex().pages[title];
+    if (!entry) return null;
+
+    const page = readJsonFile(pageFilePath(entry.id));
 
-    // Get comments for this page
+    // Get comments for this page, newest first
     const comments = readJsonFile(commentsFile);
-    const pageComments = comments.filter(c => c.pageTitle === title);
+    const pageComments = comments
+      .filter(c => c.pageTitle === title)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(toComment);
 
     return {
       title,
-      content: page.content || page, // Handle both old and new format
-      lastModified: page.lastModified || new Date().toISOString(),
+      content: page.content || '',
+      lastModified: entry.lastModified,
+      createdAt: entry.createdAt,
       metadata: page.metadata || {},
+      revision: entry.revision,
       comments: pageComments
     };
   },
 
-  async savePage(title, { content, metadata = {} }) {
-    const pages = readJsonFile(pagesFile);
-    const now = new Date().toISOString();
-    
-    pages[title] = {
-      content,
-      metadata,
-      lastModified: now,
-      createdAt: pages[title]?.createdAt || now
-    };
+  async savePage(title, { content, metadata = {}, author, summary, expectedRevision }) {
+    return withFileLock([indexFile], () => {
+      const index = readIndex();
+      const now = new Date().toISOString();
+      const existing = index.pages[title];
 
-    const success = writeJsonFile(pagesFile, pages);
-    if (success) {
-      return {
+      // Checked under the lock, so two saves from the same base cannot both pass
+      if (expectedRevision !== undefined && (existing ? existing.revision : 0) !== expectedRevision) {
+        const error = new Error('Edit conflict');
+        error.code = 'EDIT_CONFLICT';
+        throw error;
+      }
+      const id = existing ? existing.id : crypto.randomUUID();
+      const previous = existing ? readJsonFile(pageFilePath(id)) : null;
+      const previousContent = previous ? previous.content || '' : '';
+      const pageRevisions = existing ? readJsonFile(revisionsFilePath(id)) : [];
+
+      // Pages saved before revisions existed keep their old content as r1
+      if (existing && pageRevisions.length === 0) {
+        pageRevisions.push({
+          ...createRevision(1, previousContent, '', { author: previous.metadata?.lastModifiedBy, summary: '이전 내용' }),
+          createdAt: existing.lastModified || now
+        });
+      }
+
+      const revision = createRevision(pageRevisions.length + 1, content, previousContent, { author, summary });
+      pageRevisions.push(revision);
+
+      const createdAt = existing?.createdAt || now;
+      index.pages[title] = { id, createdAt, lastModified: now, revision: revision.rev };
+
+      // The index is written last so it never points at a missing page file
+      const success = writePageFiles(id, { title, content, metadata, createdAt, lastModified: now }, pageRevisions) &&
+        writeJsonFile(indexFile, index);
+      if (success) {
+        return {
+          title,
+          content,
+          metadata,
+          lastModified: now,
+          revision: revision.rev
+        };
+      }
+      throw new Error('Failed to save page');
+    });
+  },
+
+  // Rename a page, carrying over its comments and revision history.
+  // A revision recording the move is appended to the history.
+  async movePage(oldTitle, newTitle, { author } = {}) {
+    return withFileLock([indexFile, commentsFile], () => {
+      const index = readIndex();
+      const entry = index.pages[oldTitle];
+      if (!entry) return null;
+      if (index.pages[newTitle]) {
+        const error = new Error('Page already exists');
+        error.code = 'PAGE_EXISTS';
+        throw error;
+      }
+
+      const page = readJsonFile(pageFilePath(entry.id));
+      const comments = readJsonFile(commentsFile);
+      const content = page.content || '';
+      const pageRevisions = readJsonFile(revisionsFilePath(entry.id));
+
+      if (pageRevisions.length === 0) {
+        pageRevisions.push({
+          ...createRevision(1, content, '', { author: page.metadata?.lastModifiedBy, summary: '이전 내용' }),
+          createdAt: entry.lastModified || new Date().toISOString()
+        });
+      }
+      const revision = createRevision(pageRevisions.length + 1, content, content, {
+        author,
+        summary: `"${oldTitle}"에서 "${newTitle}"(으)로 문서 이동`
+      });
+      pageRevisions.push(revision);
+
+      index.pages[newTitle] = { ...entry, lastModified: revision.createdAt, revision: revision.rev };
+      delete index.pages[oldTitle];
+      comments.forEach(comment => {
+        if (comment.pageTitle === oldTitle) {
+          comment.pageTitle = newTitle;
+        }
+      });
+
+      const success = writePageFiles(entry.id, { ...page, title: newTitle, lastModified: revision.createdAt }, pageRevisions) &&
+        writeJsonFile(indexFile, index) &&
+        writeJsonFile(commentsFile, comments);
+      if (success) {
+        return {
+          title: newTitle,
+          content,
+          metadata: page.metadata || {},
+          lastModified: revision.createdAt,
+          revision: revision.rev
+        };
+      }
+      throw new Error('Failed to move page');
+    });
+  },
+
+  // Revisions
+  async getRevisions(title) {
+    const entry = readIndex().pages[title];
+    if (!entry) return null;
+    return readJsonFile(revisionsFilePath(entry.id)).map(toRevisionSummary).reverse();
+  },
+
+  async getRevision(title, rev) {
+    const entry = readIndex().pages[title];
+    if (!entry) return null;
+    return readJsonFile(revisionsFilePath(entry.id)).find(r => r.rev === rev) || null;
+  },
+
+  // Trash
+  async deletePage(title, { deletedBy, reason } = {}) {
+    return withFileLock([indexFile, commentsFile, trashFile], () => {
+      const index = readIndex();
+      const pageEntry = index.pages[title];
+      if (!pageEntry) return null;
+
+      const page = readJsonFile(pageFilePath(pageEntry.id));
+      const comments = readJsonFile(commentsFile);
+      const trash = readJsonFile(trashFile);
+
+      const entry = {
+        id: nextId(trash),
         title,
-        content,
-        metadata,
-        lastModified: now
+        content: page.content || '',
+        metadata: page.metadata || {},
+        comments: comments.filter(c => c.pageTitle === title),
+        revisions: readJsonFile(revisionsFilePath(pageEntry.id)),
+        createdAt: pageEntry.createdAt,
+        lastModified: pageEntry.lastModified,
+        deletedBy: deletedBy || '익명',
+        reason: reason || '',
+        deletedAt: new Date().toISOString()
       };
-    }
-    throw new Error('Failed to save page');
+
+      trash.push(entry);
+      delete index.pages[title];
+
+      // Trash is written first so a failure part-way never loses the page
+      const success = writeJsonFile(trashFile, trash) &&
+        writeJsonFile(indexFile, index) &&
+        writeJsonFile(commentsFile, comments.filter(c => c.pageTitle !== title));
+      if (success) {
+        removePageFiles(pageEntry.id);
+        return entry;
+      }
+      throw new Error('Failed to delete page');
+    });
+  },
+
+  async getTrash() {
+    const trash = readJsonFile(trashFile);
+    return trash
+      .map(({ content, comments, revisions, ...entry }) => ({
+        ...entry,
+        size: content.length,
+        commentCount: comments.length,
+        revisionCount: revisions.length
+      }))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  },
+
+  async restoreFromTrash(id) {
+    return withFileLock([indexFile, commentsFile, trashFile], () => {
+      const trash = readJsonFile(trashFile);
+      const entryIndex = trash.findIndex(t => t.id === id);
+      if (entryIndex === -1) return null;
+
+      const entry = trash[entryIndex];
+      const index = readIndex();
+      if (index.pages[entry.title]) {
+        const error = new Error('Page already exists');
+        error.code = 'PAGE_EXISTS';
+        throw error;
+      }
+
+      const comments = readJsonFile(commentsFile);
+      const pageId = crypto.randomUUID();
+
+      index.pages[entry.title] = {
+        id: pageId,
+        createdAt: entry.createdAt,
+        lastModified: entry.lastModified,
+        revision: entry.revisions.length
+      };
+      comments.push(...entry.comments);
+      trash.splice(entryIndex, 1);
+
+      const page = {
+        title: entry.title,
+        content: entry.content,
+        metadata: entry.metadata,
+        createdAt: entry.createdAt,
+        lastModified: entry.lastModified
+      };
+      const success = writePageFiles(pageId, page, entry.revisions) &&
+        writeJsonFile(indexFile, index) &&
+        writeJsonFile(commentsFile, comments) &&
+        writeJsonFile(trashFile, trash);
+      if (success) {
+        return entry;
+      }
+      throw new Error('Failed to restore page');
+    });
+  },
+
+  async purgeFromTrash(id) {
+    return withFileLock([trashFile], () => {
+      const trash = readJsonFile(trashFile);
+      const entryIndex = trash.findIndex(t => t.id === id);
+      if (entryIndex === -1) return null;
+
+      const purgedEntry = trash.splice(entryIndex, 1)[0];
+      const success = writeJsonFile(trashFile, trash);
+      if (success) {
+        return purgedEntry;
+      }
+      throw new Error('Failed to purge page');
+    });
   },
 
   // Comments
-  async addComment(pageTitle, { author, content }) {
-    const comments = readJsonFile(commentsFile);
-    const newComment = {
-      id: Date.now(), // Simple ID generation
-      pageTitle,
-      author,
-      content,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+  async addComment(pageTitle, { author, authorId = null, content }) {
+    return withFileLock([indexFile, commentsFile, trashFile], () => {
+      if (!readIndex().pages[pageTitle]) return null;
 
-    comments.push(newComment);
-    const success = writeJsonFile(commentsFile, comments);
-    if (success) {
-      return newComment;
-    }
-    throw new Error('Failed to add comment');
+      // Comments of trashed pages come back with their ids on restore, so they count too
+      const comments = readJsonFile(commentsFile);
+      const trashedComments = readJsonFile(trashFile).flatMap(entry => entry.comments || []);
+      const newComment = {
+        id: nextId([...comments, ...trashedComments]),
+        pageTitle,
+        author,
+        authorId,
+        content,
+        history: [],
+        hiddenBy: null,
+        hiddenAt: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      comments.push(newComment);
+      const success = writeJsonFile(commentsFile, comments);
+      if (success) {
+        return newComment;
+      }
+      throw new Error('Failed to add comment');
+    });
   },
 
-  async updateComment(commentId, { content }) {
-    const comments = readJsonFile(commentsFile);
-    const commentIndex = comments.findIndex(c => c.id === commentId);
-    
-    if (commentIndex === -1) return null;
+  async getComment(commentId) {
+    const comment = readJsonFile(commentsFile).find(c => c.id === commentId);
+    return comment ? toComment(comment) : null;
+  },
 
-    comments[commentIndex].content = content;
-    comments[commentIndex].updatedAt = new Date().toISOString();
+  // The previous content goes to the comment's edit trail
+  async updateComment(commentId, { content, editedBy }) {
+    return withFileLock([commentsFile], () => {
+      const comments = readJsonFile(commentsFile);
+      const commentIndex = comments.findIndex(c => c.id === commentId);
 
-    const success = writeJsonFile(commentsFile, comments);
-    if (success) {
-      return comments[commentIndex];
-    }
-    throw new Error('Failed to update comment');
+      if (commentIndex === -1) return null;
+
+      const comment = toComment(comments[commentIndex]);
+      const now = new Date().toISOString();
+      comments[commentIndex] = {
+        ...comment,
+        content,
+        history: [...comment.history, { content: comment.content, replacedBy: editedBy, replacedAt: now }],
+        updatedAt: now
+      };
+
+      const success = writeJsonFile(commentsFile, comments);
+      if (success) {
+        return comments[commentIndex];
+      }
+      throw new Error('Failed to update comment');
+    });
+  },
+
+  async setCommentHidden(commentId, { hidden, hiddenBy }) {
+    return withFileLock([commentsFile], () => {
+      const comments = readJsonFile(commentsFile);
+      const commentIndex = comments.findIndex(c => c.id === commentId);
+
+      if (commentIndex === -1) return null;
+
+      comments[commentIndex] = {
+        ...toComment(comments[commentIndex]),
+        hiddenBy: hidden ? hiddenBy : null,
+        hiddenAt: hidden ? new Date().toISOString() : null
+      };
+
+      const success = writeJsonFile(commentsFile, comments);
+      if (success) {
+        return comments[commentIndex];
+      }
+      throw new Error('Failed to hide comment');
+    });
   },
 
   async deleteComment(commentId) {
-    const comments = readJsonFile(commentsFile);
-    const commentIndex = comments.findIndex(c => c.id === commentId);
-    
-    if (commentIndex === -1) return null;
-
-    const deletedComment = comments.splice(commentIndex, 1)[0];
-    const success = writeJsonFile(commentsFile, comments);
-    if (success) {
-      return deletedComment;
-    }
-    throw new Error('Failed to delete comment');
+    return withFileLock([commentsFile], () => {
+      const comments = readJsonFile(commentsFile);
+      const commentIndex = comments.findIndex(c => c.id === commentId);
+
+      if (commentIndex === -1) return null;
+
+      const deletedComment = comments.splice(commentIndex, 1)[0];
+      const success = writeJsonFile(commentsFile, comments);
+      if (success) {
+        return toComment(deletedComment);
+      }
+      throw new Error('Failed to delete comment');
+    });
   },
 
   // Images
   async getAllImages() {
-    return readJsonFile(imagesFile);
+    const index = readIndex();
+    return Object.entries(index.images)
+      .sort(([, a], [, b]) => new Date(b.uploadedAt) - new Date(a.uploadedAt))
+      .map(([name, entry]) => toImage(name, entry));
   },
 
-  async saveImage({ name, data, size, mimeType }) {
-    const images = readJsonFile(imagesFile);
-    const newImage = {
-      id: Date.now(),
-      name,
-      data,
-      size,
-      mimeType,
-      uploadedAt: new Date().toISOString()
-    };
+  async getImage(name) {
+    const entry = readIndex().images[name];
+    return entry ? toImage(name, entry) : null;
+  },
+
+  async getImageBytes(name) {
+    const entry = readIndex().images[name];
+    if (!entry) return null;
 
-    images.push(newImage);
-    const success = writeJsonFile(imagesFile, images);
-    if (success) {
-      return newImage;
+    try {
+      return fs.readFileSync(imageFilePath(entry.file));
+    } catch (error) {
+      // Replaced or deleted between reading the index and the file
+      if (error.code === 'ENOENT') return null;
+      throw error;
     }
-    throw new Error('Failed to save image');
+  },
+
+  async saveImage({ name, bytes, mimeType, width, height, uploadedBy }) {
+    return withFileLock([indexFile], () => {
+      const index = readIndex();
+      const previous = index.images[name];
+      const file = imageFileName(crypto.randomUUID(), mimeType);
+      const entry = {
+        id: previous ? previous.id : nextId(Object.values(index.images)),
+        file,
+        size: bytes.length,
+        mimeType,
+        width: width ?? null,
+        height: height ?? null,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: uploadedBy ?? null
+      };
+
+      writeFileAtomic(imageFilePath(file), bytes);
+      index.images[name] = entry;
+      if (!writeJsonFile(indexFile, index)) {
+        fs.rmSync(imageFilePath(file), { force: true });
+        throw new Error('Failed to save image');
+      }
+
+      // Re-uploading a name replaces the old file
+      if (previous) {
+        fs.rmSync(imageFilePath(previous.file), { force: true });
+      }
+      return toImage(name, entry);
+    });
+  },
+
+  // Dimensions of images uploaded before they were recorded
+  async setImageSize(name, { width, height }) {
+    return withFileLock([indexFile], () => {
+      const index = readIndex();
+      const entry = index.images[name];
+      if (!entry) return null;
+
+      entry.width = width;
+      entry.height = height;
+      if (writeJsonFile(indexFile, index)) {
+        return toImage(name, entry);
+      }
+      throw new Error('Failed to update image');
+    });
   },
 
   async deleteImage(name) {
-    const images = readJsonFile(imagesFile);
-    const imageIndex = images.findIndex(img => img.name === name);
-    
-    if (imageIndex === -1) return null;
-
-    const deletedImage = images.splice(imageIndex, 1)[0];
-    const success = writeJsonFile(imagesFile, images);
-    if (success) {
-      return deletedImage;
-    }
-    throw new Error('Failed to delete image');
+    return withFileLock([indexFile], () => {
+      const index = readIndex();
+      const entry = index.images[name];
+      if (!entry) return null;
+
+      delete index.images[name];
+      const success = writeJsonFile(indexFile, index);
+      if (success) {
+        fs.rmSync(imageFilePath(entry.file), { force: true });
+        return toImage(name, entry);
+      }
+      throw new Error('Failed to delete image');
+    });
+  },
+
+  // Protections (per page and per namespace)
+  async getProtections() {
+    const stored = readJsonFile(protectionsFile);
+    const levels = entries => Object.fromEntries(Object.entries(entries).map(([name, entry]) => [name, entry.level]));
+    return { pages: levels(stored.pages), namespaces: levels(stored.namespaces) };
+  },
+
+  async setProtection({ kind, name, level, updatedBy }) {
+    return withFileLock([protectionsFile], () => {
+      const stored = readJsonFile(protectionsFile);
+      const entries = stored[kind === 'namespace' ? 'namespaces' : 'pages'];
+      const entry = level ? { level, updatedBy, updatedAt: new Date().toISOString() } : null;
+      if (entry) {
+        entries[name] = entry;
+      } else {
+        delete entries[name];
+      }
+      if (writeJsonFile(protectionsFile, stored)) {
+        return entry && { kind, name, ...entry };
+      }
+      throw new Error('Failed to save protection');
+    });
+  },
+
+  // Users
+  async getUser(username) {
+    const users = readJsonFile(usersFile);
+    return Object.hasOwn(users, username) ? users[username] : null;
+  },
+
+  async createUser({ username, passwordHash, salt }) {
+    return withFileLock([usersFile], () => {
+      const users = readJsonFile(usersFile);
+      if (Object.hasOwn(users, username)) {
+        const error = new Error('User already exists');
+        error.code = 'USER_EXISTS';
+        throw error;
+      }
+
+      const user = { id: nextId(Object.values(users)), username, passwordHash, salt, role: 'user', createdAt: new Date().toISOString() };
+      users[username] = user;
+      if (writeJsonFile(usersFile, users)) {
+        return user;
+      }
+      throw new Error('Failed to create user');
+    });
+  },
+
+  async setUserRole(username, role) {
+    return withFileLock([usersFile], () => {
+      const users = readJsonFile(usersFile);
+      if (!Object.hasOwn(users, username)) return null;
+
+      users[username] = { ...users[username], role };
+      if (writeJsonFile(usersFile, users)) {
+        return users[username];
+      }
+      throw new Error('Failed to update user');
+    });
+  },
+
+  // Also ends the user's sessions
+  // User ids can be handed out again, so the user's comments (trashed ones too)
+  // lose their authorId and become moderator-only
+  async deleteUser(username) {
+    return withFileLock([usersFile, sessionsFile, commentsFile, trashFile], () => {
+      const users = readJsonFile(usersFile);
+      if (!Object.hasOwn(users, username)) return null;
+
+      const user = users[username];
+      delete users[username];
+      const sessions = Object.fromEntries(
+        Object.entries(readJsonFile(sessionsFile)).filter(([, session]) => session.username !== username)
+      );
+      const disown = comment => comment.authorId === user.id ? { ...comment, authorId: null } : comment;
+      const comments = readJsonFile(commentsFile).map(disown);
+      const trash = readJsonFile(trashFile).map(entry => ({ ...entry, comments: (entry.comments || []).map(disown) }));
+      if (writeJsonFile(usersFile, users) && writeJsonFile(sessionsFile, sessions) &&
+          writeJsonFile(commentsFile, comments) && writeJsonFile(trashFile, trash)) {
+        return user;
+      }
+      throw new Error('Failed to delete user');
+    });
+  },
+
+  // Sessions (expired ones are dropped whenever a new one is created)
+  async createSession({ tokenHash, username, expiresAt }) {
+    return withFileLock([usersFile, sessionsFile], () => {
+      if (!Object.hasOwn(readJsonFile(usersFile), username)) return null;
+
+      const now = Date.now();
+      const sessions = Object.fromEntries(
+        Object.entries(readJsonFile(sessionsFile)).filter(([, session]) => new Date(session.expiresAt).getTime() > now)
+      );
+      const session = {
+        tokenHash,
+        username,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString()
+      };
+      sessions[tokenHash] = session;
+      if (writeJsonFile(sessionsFile, sessions)) {
+        return session;
+      }
+      throw new Error('Failed to create session');
+    });
+  },
+
+  // Joined with the user's current role, like the database backend
+  async getSession(tokenHash) {
+    const sessions = readJsonFile(sessionsFile);
+    if (!Object.hasOwn(sessions, tokenHash)) return null;
+
+    const session = sessions[tokenHash];
+    const users = readJsonFile(usersFile);
+    const user = Object.hasOwn(users, session.username) ? users[session.username] : undefined;
+    return { ...session, userId: user?.id ?? null, role: user?.role || 'user' };
+  },
+
+  async deleteSession(tokenHash) {
+    return withFileLock([sessionsFile], () => {
+      const sessions = readJsonFile(sessionsFile);
+      if (!Object.hasOwn(sessions, tokenHash)) return null;
+      const session = sessions[tokenHash];
+
+      delete sessions[tokenHash];
+      if (writeJsonFile(sessionsFile, sessions)) {
+        return session;
+      }
+      throw new Error('Failed to delete session');
+    });
+  }
+};
+
+let prepared = false;
+
+// File storage for the data directory, prepared on first use
+export function createFileStorage() {
+  if (!prepared) {
+    prepareDataDir();
+    prepared = true;
   }
-};
\ No newline at end of file
+  return fileStorage;
+}
@@ -0,0 +1,30 @@
+// 업로드된 이미지 data URL을 바이너리로 변환 (업로드 API와 저장소 공통)
+export function decodeImageData(data, mimeType) {
+  const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(data);
+  if (!match) {
+    return { mimeType, buffer: Buffer.from(data, 'base64') };
+  }
+  const buffer = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+  return { mimeType: match[1] || mimeType, buffer };
+}
+
+// 업로드를 받는 이미지 형식과 파일 앞부분의 시그니처 (null은 아무 바이트)
+// SVG처럼 스크립트를 담을 수 있는 형식이나 이미지가 아닌 파일은 받지 않음
+const IMAGE_SIGNATURES = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/gif': [0x47, 0x49, 0x46, 0x38],
+  'image/webp': [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]
+};
+
+export const ALLOWED_IMAGE_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+// 바이트로 알아낸 이미지 형식 (받지 않는 형식이면 null)
+export function detectImageType(buffer) {
+  const type = ALLOWED_IMAGE_TYPES.find(mimeType => {
+    const signature = IMAGE_SIGNATURES[mimeType];
+    return buffer.length >= signature.length &&
+      signature.every((byte, i) => byte === null || buffer[i] === byte);
+  });
+  return type || null;
+}
@@ -0,0 +1,131 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import sharp from "sharp";
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const variantsDir = path.join(process.env.WIKI_DATA_DIR || path.join(__dirname, '../data'), 'image-variants');
+
+// 썸네일/반응형 이미지 너비 (요청한 너비는 이 중 하나로 맞춤)
+export const VARIANT_WIDTHS = [160, 320, 640, 1280];
+
+// 줄여서 다시 인코딩할 수 있는 형식 (gif, svg 등은 항상 원본)
+const RESIZABLE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif'
+};
+
+export function canResizeImage(mimeType) {
+  return mimeType in RESIZABLE_FORMATS;
+}
+
+// 요청한 너비 이상인 가장 작은 변형 너비 (가장 큰 변형보다 크면 null = 원본)
+export function variantWidth(requestedWidth) {
+  return VARIANT_WIDTHS.find(width => width >= requestedWidth) || null;
+}
+
+// 표시되는 크기 (EXIF 회전 반영), 읽을 수 없으면 null
+export async function readImageSize(buffer) {
+  try {
+    const { width, height, orientation } = await sharp(buffer).metadata();
+    if (!width || !height) return null;
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  } catch (error) {
+    return null;
+  }
+}
+
+// srcset 값: 원본보다 작은 변형 + 원본 (크기를 모르면 null)
+export function imageSrcset(url, { mimeType, width }) {
+  if (!width || !canResizeImage(mimeType)) return null;
+
+  const entries = VARIANT_WIDTHS
+    .filter(variant => variant < width)
+    .map(variant => `${url}?w=${variant} ${variant}w`);
+  entries.push(`${url} ${width}w`);
+  return entries.join(', ');
+}
+
+// 같은 이름의 변형은 앞부분이 같아 한 번에 지울 수 있음
+function nameKey(name) {
+  return crypto.createHash('sha1').update(name).digest('hex').slice(0, 16);
+}
+
+// 다시 올리면 크기/업로드 시각이 바뀌어 새 캐시 파일을 씀
+function variantPath(image, width) {
+  const version = `${image.size.toString(16)}-${new Date(image.uploadedAt).getTime().toString(16)}`;
+  return path.join(variantsDir, `${nameKey(image.name)}-${version}-${width}`);
+}
+
+const pendingVariants = new Map();
+
+/**
+ * 너비를 줄인 이미지 (디스크 캐시, 처음 요청할 때 생성)
+ * loadBytes는 캐시가 없을 때만 호출됨.
+ * 새로 만든 경우 원본 크기(sourceSize)도 함께 돌려줌.
+ */
+export async function getImageVariant(image, width, loadBytes) {
+  const filePath = variantPath(image, width);
+  try {
+    return { buffer: fs.readFileSync(filePath) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // 동시에 들어온 같은 요청은 한 번만 생성
+  if (!pendingVariants.has(filePath)) {
+    const pending = createVariant(image, width, filePath, loadBytes)
+      .finally(() => pendingVariants.delete(filePath));
+    pendingVariants.set(filePath, pending);
+  }
+  return pendingVariants.get(filePath);
+}
+
+async function createVariant(image, width, filePath, loadBytes) {
+  const bytes = await loadBytes();
+  if (!bytes) return null;
+
+  const sourceSize = await readImageSize(bytes);
+
+  // 원본이 더 작으면 다시 인코딩하지 않고 원본을 그대로 씀
+  let buffer = bytes;
+  if (!sourceSize || sourceSize.width > width) {
+    try {
+      buffer = await sharp(bytes)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(RESIZABLE_FORMATS[image.mimeType])
+        .toBuffer();
+    } catch (error) {
+      // 디코딩할 수 없는 이미지는 변형 없이 원본을 보냄 (브라우저는 읽을 수도 있음, 캐시하지 않음)
+      console.error(`이미지 변형을 만들지 못해 원본을 보냅니다 (${image.name}):`, error.message);
+      return { buffer: bytes, sourceSize };
+    }
+  }
+
+  fs.mkdirSync(variantsDir, { recursive: true });
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  fs.writeFileSync(tempPath, buffer);
+  fs.renameSync(tempPath, filePath);
+
+  return { buffer, sourceSize };
+}
+
+// 이미지를 다시 올리거나 지울 때 캐시된 변형 삭제
+export function removeImageVariants(name) {
+  const prefix = `${nameKey(name)}-`;
+  let files;
+  try {
+    files = fs.readdirSync(variantsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  files
+    .filter(file => file.startsWith(prefix))
+    .forEach(file => fs.rmSync(path.join(variantsDir, file), { force: true }));
+}
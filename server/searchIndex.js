@@ -0,0 +1,262 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from 'url';
+import { searchResultsPage, parseQuery } from '../shared/search.js';
+import { isHangul, isInitialsQuery } from '../shared/hangul.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const indexFile = path.join(process.env.WIKI_DATA_DIR || path.join(__dirname, '../data'), 'search-index.json');
+
+// 색인 형식이 바뀌면 올려서 다시 만들게 함
+const INDEX_VERSION = 1;
+
+// 후보가 이보다 많으면 한 장씩 읽지 않고 getAllPages로 한 번에 읽음
+const BULK_LOAD_THRESHOLD = 50;
+
+// 변경을 모아서 저장
+const SAVE_DELAY_MS = 1000;
+
+const time = value => new Date(value).getTime();
+
+/**
+ * 색인 단위: 글자(1-gram)와 이웃한 두 글자(2-gram)
+ * 한글은 조사가 붙어 띄어쓰기 단위로는 맞지 않으므로("위키에서" ↔ "위키")
+ * 부분 문자열이 들어 있는 문서는 그 부분의 1/2-gram을 모두 가짐.
+ */
+export function textGrams(text) {
+  const grams = new Set();
+  for (const word of (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+    const chars = Array.from(word);
+    for (let i = 0; i < chars.length; i++) {
+      grams.add(chars[i]);
+      if (i + 1 < chars.length) grams.add(chars[i] + chars[i + 1]);
+    }
+  }
+  return grams;
+}
+
+// 검색어 조각에 필요한 gram (2글자 이상이면 2-gram만으로 충분)
+// 마지막 한글은 입력 중일 수 있으므로 빼고, 초성 검색어는 색인으로 좁히지 않음 (빈 배열)
+function queryGrams(term) {
+  if (isInitialsQuery(term)) return [];
+  const grams = textGrams(isHangul(term[term.length - 1]) ? term.slice(0, -1) : term);
+  const bigrams = [...grams].filter(gram => Array.from(gram).length === 2);
+  return bigrams.length > 0 ? bigrams : [...grams];
+}
+
+/**
+ * 저장소 위의 역색인 (gram → 문서 제목)
+ * 디스크에는 문서별 gram 목록과 lastModified만 저장하고, 시작할 때 바뀐 문서만 다시 색인함.
+ * 후보 문서를 고른 뒤 점수와 스니펫은 shared/search.js로 계산 (localStorage 모드와 같은 결과).
+ */
+export function createSearchIndex(storage) {
+  const docs = new Map();      // title → { lastModified, grams }
+  const postings = new Map();  // gram → Set(title)
+  let synced = false;
+  let saveTimer = null;
+
+  function addDoc(title, lastModified, grams) {
+    docs.set(title, { lastModified, grams });
+    for (const gram of grams) {
+      if (!postings.has(gram)) postings.set(gram, new Set());
+      postings.get(gram).add(title);
+    }
+  }
+
+  function removeDoc(title) {
+    const doc = docs.get(title);
+    if (!doc) return;
+    for (const gram of doc.grams) {
+      const titles = postings.get(gram);
+      titles.delete(title);
+      if (titles.size === 0) postings.delete(gram);
+    }
+    docs.delete(title);
+  }
+
+  function indexPage(page) {
+    removeDoc(page.title);
+    addDoc(page.title, time(page.lastModified), [...textGrams(`${page.title}\n${page.content || ''}`)]);
+  }
+
+  function readIndexFile() {
+    try {
+      const data = JSON.parse(fs.readFileSync(indexFile, 'utf-8'));
+      if (data.version !== INDEX_VERSION) return;
+      for (const [title, doc] of Object.entries(data.docs)) {
+        addDoc(title, doc.lastModified, doc.grams);
+      }
+    } catch (error) {
+      // 색인은 언제든 다시 만들 수 있으므로 읽지 못하면 처음부터 만듦
+      if (error.code !== 'ENOENT') console.error('검색 색인을 읽지 못해 다시 만듭니다:', error.message);
+    }
+  }
+
+  function writeIndexFile() {
+    saveTimer = null;
+    const data = { version: INDEX_VERSION, docs: Object.fromEntries(docs) };
+    try {
+      const tempPath = `${indexFile}.tmp-${process.pid}`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, indexFile);
+    } catch (error) {
+      console.error('검색 색인 저장 실패:', error);
+    }
+  }
+
+  function scheduleSave() {
+    if (!saveTimer) {
+      saveTimer = setTimeout(writeIndexFile, SAVE_DELAY_MS);
+      saveTimer.unref();
+    }
+  }
+
+  // 저장된 색인을 현재 문서와 맞춤 (바뀐 문서만 다시 색인)
+  async function sync() {
+    readIndexFile();
+
+    const pages = await storage.getAllPages();
+    const titles = new Set(pages.map(page => page.title));
+    let changed = 0;
+
+    for (const title of [...docs.keys()]) {
+      if (!titles.has(title)) {
+        removeDoc(title);
+        changed++;
+      }
+    }
+    for (const page of pages) {
+      const doc = docs.get(page.title);
+      if (!doc || doc.lastModified !== time(page.lastModified)) {
+        indexPage(page);
+        changed++;
+      }
+    }
+
+    if (changed > 0) writeIndexFile();
+    synced = true;
+    console.log(`🔎 검색 색인 준비됨: 문서 ${docs.size}개 (다시 색인 ${changed}개)`);
+  }
+
+  const ready = sync().catch(error => {
+    console.error('검색 색인을 만들지 못해 전체 검색으로 대신합니다:', error);
+  });
+
+  // 검색어/문구나 title: 값의 gram을 모두 가진 문서 (좁힐 gram이 없으면 null)
+  function clauseCandidates(clause) {
+    let titles = null;
+    for (const gram of queryGrams(clause.value)) {
+      const found = postings.get(gram) || new Set();
+      titles = titles ? new Set([...titles].filter(title => found.has(title))) : new Set(found);
+    }
+    return titles;
+  }
+
+  // 모든 조건 묶음을 만족할 수 있는 문서
+  // 제외 조건, 태그/분류/날짜 필터처럼 gram으로 좁힐 수 없는 묶음은 건너뜀 (전체가 후보)
+  function findCandidates(query) {
+    let candidates = null;
+    for (const group of parseQuery(query)) {
+      const narrowable = group.every(clause =>
+        !clause.negate && (clause.field === 'text' || clause.field === 'title'));
+      if (!narrowable) continue;
+
+      const groupTitles = new Set();
+      for (const clause of group) {
+        const titles = clauseCandidates(clause);
+        if (!titles) {
+          // 기호만 있거나 한 글자(입력 중), 초성인 검색어는 색인으로 좁힐 수 없음
+          groupTitles.clear();
+          docs.forEach((doc, title) => groupTitles.add(title));
+          break;
+        }
+        titles.forEach(title => groupTitles.add(title));
+      }
+
+      candidates = candidates
+        ? new Set([...candidates].filter(title => groupTitles.has(title)))
+        : groupTitles;
+      if (candidates.size === 0) return candidates;
+    }
+    return candidates || new Set(docs.keys());
+  }
+
+  async function loadPages(titles) {
+    if (titles.size > BULK_LOAD_THRESHOLD) {
+      return (await storage.getAllPages()).filter(page => titles.has(page.title));
+    }
+    const pages = await Promise.all([...titles].map(title => storage.getPage(title)));
+    return pages.filter(Boolean);
+  }
+
+  return {
+    ready,
+
+    /**
+     * 검색 결과 한 쪽 (shared/search.js의 searchResultsPage와 같은 형태: 결과, 전체 수, 분류/태그별 수)
+     */
+    async search(query, options = {}) {
+      await ready;
+      if (!synced) {
+        return searchResultsPage(await storage.getAllPages(), query, options);
+      }
+
+      if (parseQuery(query).length === 0) return searchResultsPage([], query, options);
+      const candidates = findCandidates(query);
+      if (candidates.size === 0) return searchResultsPage([], query, options);
+      return searchResultsPage(await loadPages(candidates), query, options);
+    },
+
+    async updatePage(page) {
+      await ready;
+      indexPage(page);
+      scheduleSave();
+    },
+
+    async removePage(title) {
+      await ready;
+      removeDoc(title);
+      scheduleSave();
+    }
+  };
+}
+
+/**
+ * 문서를 바꾸는 저장소 메서드가 끝나면 색인도 갱신하는 저장소
+ */
+export function withSearchIndex(storage, searchIndex) {
+  return {
+    ...storage,
+
+    async savePage(title, page) {
+      const saved = await storage.savePage(title, page);
+      await searchIndex.updatePage(saved);
+      return saved;
+    },
+
+    async movePage(oldTitle, newTitle, options) {
+      const moved = await storage.movePage(oldTitle, newTitle, options);
+      if (moved) {
+        await searchIndex.removePage(oldTitle);
+        await searchIndex.updatePage(moved);
+      }
+      return moved;
+    },
+
+    async deletePage(title, options) {
+      const entry = await storage.deletePage(title, options);
+      if (entry) await searchIndex.removePage(title);
+      return entry;
+    },
+
+    async restoreFromTrash(id) {
+      const entry = await storage.restoreFromTrash(id);
+      if (entry) {
+        const page = await storage.getPage(entry.title);
+        if (page) await searchIndex.updatePage(page);
+      }
+      return entry;
+    }
+  };
+}
@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from 'url';
+import { canModerate } from '../shared/protection.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 차단 목록 파일: 한 줄에 하나, #으로 시작하는 줄은 주석
+// /패턴/은 정규식, 나머지는 대소문자를 가리지 않는 부분 문자열 (단어나 링크 도메인)
+const blocklistFile = process.env.SPAM_BLOCKLIST_FILE ||
+  path.join(process.env.WIKI_DATA_DIR || path.join(__dirname, '../data'), 'blocklist.txt');
+
+// 요청 수를 세는 기간
+const RATE_WINDOW_MS = 10 * 60 * 1000;
+
+// 댓글 폼 토큰을 받고 이보다 빨리 보낸 댓글은 봇으로 봄
+const MIN_COMMENT_FORM_MS = 3000;
+
+// 이보다 오래된 댓글 폼 토큰은 받지 않음 (토큰 하나를 계속 다시 쓰지 못하게)
+const MAX_COMMENT_FORM_MS = 24 * 60 * 60 * 1000;
+
+// 댓글 폼 토큰 서명용 비밀값 (다시 시작하면 열려 있던 폼은 토큰을 새로 받음)
+const commentTokenSecret = process.env.COMMENT_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+// 기간 안에 허용하는 요청 수 (RATE_LIMIT_SAVES=60처럼 바꿀 수 있고 0이면 제한 없음)
+function limitFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * IP와 로그인한 사용자별로 기간 안의 요청 수를 제한하는 미들웨어 (넘으면 429)
+ * 로그인한 요청은 IP와 사용자 양쪽에 세어, 계정을 여러 개 만들거나 IP를 바꿔도 피할 수 없게 함.
+ * 운영자와 관리자는 제한하지 않음. message는 429 응답에 담아 보내는 안내 문구.
+ */
+export function createRateLimiter(max, message, windowMs = RATE_WINDOW_MS) {
+  const hits = new Map();  // key → 기간 안의 요청 시각
+  const recentHits = (key, now) => (hits.get(key) || []).filter(time => now - time < windowMs);
+
+  // 오래된 기록 정리
+  setInterval(() => {
+    const now = Date.now();
+    for (const key of hits.keys()) {
+      const recent = recentHits(key, now);
+      if (recent.length > 0) hits.set(key, recent);
+      else hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return function rateLimit(req, res, next) {
+    if (max <= 0 || canModerate(req.user)) return next();
+
+    const now = Date.now();
+    const keys = [`ip:${req.ip}`, ...(req.user ? [`user:${req.user.username}`] : [])];
+    const recent = keys.map(key => recentHits(key, now));
+    const full = recent.filter(times => times.length >= max);
+    if (full.length > 0) {
+      const retryAfter = Math.ceil(Math.max(...full.map(times => times[times.length - max] + windowMs - now)) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: "Too many requests", message, retryAfter });
+    }
+
+    keys.forEach((key, i) => hits.set(key, [...recent[i], now]));
+    next();
+  };
+}
+
+export const rateLimits = {
+  saves: createRateLimiter(limitFromEnv('RATE_LIMIT_SAVES', 30), '편집이 너무 잦습니다.'),
+  comments: createRateLimiter(limitFromEnv('RATE_LIMIT_COMMENTS', 10), '댓글을 너무 자주 달았습니다.'),
+  uploads: createRateLimiter(limitFromEnv('RATE_LIMIT_UPLOADS', 10), '이미지를 너무 자주 올렸습니다.'),
+  // 로그인과 가입 시도 (비밀번호 대입 막기)
+  logins: createRateLimiter(limitFromEnv('RATE_LIMIT_LOGINS', 10), '로그인 시도가 너무 잦습니다.')
+};
+
+function parseBlocklistEntry(line) {
+  const pattern = line.match(/^\/(.+)\/$/);
+  if (!pattern) {
+    const term = line.toLowerCase();
+    return { term: line, matches: text => text.toLowerCase().includes(term) };
+  }
+  try {
+    const regex = new RegExp(pattern[1], 'iu');
+    return { term: line, matches: text => regex.test(text) };
+  } catch (error) {
+    console.error(`차단 목록의 정규식을 건너뜁니다 (${line}):`, error.message);
+    return null;
+  }
+}
+
+// 파일이 바뀌었을 때만 다시 읽음 (서버를 다시 시작하지 않아도 적용)
+let blocklist = { mtimeMs: null, entries: [] };
+
+function loadBlocklist() {
+  let stat;
+  try {
+    stat = fs.statSync(blocklistFile);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('차단 목록을 읽지 못했습니다:', error.message);
+    return [];
+  }
+  if (stat.mtimeMs !== blocklist.mtimeMs) {
+    const entries = fs.readFileSync(blocklistFile, 'utf-8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(parseBlocklistEntry)
+      .filter(Boolean);
+    blocklist = { mtimeMs: stat.mtimeMs, entries };
+  }
+  return blocklist.entries;
+}
+
+/**
+ * 새로 들어간 차단 항목 (없으면 null)
+ * previousText에 이미 있던 항목은 세지 않음: 목록에 추가되기 전부터 있던 문서도 계속 편집할 수 있게
+ */
+export function findBlockedTerm(text, previousText = '') {
+  for (const entry of loadBlocklist()) {
+    if (entry.matches(text || '') && !entry.matches(previousText || '')) {
+      return entry.term;
+    }
+  }
+  return null;
+}
+
+function signCommentToken(payload) {
+  return crypto.createHmac('sha256', commentTokenSecret).update(payload).digest('base64url');
+}
+
+/**
+ * 댓글 폼 토큰: 서버가 서명한 발급 시각 ('발급 시각.임의값.서명')
+ * 작성 시간을 클라이언트가 보낸 값이 아니라 이 시각부터 서버에서 잼.
+ * 임의값은 같은 순간에 받은 토큰끼리 서명이 겹치지 않게 함 (서명으로 쓴 토큰을 기록)
+ */
+export function issueCommentToken(now = Date.now()) {
+  const payload = `${now}.${crypto.randomBytes(9).toString('base64url')}`;
+  return `${payload}.${signCommentToken(payload)}`;
+}
+
+// 서명이 맞으면 { issuedAt, signature }, 아니면 null
+function verifyCommentToken(token) {
+  const [issuedAt, nonce, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!/^\d+$/.test(issuedAt || '') || !nonce || !signature) return null;
+
+  const expected = Buffer.from(signCommentToken(`${issuedAt}.${nonce}`));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+    ? { issuedAt: Number(issuedAt), signature }
+    : null;
+}
+
+// 이미 쓴 토큰의 서명 → 만료 시각 (토큰 하나로 댓글은 하나만)
+const spentCommentTokens = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [signature, expiresAt] of spentCommentTokens) {
+    if (expiresAt <= now) spentCommentTokens.delete(signature);
+  }
+}, RATE_WINDOW_MS).unref();
+
+/**
+ * 댓글 폼의 봇 함정 확인 (통과하면 null, 아니면 거부 이유)
+ * website: 사람에게는 보이지 않는 입력이라 비어 있어야 함
+ * token: issueCommentToken으로 받은 토큰 (없거나 위조됐거나 너무 오래됐거나 이미 썼으면 'invalid-token')
+ * 통과한 토큰은 쓴 것으로 기록하므로 다시 통과하지 못함
+ */
+export function commentTrapReason({ website, token }, now = Date.now()) {
+  if (website) return 'honeypot';
+  const verified = verifyCommentToken(token);
+  if (!verified || now - verified.issuedAt > MAX_COMMENT_FORM_MS) return 'invalid-token';
+  if (now - verified.issuedAt < MIN_COMMENT_FORM_MS) return 'too-fast';
+  if (spentCommentTokens.has(verified.signature)) return 'invalid-token';
+
+  spentCommentTokens.set(verified.signature, verified.issuedAt + MAX_COMMENT_FORM_MS);
+  return null;
+}
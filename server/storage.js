@@ -0,0 +1,57 @@
+import { db, isDatabaseAvailable } from './db.js';
+import { createDbStorage } from './dbStorage.js';
+import { createFileStorage } from './fileStorage.js';
+import { createSearchIndex, withSearchIndex } from './searchIndex.js';
+
+// 저장소 백엔드 선택: DATABASE_URL이 있으면 Drizzle(PostgreSQL), 없으면 파일
+//
+// 두 백엔드는 같은 인터페이스를 구현하며 결과 형태와 정렬도 같음
+// (check_storage.js로 확인). 없는 대상은 null, 제목 충돌은 error.code === 'PAGE_EXISTS'.
+// savePage에 expectedRevision(새 문서면 0)을 주면 저장하는 순간의 최신 판이 다를 때 error.code === 'EDIT_CONFLICT'.
+//
+// Pages
+//   getAllPageTitles()                          → [title]
+//   getAllPages()                               → [{ title, content, metadata, lastModified, createdAt }]
+//   getPage(title)                              → { title, content, metadata, lastModified, createdAt, revision, comments } | null
+//   savePage(title, { content, metadata, author, summary, expectedRevision })
+//                                               → { title, content, metadata, lastModified, revision }
+//   movePage(oldTitle, newTitle, { author })    → 저장된 페이지 | null
+//   deletePage(title, { deletedBy, reason })    → 휴지통 항목 | null
+// Revisions
+//   getRevisions(title)                         → 최신순 리비전 목록 (내용 제외) | null
+//   getRevision(title, rev)                     → { rev, content, author, summary, size, sizeDelta, createdAt } | null
+// Trash
+//   getTrash()                                  → 최근 삭제순 [{ id, title, ..., size, commentCount, revisionCount }]
+//   restoreFromTrash(id), purgeFromTrash(id)    → 휴지통 항목 | null
+// Comments (페이지 댓글은 최신순)
+//   addComment(pageTitle, { author, authorId, content })
+//                                               → { id, pageTitle, author, authorId, content, history, hiddenBy, hiddenAt, createdAt, updatedAt } | null
+//                                                 authorId는 로그인해 쓴 사용자의 id (익명 댓글과 예전 댓글은 null)
+//   getComment(id), deleteComment(id)           → 댓글 | null
+//   updateComment(id, { content, editedBy })    → 댓글 | null (이전 내용은 history에 { content, replacedBy, replacedAt }로 쌓임)
+//   setCommentHidden(id, { hidden, hiddenBy })  → 댓글 | null (숨기면 hiddenBy/hiddenAt, 되돌리면 null)
+// Images (최근 업로드순, 같은 이름으로 저장하면 덮어씀, 바이트는 getImageBytes로만)
+//   getAllImages(), getImage(name)              → [{ id, name, size, mimeType, width, height, uploadedAt }], 이미지 | null
+//   getImageBytes(name)                         → Buffer | null
+//   saveImage({ name, bytes, mimeType, width, height }) → 이미지 (size는 bytes 길이, 모르는 크기는 null)
+//   setImageSize(name, { width, height }), deleteImage(name) → 이미지 | null
+//   (이미지에는 올린 사용자 uploadedBy도 있음 - saveImage({ ..., uploadedBy }), 모르면 null)
+// Protections (shared/protection.js의 수준: 'anyone' | 'user' | 'admin')
+//   getProtections()                            → { pages: { title: level }, namespaces: { namespace: level } }
+//   setProtection({ kind: 'page' | 'namespace', name, level, updatedBy })
+//                                               → { kind, name, level, updatedBy, updatedAt } (있으면 덮어씀)
+//                                                 level이 null이면 지우고 기본값으로 되돌림 → null
+// Users (비밀번호는 해시와 솔트로만, server/auth.js 참고)
+//   getUser(username)                           → { id, username, passwordHash, salt, role, createdAt } | null
+//   createUser({ username, passwordHash, salt }) → 사용자 (role은 'user', 같은 이름이 있으면 error.code === 'USER_EXISTS')
+//   setUserRole(username, role)                 → 사용자 | null ('user' | 'moderator' | 'admin', 운영자 도구에서만)
+//   deleteUser(username)                        → 사용자 | null (그 사용자의 세션도 지우고, 그 사용자 댓글의 authorId는 비움)
+// Sessions (쿠키 토큰이 아니라 그 해시로 저장, 만료 확인은 호출하는 쪽에서)
+//   createSession({ tokenHash, username, expiresAt }) → { tokenHash, username, createdAt, expiresAt } | null (없는 사용자)
+//   getSession(tokenHash)                       → { tokenHash, userId, username, role, createdAt, expiresAt } | null
+//   deleteSession(tokenHash)                    → 세션 | null
+const backend = isDatabaseAvailable && db ? createDbStorage(db) : createFileStorage();
+
+// 검색 색인 (server/searchIndex.js): storage로 저장/이동/삭제/복원하면 함께 갱신됨
+export const searchIndex = createSearchIndex(backend);
+export const storage = withSearchIndex(backend, searchIndex);
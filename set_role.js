@@ -0,0 +1,29 @@
+// 사용자 역할을 바꾸는 운영자용 스크립트 (웹에서는 역할을 바꿀 수 없음)
+// 사용법: node set_role.js <사용자 이름> <user|moderator|admin>
+import { storage } from './server/storage.js';
+import { ROLES } from './server/auth.js';
+
+async function setRole() {
+    const [username, role] = process.argv.slice(2);
+
+    if (!username || !ROLES.includes(role)) {
+        console.error(`사용법: node set_role.js <사용자 이름> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    try {
+        const user = await storage.setUserRole(username, role);
+        if (!user) {
+            console.error(`❌ 사용자 "${username}"이(가) 없습니다 (먼저 가입해야 합니다)`);
+            process.exit(1);
+        }
+        console.log(`✅ ${username}의 역할을 ${role}(으)로 바꿨습니다`);
+    } catch (error) {
+        console.error('❌ 역할을 바꾸지 못했습니다:', error);
+        process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+setRole();
@@ -0,0 +1,274 @@
+// 리비전 비교용 diff 유틸리티
+
+// Beyond this many edits we stop searching and treat the rest as replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Myers diff of two arrays.
+ * Returns ops of { type: 'equal' | 'delete' | 'insert', value }
+ */
+export function diffSequences(a, b) {
+  // Common prefix/suffix are trimmed first; typical edits touch a small middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', value: a[i] });
+  ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  for (let i = endA; i < a.length; i++) ops.push({ type: 'equal', value: a[i] });
+
+  return ops;
+}
+
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0 || m === 0) {
+    return [
+      ...a.map(value => ({ type: 'delete', value })),
+      ...b.map(value => ({ type: 'insert', value }))
+    ];
+  }
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  // trace[d] keeps only the window of v that backtracking at step d reads
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  // Too different to be worth an exact diff
+  return [
+    ...a.map(value => ({ type: 'delete', value })),
+    ...b.map(value => ({ type: 'insert', value }))
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const window = trace[d];
+    const at = k => window[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', value: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Split text into lines (a trailing newline does not produce an empty line)
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Word-level diff of two lines; whitespace is kept as its own token
+ */
+export function diffWords(oldLine, newLine) {
+  const tokenize = line => line.split(/(\s+)/).filter(token => token !== '');
+  return diffSequences(tokenize(oldLine), tokenize(newLine))
+    .map(({ type, value }) => ({ type, text: value }));
+}
+
+/**
+ * Line-level diff with line numbers and word-level detail for changed lines.
+ * Returns { lines: [{ type, text, oldNumber?, newNumber?, words? }], added, removed }
+ */
+export function diffText(oldText, newText) {
+  const ops = diffSequences(splitLines(oldText), splitLines(newText));
+  const lines = [];
+  let oldNumber = 0;
+  let newNumber = 0;
+  let added = 0;
+  let removed = 0;
+
+  for (let i = 0; i < ops.length; i++) {
+    if (ops[i].type === 'equal') {
+      oldNumber++;
+      newNumber++;
+      lines.push({ type: 'equal', text: ops[i].value, oldNumber, newNumber });
+      continue;
+    }
+
+    // Collect a run of deletions followed by insertions and pair them up
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type === 'delete') deleted.push(ops[i++].value);
+    while (i < ops.length && ops[i].type === 'insert') inserted.push(ops[i++].value);
+    i--;
+
+    deleted.forEach((text, index) => {
+      const line = { type: 'delete', text, oldNumber: ++oldNumber };
+      if (index < inserted.length) {
+        line.words = diffWords(text, inserted[index]).filter(word => word.type !== 'insert');
+      }
+      lines.push(line);
+    });
+
+    inserted.forEach((text, index) => {
+      const line = { type: 'insert', text, newNumber: ++newNumber };
+      if (index < deleted.length) {
+        line.words = diffWords(deleted[index], text).filter(word => word.type !== 'delete');
+      }
+      lines.push(line);
+    });
+
+    added += inserted.length;
+    removed += deleted.length;
+  }
+
+  return { lines, added, removed };
+}
+
+/**
+ * Changed regions of base → other as hunks { start, end, lines },
+ * where base lines [start, end) are replaced by lines
+ */
+function toHunks(baseLines, otherLines) {
+  const ops = diffSequences(baseLines, otherLines);
+  const hunks = [];
+  let position = 0;
+
+  for (let i = 0; i < ops.length; i++) {
+    if (ops[i].type === 'equal') {
+      position++;
+      continue;
+    }
+
+    const hunk = { start: position, end: position, lines: [] };
+    while (i < ops.length && ops[i].type !== 'equal') {
+      if (ops[i].type === 'delete') {
+        hunk.end++;
+      } else {
+        hunk.lines.push(ops[i].value);
+      }
+      i++;
+    }
+    i--;
+    position = hunk.end;
+    hunks.push(hunk);
+  }
+
+  return hunks;
+}
+
+// One side's version of base lines [start, end) with its hunks applied
+function applyHunks(baseLines, hunks, start, end) {
+  const lines = [];
+  let position = start;
+  for (const hunk of hunks) {
+    lines.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  }
+  lines.push(...baseLines.slice(position, end));
+  return lines;
+}
+
+/**
+ * Line-based three-way merge of two edits made from the same base.
+ * Changes to separate regions are combined; changes that overlap or touch
+ * are kept as conflict markers (unless both sides made the same change).
+ * Returns { content, conflicts } where conflicts is the number of conflicting hunks
+ */
+export function merge3(baseText, mineText, theirsText, { mineLabel = 'mine', theirsLabel = 'theirs' } = {}) {
+  const baseLines = splitLines(baseText);
+  const mineHunks = toHunks(baseLines, splitLines(mineText)).map(hunk => ({ ...hunk, side: 'mine' }));
+  const theirsHunks = toHunks(baseLines, splitLines(theirsText)).map(hunk => ({ ...hunk, side: 'theirs' }));
+  const hunks = [...mineHunks, ...theirsHunks].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const lines = [];
+  let position = 0;
+  let conflicts = 0;
+
+  for (let i = 0; i < hunks.length; i++) {
+    // Group hunks whose base ranges overlap or touch
+    const group = [hunks[i]];
+    let end = hunks[i].end;
+    while (i + 1 < hunks.length && hunks[i + 1].start <= end) {
+      group.push(hunks[++i]);
+      end = Math.max(end, hunks[i].end);
+    }
+    const start = group[0].start;
+
+    lines.push(...baseLines.slice(position, start));
+    position = end;
+
+    const mineGroup = group.filter(hunk => hunk.side === 'mine');
+    const theirsGroup = group.filter(hunk => hunk.side === 'theirs');
+    const mine = applyHunks(baseLines, mineGroup, start, end);
+    const theirs = applyHunks(baseLines, theirsGroup, start, end);
+
+    if (theirsGroup.length === 0 || mine.join('\n') === theirs.join('\n')) {
+      lines.push(...mine);
+    } else if (mineGroup.length === 0) {
+      lines.push(...theirs);
+    } else {
+      conflicts++;
+      lines.push(`<<<<<<< ${mineLabel}`, ...mine, '=======', ...theirs, `>>>>>>> ${theirsLabel}`);
+    }
+  }
+  lines.push(...baseLines.slice(position));
+
+  const trailingNewline = /\n$/.test(mineText || '') ? '\n' : '';
+  return { content: lines.length > 0 ? lines.join('\n') + trailingNewline : '', conflicts };
+}
+
+if (typeof window !== 'undefined') {
+  window.WikiDiff = { diffSequences, diffWords, diffText, splitLines, merge3 };
+}
@@ -0,0 +1,67 @@
+// 오타에 너그러운 제목 비교: 한글은 자모 단위, 라틴 문자는 글자 단위 편집 거리
+import { decomposeHangul } from './hangul.js';
+
+export const DEFAULT_SIMILAR_LIMIT = 5;
+
+/**
+ * Levenshtein distance between two strings (by code point).
+ * Stops early and returns maxDistance + 1 once the distance is known to exceed it.
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  const source = Array.from(a);
+  const target = Array.from(b);
+  if (Math.abs(source.length - target.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[target.length];
+}
+
+// 비교용 형태: 소문자, 공백 무시, 한글은 자모로 ('목록' 과 '묵록' 은 한 글자 차이)
+function comparable(title) {
+  return decomposeHangul(title.toLowerCase().replace(/\s+/g, ''));
+}
+
+// 허용하는 오타 수: 비교 단위 세 개마다 하나 (최소 하나)
+function allowedDistance(length) {
+  return Math.max(1, Math.floor(length / 3));
+}
+
+/**
+ * Existing titles closest to what was typed, for "did you mean ...?".
+ * Returns up to `limit` of { title, distance }, closest first; the title itself is excluded.
+ */
+export function findSimilarTitles(titles, query, { limit = DEFAULT_SIMILAR_LIMIT } = {}) {
+  const target = comparable(query || '');
+  if (!target) return [];
+
+  const similar = [];
+  for (const title of titles) {
+    if (title === query) continue;
+
+    const candidate = comparable(title);
+    const maxDistance = allowedDistance(Math.max(Array.from(candidate).length, Array.from(target).length));
+    const distance = editDistance(candidate, target, maxDistance);
+    if (distance <= maxDistance) {
+      similar.push({ title, distance });
+    }
+  }
+
+  return similar
+    .sort((a, b) => a.distance - b.distance || a.title.localeCompare(b.title))
+    .slice(0, limit);
+}
+
+if (typeof window !== 'undefined') {
+  window.WikiFuzzy = { editDistance, findSimilarTitles, DEFAULT_SIMILAR_LIMIT };
+}
@@ -0,0 +1,138 @@
+// 한글 자모 분해: 초성 검색과 입력 중인(조합 중인) 글자 검색용
+
+const SYLLABLE_FIRST = 0xAC00;
+const SYLLABLE_LAST = 0xD7A3;
+const JUNGSEONG_COUNT = 21;
+const JONGSEONG_COUNT = 28;
+
+const CHOSEONG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// 겹모음/겹받침은 키보드로 치는 순서대로 나눔 (ㅘ → ㅗㅏ, ㄺ → ㄹㄱ)
+const JUNGSEONG = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅗㅏ', 'ㅗㅐ', 'ㅗㅣ', 'ㅛ', 'ㅜ', 'ㅜㅓ', 'ㅜㅔ', 'ㅜㅣ', 'ㅠ', 'ㅡ', 'ㅡㅣ', 'ㅣ'];
+const JONGSEONG = ['', 'ㄱ', 'ㄲ', 'ㄱㅅ', 'ㄴ', 'ㄴㅈ', 'ㄴㅎ', 'ㄷ', 'ㄹ', 'ㄹㄱ', 'ㄹㅁ', 'ㄹㅂ', 'ㄹㅅ', 'ㄹㅌ', 'ㄹㅍ', 'ㄹㅎ', 'ㅁ', 'ㅂ', 'ㅂㅅ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// 따로 입력된 겹자모 (호환 자모)
+const COMPOUND_JAMO = {
+  'ㄳ': 'ㄱㅅ', 'ㄵ': 'ㄴㅈ', 'ㄶ': 'ㄴㅎ', 'ㄺ': 'ㄹㄱ', 'ㄻ': 'ㄹㅁ', 'ㄼ': 'ㄹㅂ', 'ㄽ': 'ㄹㅅ',
+  'ㄾ': 'ㄹㅌ', 'ㄿ': 'ㄹㅍ', 'ㅀ': 'ㄹㅎ', 'ㅄ': 'ㅂㅅ',
+  'ㅘ': 'ㅗㅏ', 'ㅙ': 'ㅗㅐ', 'ㅚ': 'ㅗㅣ', 'ㅝ': 'ㅜㅓ', 'ㅞ': 'ㅜㅔ', 'ㅟ': 'ㅜㅣ', 'ㅢ': 'ㅡㅣ'
+};
+
+function isSyllable(char) {
+  const code = char.charCodeAt(0);
+  return code >= SYLLABLE_FIRST && code <= SYLLABLE_LAST;
+}
+
+// 호환 자모 (ㄱ-ㅣ)
+function isJamo(char) {
+  return char >= 'ㄱ' && char <= 'ㅣ';
+}
+
+export function isHangul(char) {
+  return !!char && (isSyllable(char) || isJamo(char));
+}
+
+/**
+ * Split Hangul into keyboard-order jamo: '닭' → 'ㄷㅏㄹㄱ', '과' → 'ㄱㅗㅏ'.
+ * Other characters are kept as they are.
+ */
+export function decomposeHangul(text) {
+  let result = '';
+  for (const char of text || '') {
+    if (isSyllable(char)) {
+      const offset = char.charCodeAt(0) - SYLLABLE_FIRST;
+      const jongseong = offset % JONGSEONG_COUNT;
+      const jungseong = Math.floor(offset / JONGSEONG_COUNT) % JUNGSEONG_COUNT;
+      const choseong = Math.floor(offset / (JONGSEONG_COUNT * JUNGSEONG_COUNT));
+      result += CHOSEONG[choseong] + JUNGSEONG[jungseong] + JONGSEONG[jongseong];
+    } else {
+      result += COMPOUND_JAMO[char] || char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Initial consonant (초성) of each syllable: '할일 목록' → 'ㅎㅇ ㅁㄹ'
+ */
+export function initialConsonants(text) {
+  let result = '';
+  for (const char of text || '') {
+    result += isSyllable(char)
+      ? CHOSEONG[Math.floor((char.charCodeAt(0) - SYLLABLE_FIRST) / (JONGSEONG_COUNT * JUNGSEONG_COUNT))]
+      : char;
+  }
+  return result;
+}
+
+/**
+ * Whether a search term is made only of consonants (a 초성 query like 'ㅎㅇㅁㄹ')
+ */
+export function isInitialsQuery(term) {
+  return /^[ㄱ-ㅎ]+$/.test(term || '');
+}
+
+/**
+ * Where the 초성 query occurs in text, ignoring spaces ('ㅎㅇㅁㄹ' matches '할일 목록').
+ * Returns { start, length } ranges over the original text.
+ */
+export function findInitialsMatches(text, initials) {
+  const positions = [];
+  let skeleton = '';
+  const chars = initialConsonants(text || '');
+  for (let i = 0; i < chars.length; i++) {
+    if (/\s/.test(chars[i])) continue;
+    positions.push(i);
+    skeleton += chars[i];
+  }
+
+  const ranges = [];
+  let index = skeleton.indexOf(initials);
+  while (index !== -1) {
+    const start = positions[index];
+    const end = positions[index + initials.length - 1] + 1;
+    ranges.push({ start, length: end - start });
+    index = skeleton.indexOf(initials, index + initials.length);
+  }
+  return ranges;
+}
+
+/**
+ * Matches of a term whose last character may still be composing in the IME:
+ * everything before it must match exactly, and the last character only has to be
+ * the beginning of what follows in jamo ('할이' matches '할일', '간' matches '가나').
+ * Returns { start, length } ranges; terms not ending in Hangul match exactly.
+ */
+export function findComposingMatches(text, term) {
+  const ranges = [];
+  if (!text || !term) return ranges;
+
+  const last = term[term.length - 1];
+  if (!isHangul(last)) {
+    let index = text.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, length: term.length });
+      index = text.indexOf(term, index + term.length);
+    }
+    return ranges;
+  }
+
+  const prefix = term.slice(0, -1);
+  const lastJamo = decomposeHangul(last);
+  let index = text.indexOf(prefix);
+  while (index !== -1 && index + prefix.length < text.length) {
+    const next = index + prefix.length;
+    // 받침이 다음 글자 초성으로 넘어갈 수 있으므로 두 글자까지 봄
+    if (decomposeHangul(text.slice(next, next + 2)).startsWith(lastJamo)) {
+      ranges.push({ start: index, length: prefix.length + 1 });
+      index = text.indexOf(prefix, next + 1);
+    } else {
+      index = text.indexOf(prefix, index + 1);
+    }
+  }
+  return ranges;
+}
+
+if (typeof window !== 'undefined') {
+  window.WikiHangul = { isHangul, decomposeHangul, initialConsonants, isInitialsQuery, findInitialsMatches, findComposingMatches };
+}
@@ -0,0 +1,47 @@
+// 이미지 점검: 아무 문서도 쓰지 않는 이미지와 없는 이미지를 가리키는 참조
+import { extractImageNames, imageFilePageTitle } from './wikiSyntax.js';
+
+/**
+ * Build the image maintenance report.
+ * pages: [{ title, content }], images: [{ name, ... }]
+ * Returns {
+ *   unused: images no page embeds, each with filePage (its 파일: page title or null),
+ *   broken: [{ name, pages }] for embedded names that have no image
+ * }
+ * An image's own 파일: page does not count as a use.
+ */
+export function buildImageReport(pages, images) {
+  const imageNames = new Set(images.map(image => image.name));
+  const pageTitles = new Set(pages.map(page => page.title));
+  const usedImages = new Set();
+  const brokenRefs = new Map();
+
+  for (const page of pages) {
+    for (const name of extractImageNames(page.content)) {
+      if (!imageNames.has(name)) {
+        if (!brokenRefs.has(name)) brokenRefs.set(name, []);
+        brokenRefs.get(name).push(page.title);
+      } else if (page.title !== imageFilePageTitle(name)) {
+        usedImages.add(name);
+      }
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    unused: images
+      .filter(image => !usedImages.has(image.name))
+      .map(image => {
+        const filePage = imageFilePageTitle(image.name);
+        return { ...image, filePage: pageTitles.has(filePage) ? filePage : null };
+      })
+      .sort(byName),
+    broken: [...brokenRefs]
+      .map(([name, titles]) => ({ name, pages: titles.sort((a, b) => a.localeCompare(b)) }))
+      .sort(byName)
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.WikiImageReport = { buildImageReport };
+}
@@ -0,0 +1,75 @@
+// 편집 권한: 문서 보호 수준(누구나 / 로그인한 사용자 / 관리자)과 댓글 관리
+
+export const PROTECTION_LEVELS = ['anyone', 'user', 'admin'];
+
+export const PROTECTION_LABELS = {
+  anyone: '누구나',
+  user: '로그인한 사용자',
+  admin: '관리자'
+};
+
+// 이름공간별로 보호할 수 있는 접두어 ('틀:목록' → '틀')
+export const PROTECTABLE_NAMESPACES = ['분류', '파일', '틀'];
+
+// 따로 정하지 않았을 때의 보호 수준 (저장된 값이 있으면 그것을 씀)
+// 파일: 문서는 이미지 업로드/삭제 권한이기도 해서 익명 업로드는 막힘 - 관리자가 '파일'을 'anyone'으로 저장하면 다시 열림
+export const DEFAULT_PROTECTIONS = {
+  pages: { '대문': 'user' },
+  namespaces: { '틀': 'user', '파일': 'user' }
+};
+
+export function namespaceOf(title) {
+  const index = (title || '').indexOf(':');
+  if (index === -1) return null;
+  const namespace = title.slice(0, index);
+  return PROTECTABLE_NAMESPACES.includes(namespace) ? namespace : null;
+}
+
+/**
+ * Level needed to edit a title: the stricter of its page and namespace levels.
+ * protections: { pages: { title: level }, namespaces: { namespace: level } } as stored
+ */
+export function protectionLevel(title, protections = {}) {
+  const pages = { ...DEFAULT_PROTECTIONS.pages, ...protections.pages };
+  const namespaces = { ...DEFAULT_PROTECTIONS.namespaces, ...protections.namespaces };
+  const namespace = namespaceOf(title);
+
+  const levels = [
+    Object.hasOwn(pages, title) ? pages[title] : 'anyone',
+    namespace && Object.hasOwn(namespaces, namespace) ? namespaces[namespace] : 'anyone'
+  ];
+  return levels.reduce((strictest, level) =>
+    PROTECTION_LEVELS.indexOf(level) > PROTECTION_LEVELS.indexOf(strictest) ? level : strictest);
+}
+
+/**
+ * Whether a user ({ username, role } or null when not logged in) may edit at a level
+ */
+export function canEdit(user, level) {
+  if (level === 'admin') return user?.role === 'admin';
+  if (level === 'user') return !!user;
+  return true;
+}
+
+/**
+ * Moderators (and admins) may edit, delete and hide anyone's comments
+ */
+export function canModerate(user) {
+  return user?.role === 'admin' || user?.role === 'moderator';
+}
+
+/**
+ * Whether a user may edit or delete a comment: the account that wrote it or a moderator.
+ * Ownership goes by the account id stored on the comment, not the author name, so comments
+ * written without logging in (익명-...) and older comments without authorId are moderator-only.
+ */
+export function canManageComment(user, comment) {
+  return !!user && ((comment.authorId != null && comment.authorId === user.id) || canModerate(user));
+}
+
+if (typeof window !== 'undefined') {
+  window.WikiProtection = {
+    PROTECTION_LEVELS, PROTECTION_LABELS, PROTECTABLE_NAMESPACES, DEFAULT_PROTECTIONS,
+    namespaceOf, protectionLevel, canEdit, canModerate, canManageComment
+  };
+}
@@ -1,4 +1,4 @@
-import { pgTable, serial, text, timestamp, jsonb, integer } from 'drizzle-orm/pg-core';
+import { pgTable, serial, text, timestamp, jsonb, integer, customType, unique } from 'drizzle-orm/pg-core';
 import { relations } from 'drizzle-orm';
 
 // 위키 페이지 테이블
@@ -15,29 +15,105 @@ export const pages = pgTable('pages', {
   }>().default({}),
 });
 
-// 댓글 테이블
+// 댓글 테이블 - 고치기 전 내용은 history에, 운영자가 숨긴 댓글은 hiddenBy/hiddenAt이 있음
 export const comments = pgTable('comments', {
   id: serial('id').primaryKey(),
   pageId: integer('page_id').references(() => pages.id, { onDelete: 'cascade' }).notNull(),
   author: text('author').notNull(),
+  authorId: integer('author_id'), // 로그인해 쓴 사용자의 id (익명 댓글과 예전 댓글은 null)
   content: text('content').notNull(),
+  history: jsonb('history').$type<CommentVersion[]>().default([]).notNull(),
+  hiddenBy: text('hidden_by'),
+  hiddenAt: timestamp('hidden_at'),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
 
+// 리비전(판) 테이블 - 저장할 때마다 불변 기록으로 추가됨
+export const revisions = pgTable('revisions', {
+  id: serial('id').primaryKey(),
+  pageId: integer('page_id').references(() => pages.id, { onDelete: 'cascade' }).notNull(),
+  rev: integer('rev').notNull(),
+  content: text('content').notNull(),
+  author: text('author').notNull(),
+  summary: text('summary').default('').notNull(),
+  size: integer('size').notNull(),
+  sizeDelta: integer('size_delta').notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => [unique().on(table.pageId, table.rev)]); // 같은 문서에 같은 판 번호는 하나뿐
+
+// 휴지통 테이블 - 삭제된 페이지를 댓글/리비전과 함께 보관
+export const deletedPages = pgTable('deleted_pages', {
+  id: serial('id').primaryKey(),
+  title: text('title').notNull(),
+  content: text('content').notNull(),
+  metadata: jsonb('metadata').$type<{
+    tags?: string[];
+    categories?: string[];
+    lastModifiedBy?: string;
+  }>().default({}),
+  comments: jsonb('comments').default([]).notNull(),
+  revisions: jsonb('revisions').default([]).notNull(),
+  createdAt: timestamp('created_at').notNull(),
+  lastModified: timestamp('last_modified').notNull(),
+  deletedBy: text('deleted_by').notNull(),
+  reason: text('reason').default('').notNull(),
+  deletedAt: timestamp('deleted_at').defaultNow().notNull(),
+});
+
+// 바이너리 컬럼 (PostgreSQL bytea ↔ Buffer)
+const bytea = customType<{ data: Buffer }>({
+  dataType() {
+    return 'bytea';
+  },
+});
+
 // 이미지 테이블
 export const images = pgTable('images', {
   id: serial('id').primaryKey(),
   name: text('name').notNull().unique(),
-  data: text('data').notNull(), // Base64 encoded image data
+  content: bytea('content'), // 이미지 바이트
+  data: text('data'), // 이전 Base64 data URL (content로 옮기기 전의 행만)
   size: integer('size').notNull(),
   mimeType: text('mime_type').notNull(),
+  width: integer('width'), // 픽셀 크기 (모르면 null)
+  height: integer('height'),
   uploadedAt: timestamp('uploaded_at').defaultNow().notNull(),
+  uploadedBy: text('uploaded_by'), // 올린 사용자 (기록 전에 올린 이미지는 null)
+});
+
+// 사용자 계정 - 비밀번호는 솔트를 넣은 scrypt 해시로만 저장
+export const users = pgTable('users', {
+  id: serial('id').primaryKey(),
+  username: text('username').notNull().unique(),
+  passwordHash: text('password_hash').notNull(),
+  salt: text('salt').notNull(),
+  role: text('role').notNull().default('user'), // 'user' | 'moderator' | 'admin' (운영자만 set_role.js로 바꿈)
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+});
+
+// 로그인 세션 - 쿠키 토큰 대신 그 SHA-256 해시를 저장
+export const sessions = pgTable('sessions', {
+  tokenHash: text('token_hash').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
 });
 
+// 문서/이름공간 보호 수준 - 행이 없으면 shared/protection.js의 기본값
+export const protections = pgTable('protections', {
+  id: serial('id').primaryKey(),
+  kind: text('kind').notNull(), // 'page' | 'namespace'
+  name: text('name').notNull(), // 문서 제목 또는 이름공간 ('틀')
+  level: text('level').notNull(), // 'anyone' | 'user' | 'admin'
+  updatedBy: text('updated_by').notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => [unique().on(table.kind, table.name)]);
+
 // Relations
 export const pagesRelations = relations(pages, ({ many }) => ({
   comments: many(comments),
+  revisions: many(revisions),
 }));
 
 export const commentsRelations = relations(comments, ({ one }) => ({
@@ -47,10 +123,29 @@ export const commentsRelations = relations(comments, ({ one }) => ({
   }),
 }));
 
+export const revisionsRelations = relations(revisions, ({ one }) => ({
+  page: one(pages, {
+    fields: [revisions.pageId],
+    references: [pages.id],
+  }),
+}));
+
 // TypeScript types
 export type Page = typeof pages.$inferSelect;
 export type InsertPage = typeof pages.$inferInsert;
 export type Comment = typeof comments.$inferSelect;
 export type InsertComment = typeof comments.$inferInsert;
+// 고치기 전 댓글 내용 (replacedBy가 replacedAt에 새 내용으로 바꿈)
+export type CommentVersion = { content: string; replacedBy: string; replacedAt: string };
+export type Revision = typeof revisions.$inferSelect;
+export type InsertRevision = typeof revisions.$inferInsert;
+export type DeletedPage = typeof deletedPages.$inferSelect;
+export type InsertDeletedPage = typeof deletedPages.$inferInsert;
 export type Image = typeof images.$inferSelect;
-export type InsertImage = typeof images.$inferInsert;
\ No newline at end of file
+export type InsertImage = typeof images.$inferInsert;
+export type User = typeof users.$inferSelect;
+export type InsertUser = typeof users.$inferInsert;
+export type Session = typeof sessions.$inferSelect;
+export type InsertSession = typeof sessions.$inferInsert;
+export type Protection = typeof protections.$inferSelect;
+export type InsertProtection = typeof protections.$inferInsert;
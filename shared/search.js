@@ -0,0 +1,381 @@
+// 문서 검색: 제목/내용/태그/분류 점수 매기기와 스니펫
+import { extractMetadata } from './wikiSyntax.js';
+import { isInitialsQuery, findInitialsMatches, findComposingMatches } from './hangul.js';
+
+export const DEFAULT_RESULT_LIMIT = 20;
+
+// 스니펫에서 일치 위치 앞뒤로 보여줄 글자 수
+const SNIPPET_BEFORE = 40;
+const SNIPPET_AFTER = 100;
+
+// 본문 일치 횟수는 이만큼까지만 점수에 반영 (긴 문서가 제목 일치를 이기지 않도록)
+const MAX_CONTENT_HITS = 10;
+
+const SCORES = {
+  titleExact: 100,
+  titlePrefix: 50,
+  title: 30,
+  titleInitials: 20,
+  tag: 15,
+  category: 15,
+  content: 1
+};
+
+// 검색어 문법: title:, tag:, category:, ns:, modified:, created: 필드와 "문구", -제외, OR
+const QUERY_FIELDS = ['title', 'tag', 'category', 'ns', 'modified', 'created'];
+const QUERY_TOKEN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const DATE_FILTER = /^(>=|<=|>|<|=)?(\d{4})-(\d{1,2})-(\d{1,2})$/;
+
+// modified:>2025-08-01 → { from, to } (현지 시각 기준, to는 포함하지 않음)
+function parseDateFilter(value) {
+  const match = DATE_FILTER.exec(value);
+  if (!match) return null;
+
+  const [year, month, day] = [Number(match[2]), Number(match[3]) - 1, Number(match[4])];
+  const dayStart = new Date(year, month, day).getTime();
+  const nextDay = new Date(year, month, day + 1).getTime();
+  switch (match[1]) {
+    case '>': return { from: nextDay, to: Infinity };
+    case '>=': return { from: dayStart, to: Infinity };
+    case '<': return { from: -Infinity, to: dayStart };
+    case '<=': return { from: -Infinity, to: nextDay };
+    default: return { from: dayStart, to: nextDay };
+  }
+}
+
+function toClause(negate, field, value) {
+  field = field && field.toLowerCase();
+  if (field && !QUERY_FIELDS.includes(field)) {
+    // http://... 처럼 필드가 아닌 콜론은 그냥 검색어
+    value = `${field}:${value}`;
+    field = null;
+  }
+  value = value.trim();
+  if (!value) return null;
+
+  if (field === 'modified' || field === 'created') {
+    const range = parseDateFilter(value);
+    return range ? { field, range, negate } : null;
+  }
+  return { field: field || 'text', value: value.toLowerCase(), negate };
+}
+
+/**
+ * Parse a search query into groups of clauses.
+ * Groups are ANDed; clauses joined with OR share a group.
+ * Clause: { field: 'text' | 'title' | 'tag' | 'category' | 'ns', value, negate }
+ *      or { field: 'modified' | 'created', range: { from, to }, negate }
+ * e.g. 'title:회의 "주간 보고" -초안 tag:a OR tag:b modified:>2025-08-01'
+ */
+export function parseQuery(query) {
+  const groups = [];
+  let joinNext = false;
+
+  for (const [, negate, field, quoted, bare] of (query || '').matchAll(QUERY_TOKEN)) {
+    if (!negate && !field && quoted === undefined && bare === 'OR') {
+      joinNext = groups.length > 0;
+      continue;
+    }
+
+    const clause = toClause(!!negate, field, quoted !== undefined ? quoted : bare);
+    if (!clause) continue;
+
+    if (joinNext) {
+      groups[groups.length - 1].push(clause);
+    } else {
+      groups.push([clause]);
+    }
+    joinNext = false;
+  }
+  return groups;
+}
+
+/**
+ * Words to highlight for a query: positive free-text terms and phrases,
+ * plus title: values when highlighting titles
+ */
+export function queryHighlightTerms(query, { includeTitle = false } = {}) {
+  const terms = parseQuery(query)
+    .flat()
+    .filter(clause => !clause.negate && (clause.field === 'text' || (includeTitle && clause.field === 'title')))
+    .map(clause => clause.value);
+  return [...new Set(terms)];
+}
+
+/**
+ * Where a lowercased term occurs in lowercased text. The last Hangul character may
+ * still be composing in the IME ('할이' finds '할일'); with `initials`, a consonant-only
+ * term is matched against 초성 ('ㅎㅇㅁㄹ' finds '할일 목록'), which is used for titles.
+ */
+function termMatches(text, term, { initials = false } = {}) {
+  if (initials && isInitialsQuery(term)) {
+    return findInitialsMatches(text, term);
+  }
+  // 자음만 친 검색어는 본문에서 조합 중 글자로 보지 않음 (한 글자만 쳐도 거의 모든 문서가 맞음)
+  if (isInitialsQuery(term)) {
+    return exactMatches(text, term);
+  }
+  return findComposingMatches(text, term);
+}
+
+function exactMatches(text, term) {
+  const ranges = [];
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    ranges.push({ start: index, length: term.length });
+    index = text.indexOf(term, index + term.length);
+  }
+  return ranges;
+}
+
+/**
+ * Where the terms occur in text, as sorted non-overlapping { start, length } ranges
+ * (see termMatches for Hangul handling; `initials` enables 초성 matching)
+ */
+export function findHighlights(text, terms, options = {}) {
+  const lower = (text || '').toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    for (const { start, length } of termMatches(lower, term, options)) {
+      ranges.push([start, start + length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+
+  const merged = [];
+  for (const [start, end] of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged.map(([start, end]) => ({ start, length: end - start }));
+}
+
+/**
+ * Plain-text context around the first match of the terms (all of them together first).
+ * Falls back to the start of the content when nothing in it matches.
+ */
+export function buildSnippet(content, terms) {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  let index = terms.length > 0 ? lower.indexOf(terms.join(' ')) : -1;
+  if (index === -1) {
+    const positions = terms
+      .map(term => termMatches(lower, term))
+      .filter(matches => matches.length > 0)
+      .map(matches => matches[0].start);
+    index = positions.length > 0 ? Math.min(...positions) : 0;
+  }
+
+  const start = Math.max(0, index - SNIPPET_BEFORE);
+  const end = Math.min(text.length, index + SNIPPET_AFTER);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+// 저장된 메타데이터가 없으면 본문에서 태그/분류를 읽음
+function pageMetadata(page) {
+  return page.metadata && (page.metadata.tags || page.metadata.categories)
+    ? page.metadata
+    : extractMetadata(page.content || '');
+}
+
+// 문서에서 검색에 쓰는 값 (소문자)
+function pageFields(page, metadata) {
+  return {
+    title: page.title.toLowerCase(),
+    content: (page.content || '').toLowerCase(),
+    tags: (metadata.tags || []).map(tag => tag.toLowerCase()),
+    categories: (metadata.categories || []).map(category => category.toLowerCase()),
+    modified: new Date(page.lastModified).getTime(),
+    created: new Date(page.createdAt || page.lastModified).getTime()
+  };
+}
+
+/**
+ * Whether one clause (ignoring negate) matches, and its score and matched fields.
+ * Returns null when it does not match.
+ */
+function matchClause(fields, clause) {
+  const { value } = clause;
+  switch (clause.field) {
+    case 'title':
+      return termMatches(fields.title, value, { initials: true }).length > 0
+        ? { score: SCORES.title, matchedIn: ['title'] }
+        : null;
+    case 'tag':
+      return fields.tags.includes(value) ? { score: 0, matchedIn: ['tag'] } : null;
+    case 'category':
+      return fields.categories.includes(value) ? { score: 0, matchedIn: ['category'] } : null;
+    case 'ns':
+      return fields.title.startsWith(`${value}:`) ? { score: 0, matchedIn: [] } : null;
+    case 'modified':
+    case 'created': {
+      const time = fields[clause.field];
+      return time >= clause.range.from && time < clause.range.to ? { score: 0, matchedIn: [] } : null;
+    }
+  }
+
+  // 필드 없는 검색어/문구: 제목, 태그, 분류, 본문 어디든
+  let score = 0;
+  const matchedIn = [];
+  if (termMatches(fields.title, value).length > 0) {
+    score += SCORES.title;
+    matchedIn.push('title');
+  } else if (isInitialsQuery(value) && findInitialsMatches(fields.title, value).length > 0) {
+    score += SCORES.titleInitials;
+    matchedIn.push('title');
+  }
+  if (fields.tags.some(tag => termMatches(tag, value).length > 0)) {
+    score += SCORES.tag;
+    matchedIn.push('tag');
+  }
+  if (fields.categories.some(category => termMatches(category, value).length > 0)) {
+    score += SCORES.category;
+    matchedIn.push('category');
+  }
+  const hits = Math.min(termMatches(fields.content, value).length, MAX_CONTENT_HITS);
+  if (hits > 0) {
+    score += hits * SCORES.content;
+    matchedIn.push('content');
+  }
+  return matchedIn.length > 0 ? { score, matchedIn } : null;
+}
+
+/**
+ * Score one page against the parsed query. Every group needs one matching
+ * clause (a negated clause matches when its condition does not); returns null otherwise.
+ */
+function scorePage(fields, groups, phrase) {
+  let score = 0;
+  const matchedIn = new Set();
+
+  if (phrase && fields.title === phrase) {
+    score += SCORES.titleExact;
+  } else if (phrase && termMatches(fields.title, phrase, { initials: true }).some(match => match.start === 0)) {
+    // 입력 중인 글자나 초성으로도 제목 앞부분이 맞으면 앞부분 일치로 봄
+    score += SCORES.titlePrefix;
+  }
+
+  for (const group of groups) {
+    let best = null;
+    for (const clause of group) {
+      const match = matchClause(fields, clause);
+      if (clause.negate) {
+        if (!match) best = best || { score: 0, matchedIn: [] };
+      } else if (match && (!best || match.score > best.score)) {
+        best = match;
+      }
+    }
+
+    if (!best) return null;
+    score += best.score;
+    best.matchedIn.forEach(field => matchedIn.add(field));
+  }
+
+  return { score, matchedIn: [...matchedIn] };
+}
+
+// 결과 정렬: 정확도순, 최근 수정순, 최근 생성순 (같으면 제목순)
+export const SORT_OPTIONS = ['relevance', 'modified', 'created'];
+
+// 분류/태그 필터에 보여줄 항목 수 (많이 쓰인 순)
+const MAX_FACET_VALUES = 20;
+
+const SORTERS = {
+  relevance: (a, b) => b.score - a.score,
+  modified: (a, b) => b.fields.modified - a.fields.modified,
+  created: (a, b) => b.fields.created - a.fields.created
+};
+
+// 결과 문서들의 분류/태그별 문서 수 (원래 표기로, 많은 순)
+function countFacet(matches, key) {
+  const counts = new Map();
+  for (const { metadata } of matches) {
+    for (const value of new Set(metadata[key] || [])) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, MAX_FACET_VALUES);
+}
+
+/**
+ * One page of ranked full-text search results (query syntax: see parseQuery).
+ * pages: [{ title, content, metadata, lastModified, createdAt }]
+ * sort: one of SORT_OPTIONS; page: 1-based
+ * Returns { results, total, page, pageCount, facets: { categories, tags } } where results are
+ *   { title, snippet, score, matchedIn, titleHighlights, snippetHighlights, lastModified, createdAt, tags, categories }
+ * (relevance: title matches outrank content-only matches; ties by title) and facets count
+ * every matching page as [{ name, count }], so a facet can be applied as a category:/tag: clause.
+ * Highlights are { start, length } offsets into title and snippet.
+ */
+export function searchResultsPage(pages, query, { sort = 'relevance', page = 1, pageSize = DEFAULT_RESULT_LIMIT } = {}) {
+  const groups = parseQuery(query);
+  const matches = [];
+
+  const terms = queryHighlightTerms(query);
+  const titleTerms = queryHighlightTerms(query, { includeTitle: true });
+  const phrase = terms.join(' ');
+
+  if (groups.length > 0) {
+    for (const candidate of pages) {
+      const metadata = pageMetadata(candidate);
+      const fields = pageFields(candidate, metadata);
+      const match = scorePage(fields, groups, phrase);
+      if (match) matches.push({ page: candidate, metadata, fields, ...match });
+    }
+  }
+
+  const sorter = SORTERS[sort] || SORTERS.relevance;
+  matches.sort((a, b) => sorter(a, b) || a.page.title.localeCompare(b.page.title));
+
+  const pageCount = Math.ceil(matches.length / pageSize);
+  const current = Math.min(Math.max(1, page), Math.max(1, pageCount));
+
+  // 스니펫은 잘라낸 결과에만 만듦
+  const results = matches
+    .slice((current - 1) * pageSize, current * pageSize)
+    .map(({ page: found, metadata, score, matchedIn }) => {
+      const snippet = buildSnippet(found.content, terms);
+      return {
+        title: found.title,
+        snippet,
+        score,
+        matchedIn,
+        titleHighlights: findHighlights(found.title, titleTerms, { initials: true }),
+        snippetHighlights: findHighlights(snippet, terms),
+        lastModified: found.lastModified,
+        createdAt: found.createdAt || found.lastModified,
+        tags: metadata.tags || [],
+        categories: metadata.categories || []
+      };
+    });
+
+  return {
+    results,
+    total: matches.length,
+    page: current,
+    pageCount,
+    facets: {
+      categories: countFacet(matches, 'categories'),
+      tags: countFacet(matches, 'tags')
+    }
+  };
+}
+
+/**
+ * Best `limit` results of searchResultsPage, by relevance (for the search box dropdown)
+ */
+export function searchPages(pages, query, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+  return searchResultsPage(pages, query, { pageSize: limit }).results;
+}
+
+if (typeof window !== 'undefined') {
+  window.WikiTextSearch = { searchPages, searchResultsPage, parseQuery, queryHighlightTerms, buildSnippet, findHighlights, DEFAULT_RESULT_LIMIT, SORT_OPTIONS };
+}
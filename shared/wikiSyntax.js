@@ -0,0 +1,145 @@
+// 위키 문법 파싱/변환 유틸리티
+
+/**
+ * Escape regex special characters
+ */
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite [[Old]] and [[Old|text]] links to point at a new title.
+ * Returns { content, count } where count is the number of rewritten links.
+ */
+export function rewriteLinks(content, oldTitle, newTitle) {
+  const linkRegex = new RegExp(`\\[\\[\\s*${escapeRegex(oldTitle)}\\s*(\\|[^\\]]*)?\\]\\]`, 'g');
+  let count = 0;
+
+  const rewritten = content.replace(linkRegex, (match, display) => {
+    count++;
+    return `[[${newTitle}${display || ''}]]`;
+  });
+
+  return { content: rewritten, count };
+}
+
+// 첫 줄의 #넘겨주기 대상 / #redirect 대상 (대상은 [[ ]]로 감싸도 됨)
+const REDIRECT_PATTERN = /^\s*#(?:넘겨주기|redirect)[ \t]+([^\r\n]+)(?:\r?\n|$)/i;
+
+/**
+ * Target title of a redirect page, or null if content is not a redirect
+ */
+export function parseRedirect(content) {
+  if (!content) return null;
+  const match = content.match(REDIRECT_PATTERN);
+  if (!match) return null;
+
+  const target = match[1].trim().replace(/^\[\[\s*(.*?)\s*\]\]$/, '$1');
+  return target || null;
+}
+
+/**
+ * Content with the redirect line removed (unchanged if not a redirect)
+ */
+export function stripRedirect(content) {
+  if (!parseRedirect(content)) return content;
+  return content.replace(REDIRECT_PATTERN, '');
+}
+
+/**
+ * Page metadata derived from content: { redirect?, tags?, categories? }
+ */
+export function extractMetadata(content) {
+  const metadata = {};
+
+  // Redirect pages: the #넘겨주기 line is not a tag
+  const redirectTarget = parseRedirect(content);
+  if (redirectTarget) {
+    metadata.redirect = redirectTarget;
+    content = stripRedirect(content);
+  }
+
+  // Extract tags
+  const tagMatches = content.match(/#[\w가-힣]+/g);
+  if (tagMatches) {
+    metadata.tags = tagMatches.map(tag => tag.substring(1));
+  }
+
+  // Extract categories
+  const categoryMatches = content.match(/\[\[분류:([^\]]+)\]\]/g);
+  if (categoryMatches) {
+    metadata.categories = categoryMatches.map(match => {
+      const categoryMatch = match.match(/\[\[분류:([^\]]+)\]\]/);
+      return categoryMatch ? categoryMatch[1] : '';
+    }).filter(cat => cat);
+  }
+
+  return metadata;
+}
+
+/**
+ * Names of images embedded with ![name] or ![name|caption], without duplicates
+ */
+export function extractImageNames(content) {
+  const names = new Set();
+  for (const match of (content || '').matchAll(/!\[([^\]]+)\]/g)) {
+    const name = match[1].split('|')[0].trim();
+    if (name) names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * Point ![old] and ![old|caption] at another image, or remove them when newName is null.
+ * Returns { content, count } where count is the number of changed references.
+ */
+export function rewriteImageRefs(content, oldName, newName) {
+  const imageRegex = new RegExp(`!\\[\\s*${escapeRegex(oldName)}\\s*(\\|[^\\]]*)?\\]`, 'g');
+  let count = 0;
+
+  const rewritten = content.replace(imageRegex, (match, caption) => {
+    count++;
+    return newName ? `![${newName}${caption || ''}]` : '';
+  });
+
+  return { content: rewritten, count };
+}
+
+// 업로드한 이미지마다 만들어지는 설명 문서 (파일:이름)
+const FILE_PAGE_PREFIX = '파일:';
+
+/**
+ * Title of the file page describing an uploaded image
+ */
+export function imageFilePageTitle(name) {
+  return `${FILE_PAGE_PREFIX}${name}`;
+}
+
+/**
+ * Image name of a file page title, or null for other pages
+ */
+export function imageNameFromFilePage(title) {
+  return title.startsWith(FILE_PAGE_PREFIX) ? title.slice(FILE_PAGE_PREFIX.length) : null;
+}
+
+/**
+ * Content of a redirect page pointing at target
+ */
+export function createRedirect(target) {
+  return `#넘겨주기 ${target}`;
+}
+
+if (typeof window !== 'undefined') {
+  window.WikiSyntax = {
+    escapeRegex,
+    rewriteLinks,
+    parseRedirect,
+    stripRedirect,
+    extractMetadata,
+    extractImageNames,
+    rewriteImageRefs,
+    imageFilePageTitle,
+    imageNameFromFilePage,
+    createRedirect
+  };
+}